@@ -13,6 +13,11 @@ import * as credentials from './modules/credentials.js';
 import * as playlist from './modules/playlist.js';
 import * as player from './modules/player.js';
 import * as epg from './modules/epg.js';
+import * as reminders from './modules/reminders.js';
+import * as health from './modules/health.js';
+import * as progress from './modules/progress.js';
+import * as history from './modules/history.js';
+import * as channelGroups from './modules/groups.js';
 import * as ui from './modules/ui.js';
 import * as locale from './modules/locale.js';
 
@@ -29,6 +34,7 @@ let currentVodItems = [];
 let currentSeriesItems = [];
 let vodCategoryCache = {}; // { categoryId: items[] }
 let seriesCategoryCache = {}; // { categoryId: items[] }
+let seriesEpisodesCache = {}; // { seriesId: episodes[] } for next-episode autoplay
 
 /**
  * Clear all VOD/Series caches (called when switching playlists)
@@ -40,6 +46,7 @@ function clearVodSeriesCaches() {
   currentSeriesItems = [];
   vodCategoryCache = {};
   seriesCategoryCache = {};
+  seriesEpisodesCache = {};
   allVodItems = [];
   allSeriesItems = [];
   isLoadingVodForSearch = false;
@@ -53,10 +60,15 @@ async function init() {
   // Ensure all modals are closed on start
   ensureModalsClosedOnStart();
   
+  // Pick the active playlist profile before anything reads per-profile storage
+  await storage.initProfiles();
+  
   // Initialize UI
   ui.init({
     onChannelSelect: handleChannelSelect,
+    onCatchupSelect: playCatchup,
     onFavoriteToggle: () => {}, // Handled by UI module
+    onManageFavorites: showFavoritesModal,
   });
   
   // Initialize locale (for language-prioritized search)
@@ -77,10 +89,21 @@ async function init() {
   
   // Set up player controls
   setupPlayerControls();
+  setupQualityControls();
+  setupTrackControls();
   setupFullscreenControlVisibility();
   
   // Set up settings
   setupSettings();
+  setupEpgMapping();
+  setupChannelGroups();
+  setupFavoriteLists();
+  setupEpgSources();
+  setupReminders();
+  setupStreamHealth();
+  setupWatchProgress();
+  setupWatchHistory();
+  setupProfileSwitcher();
   
   // Set up content type tabs (Live/Movies/Series)
   setupContentTypeTabs();
@@ -165,7 +188,8 @@ async function loadStoredCredentials(pin = null) {
     console.log('[App] Loaded', channels.length, 'channels from cache');
     
     if (channels.length > 0) {
-      ui.setChannels(channels);
+      epg.setChannels(channels, playlist.getPlaylistKey(currentCredentials));
+      showLiveChannels();
       ui.showPlayer();
       updateSettingsInfo();
       
@@ -177,25 +201,23 @@ async function loadStoredCredentials(pin = null) {
       
       // Load EPG from cache first
       console.log('[App] Loading EPG from cache...');
+      const epgSources = getEpgSources(currentCredentials);
+      epg.setSources(epgSources);
       const cachedEpgCount = await epg.loadFromCache();
       console.log('[App] EPG cache result:', cachedEpgCount, 'channels');
       
-      // If we have Xtream credentials, try to load fresh EPG
-      if (currentCredentials.mode === 'xtream' && currentCredentials.server) {
-        const { server, username, password } = currentCredentials;
-        if (server && username && password) {
-          const cleanServer = server.replace(/\/+$/, '');
-          const epgUrl = `${cleanServer}/xmltv.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`;
-          console.log('[App] Will load fresh EPG from:', epgUrl);
-          // Don't await - load in background
-          loadEpg(epgUrl);
-        }
-      } else if (currentCredentials.epgUrl) {
-        console.log('[App] Loading fresh EPG from stored URL:', currentCredentials.epgUrl);
-        loadEpg(currentCredentials.epgUrl);
-      } else {
+      // Only re-fetch the guide if the cache is missing or stale
+      const refreshReason = epg.getRefreshReason();
+      if (!epgSources.some(source => source.url)) {
         console.log('[App] No EPG URL available for fresh load');
+      } else if (refreshReason) {
+        console.log('[App] Will load fresh EPG (' + refreshReason + ') from', epgSources.length, 'source(s)');
+        // Don't await - load in background
+        loadEpg({ background: cachedEpgCount > 0 });
+      } else {
+        console.log('[App] EPG cache is fresh, skipping download');
       }
+      startEpgRefreshTimer();
     } else {
       // No cached channels, need to fetch
       console.log('[App] No cached channels, calling refreshPlaylist');
@@ -226,6 +248,7 @@ async function refreshPlaylist() {
     ui.setNowPlaying('Loading playlist...');
     
     const { mode } = currentCredentials;
+    const previousChannels = channels;
     
     if (mode === 'xtream') {
       channels = await playlist.fetchXtream(currentCredentials, (msg) => {
@@ -237,13 +260,19 @@ async function refreshPlaylist() {
       });
     } else if (mode === 'm3u-file') {
       channels = await playlist.loadChannels();
+    } else if (mode === 'stalker') {
+      channels = await playlist.fetchStalker(currentCredentials, (msg) => {
+        ui.setNowPlaying(msg);
+      });
     }
     
     // Store channels
     await playlist.storeChannels(channels);
+    const changes = applyChannelDiff(previousChannels, channels);
     
     // Update UI
-    ui.setChannels(channels);
+    epg.setChannels(channels, playlist.getPlaylistKey(currentCredentials));
+    showLiveChannels();
     ui.showLoading(false);
     ui.setNowPlaying('Select a channel');
     
@@ -258,34 +287,23 @@ async function refreshPlaylist() {
     console.log('[App] EPG CHECK - Credentials mode:', currentCredentials?.mode);
     console.log('[App] EPG CHECK - Stored epgUrl:', currentCredentials?.epgUrl || 'NOT SET');
     
-    if (currentCredentials?.epgUrl) {
-      console.log('[App] EPG: Loading from stored credentials URL');
-      loadEpg(currentCredentials.epgUrl);
+    const epgSources = getEpgSources(currentCredentials);
+    epg.setSources(epgSources);
+    
+    if (epgSources.some(source => source.url)) {
+      console.log('[App] EPG: Loading', epgSources.length, 'source(s)');
+      loadEpg();
     } else if (currentCredentials?.mode === 'xtream') {
-      // Generate EPG URL for Xtream if not stored
-      const { server, username, password } = currentCredentials;
-      console.log('[App] EPG: Xtream mode - server:', server, 'username:', username ? 'SET' : 'NOT SET');
-      
-      if (server && username && password) {
-        const cleanServer = server.replace(/\/+$/, '');
-        const epgUrl = `${cleanServer}/xmltv.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`;
-        console.log('[App] EPG: Generated Xtream XMLTV URL:', epgUrl);
-        currentCredentials.epgUrl = epgUrl;
-        loadEpg(epgUrl);
-      } else {
-        console.warn('[App] EPG: Cannot generate URL - missing server/username/password');
-        ui.showToast('EPG: Missing credentials for Xtream', 'warning');
-      }
-    } else if (currentCredentials?.mode === 'm3u-url' || currentCredentials?.mode === 'm3u-file') {
-      console.log('[App] EPG: M3U mode - no EPG URL configured');
-      // Could show hint to user about adding EPG URL
+      console.warn('[App] EPG: Cannot generate URL - missing server/username/password');
+      ui.showToast('EPG: Missing credentials for Xtream', 'warning');
     } else {
-      console.warn('[App] EPG: Unknown mode or no credentials:', currentCredentials?.mode);
+      console.log('[App] EPG: No EPG URL configured');
+      // Could show hint to user about adding EPG URL
     }
     console.log('[App] ═══════════════════════════════════════════════════════════');
     
     updateSettingsInfo();
-    ui.showToast(`Loaded ${channels.length} channels`, 'success');
+    ui.showToast(changes || `Loaded ${channels.length} channels`, 'success');
     
   } catch (error) {
     console.error('[App] Failed to refresh playlist:', error);
@@ -295,6 +313,44 @@ async function refreshPlaylist() {
   }
 }
 
+/**
+ * Show the live channels with the user's group and channel edits applied
+ */
+function showLiveChannels() {
+  channelGroups.load(playlist.getPlaylistKey(currentCredentials));
+  ui.setChannels(channelGroups.apply(channels));
+}
+
+/**
+ * Compare a refreshed playlist with the previous one and carry saved channel
+ * references (favorites, recents, EPG overrides, reminders) over to new ids
+ * @param {Array} previous - Channels before the refresh
+ * @param {Array} next - Refreshed channels
+ * @returns {string|null} - Summary for the toast, or null on first load
+ */
+function applyChannelDiff(previous, next) {
+  if (!previous.length || previous === next) return null;
+  
+  const { added, removed, changed, idMap } = playlist.diffChannels(previous, next);
+  console.log(`[App] Playlist diff: +${added.length} -${removed.length} ~${changed.length}, ${Object.keys(idMap).length} ids moved`);
+  
+  if (Object.keys(idMap).length > 0) {
+    const updated = storage.remapChannelIds(idMap, playlist.getPlaylistKey(currentCredentials));
+    reminders.remapChannels(idMap);
+    console.log('[App] ✓ Migrated', updated, 'saved channel references');
+  }
+  
+  const parts = [
+    added.length && `${added.length} added`,
+    removed.length && `${removed.length} removed`,
+    changed.length && `${changed.length} changed`,
+  ].filter(Boolean);
+  
+  return parts.length
+    ? `Playlist updated: ${parts.join(', ')}`
+    : `Playlist up to date (${next.length} channels)`;
+}
+
 // =============================================================================
 // Content Type Switching (Live TV / Movies / Series)
 // =============================================================================
@@ -354,7 +410,7 @@ async function loadLiveContent() {
     channels = await playlist.loadChannels();
   }
   
-  ui.setChannels(channels);
+  showLiveChannels();
   ui.setContentType('live');
 }
 
@@ -491,6 +547,7 @@ async function loadSeriesDetails(seriesId) {
   
   try {
     const seriesInfo = await playlist.fetchSeriesInfo(currentCredentials, seriesId);
+    seriesEpisodesCache[seriesId] = seriesInfo.episodes;
     ui.showSeriesDetails(seriesInfo);
     ui.showLoading(false);
     
@@ -520,8 +577,8 @@ let isLoadingSeriesForSearch = false;
 function updateGlobalSearchItems() {
   const allItems = [];
   
-  // Add live channels (mark them with type: 'live')
-  channels.forEach(ch => {
+  // Add live channels (mark them with type: 'live'), as renamed and without hidden ones
+  channelGroups.apply(channels).forEach(ch => {
     allItems.push({
       ...ch,
       type: 'live'
@@ -637,12 +694,34 @@ async function loadVodSeriesOnDemand() {
 window.loadVodSeriesOnDemand = loadVodSeriesOnDemand;
 
 /**
- * Load EPG data
- * @param {string} url 
+ * Load EPG data from the current playlist's guide sources
+ * @param {Object} options - { background: boolean } - background loads report quietly
  */
-async function loadEpg(url) {
+async function loadEpg({ background = false } = {}) {
+  const sources = getEpgSources(currentCredentials);
+  console.log('[App] ═══════════════════════════════════════════════════════════');
+  console.log('[App] loadEpg called with sources:', sources.map(source => source.url));
+  
+  attachEpgListeners();
+  startEpgRefreshTimer();
+  if (!epg.getIsLoading()) {
+    epgBackgroundLoad = background;
+  }
+  
+  console.log('[App] Calling epg.loadSources...');
+  await epg.loadSources(sources);
   console.log('[App] ═══════════════════════════════════════════════════════════');
-  console.log('[App] loadEpg called with URL:', url);
+}
+
+let epgListenersAttached = false;
+let epgBackgroundLoad = false;
+
+/**
+ * Subscribe to EPG load events (once - loadEpg may run several times per session)
+ */
+function attachEpgListeners() {
+  if (epgListenersAttached) return;
+  epgListenersAttached = true;
   
   epg.on('onProgress', (data) => {
     console.log('[App] EPG Progress:', data.phase || data.status, data);
@@ -650,7 +729,23 @@ async function loadEpg(url) {
   
   epg.on('onComplete', (data) => {
     console.log('[App] ✓ EPG Complete:', data);
-    if (data.total > 0) {
+    const background = epgBackgroundLoad;
+    epgBackgroundLoad = false;
+    updateEpgRefreshInfo();
+    
+    // Some sources failed but others loaded
+    if (data.errors?.length > 0 && !background) {
+      ui.showToast(`EPG: ${data.errors.length} source(s) failed to load`, 'warning');
+    }
+    
+    if (data.notModified) {
+      if (!background) ui.showToast('EPG is up to date', 'success');
+      return;
+    }
+    
+    if (background) {
+      if (data.total > 0) ui.showGuideUpdated();
+    } else if (data.total > 0) {
       ui.showToast(`EPG loaded: ${data.total} channels`, 'success');
     } else {
       ui.showToast('EPG loaded but no data found', 'warning');
@@ -660,12 +755,110 @@ async function loadEpg(url) {
   
   epg.on('onError', (data) => {
     console.error('[App] ✗ EPG Error:', data);
-    ui.showToast(`EPG failed: ${data.message || 'Unknown error'}`, 'error');
+    const background = epgBackgroundLoad;
+    epgBackgroundLoad = false;
+    
+    // A failed background refresh keeps the cached guide - no need to alarm the user
+    if (!background) {
+      ui.showToast(`EPG failed: ${data.message || 'Unknown error'}`, 'error');
+    }
   });
   
-  console.log('[App] Calling epg.loadFromUrl...');
-  await epg.loadFromUrl(url);
-  console.log('[App] ═══════════════════════════════════════════════════════════');
+  epg.on('onSourceStatus', renderEpgSourceList);
+}
+
+// =============================================================================
+// EPG Background Refresh
+// =============================================================================
+
+const EPG_REFRESH_CHECK_MS = 15 * 60 * 1000;
+let epgRefreshTimer = null;
+
+/**
+ * Periodically check whether the guide needs re-fetching
+ * Also checks when the tab becomes visible again (timers are throttled in background tabs)
+ */
+function startEpgRefreshTimer() {
+  if (epgRefreshTimer) return;
+  
+  epgRefreshTimer = setInterval(checkEpgRefresh, EPG_REFRESH_CHECK_MS);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkEpgRefresh();
+  });
+}
+
+/**
+ * Re-fetch the guide in the background if it is stale
+ */
+function checkEpgRefresh() {
+  const hasSources = getEpgSources(currentCredentials).some(source => source.url);
+  if (!hasSources || epg.getIsLoading()) return;
+  
+  const reason = epg.getRefreshReason();
+  if (!reason) return;
+  
+  console.log('[App] EPG refresh due:', reason);
+  loadEpg({ background: reason !== 'missing' });
+}
+
+/**
+ * Show when the guide was last updated in settings
+ */
+function updateEpgRefreshInfo() {
+  const info = document.getElementById('settings-epg-refresh-info');
+  if (!info) return;
+  
+  const lastUpdate = epg.getLastUpdate();
+  if (!lastUpdate) {
+    info.textContent = 'Never updated';
+    return;
+  }
+  
+  const minutes = Math.round((Date.now() - lastUpdate) / 60000);
+  if (minutes < 1) {
+    info.textContent = 'Updated just now';
+  } else if (minutes < 60) {
+    info.textContent = `Updated ${minutes} min ago`;
+  } else if (minutes < 48 * 60) {
+    info.textContent = `Updated ${Math.round(minutes / 60)} h ago`;
+  } else {
+    info.textContent = `Updated ${Math.round(minutes / 60 / 24)} days ago`;
+  }
+}
+
+// The provider's own guide (xmltv.php or the playlist's EPG URL field)
+const PLAYLIST_EPG_SOURCE = 'playlist';
+
+/**
+ * Get the guide sources for a playlist, highest priority first
+ * The playlist's own guide is listed by id only - its URL comes from the credentials.
+ * @param {Object} creds 
+ * @returns {Array<{ id: string, url: string|null }>}
+ */
+function getEpgSources(creds) {
+  if (!creds) return [];
+  
+  const saved = storage.getEpgSources(playlist.getPlaylistKey(creds)) || [{ id: PLAYLIST_EPG_SOURCE }];
+  return saved.map(source => source.id === PLAYLIST_EPG_SOURCE
+    ? { id: PLAYLIST_EPG_SOURCE, url: getEpgUrl(creds) }
+    : source);
+}
+
+/**
+ * Get the XMLTV URL for the current playlist
+ * Xtream providers serve it from xmltv.php when no explicit URL is stored
+ * @param {Object} creds 
+ * @returns {string|null}
+ */
+function getEpgUrl(creds) {
+  if (!creds) return null;
+  if (creds.epgUrl) return creds.epgUrl;
+  
+  if (creds.mode === 'xtream' && creds.server && creds.username && creds.password) {
+    const cleanServer = creds.server.replace(/\/+$/, '');
+    return `${cleanServer}/xmltv.php?username=${encodeURIComponent(creds.username)}&password=${encodeURIComponent(creds.password)}`;
+  }
+  return null;
 }
 
 /**
@@ -673,20 +866,44 @@ async function loadEpg(url) {
  * @param {Object} channel 
  */
 async function handleChannelSelect(channel) {
+  catchupSession = null;
+  cancelUpNext();
+  progress.flush();
   ui.showLoading(true);
   ui.hideError();
   ui.setNowPlaying(channel.name);
   ui.updateNowPlayingPanel(channel); // Update the Now Playing panel
   
+  // Read before playing - the first time updates would overwrite it
+  const resumePosition = progress.getResumePosition(channel);
+  
   try {
     syncVolumeState();
-    await player.play(channel);
+    
+    const result = await playWithFailover(channel);
+    if (!result) return; // Another channel was selected meanwhile
+    const { source, channelFailed } = result;
+    
+    if (resumePosition) resumePlayback(resumePosition);
+    startWatchHistory(channel);
+    
+    if (source !== channel) {
+      ui.setNowPlaying(source.name);
+      ui.updateNowPlayingPanel(source);
+      // The copy that worked last time is tried first - the channel itself may not have been
+      if (channelFailed) {
+        ui.showToast(`${channel.name} unavailable - playing ${source.name}`, 'info', 4000);
+      } else {
+        ui.showToast(`Playing ${source.name}`, 'info');
+      }
+    }
     
     // Update EPG
-    if (channel.epgId) {
-      const nowNext = epg.getNowNext(channel.epgId);
+    const epgId = epg.resolveEpgId(channel);
+    if (epgId) {
+      const nowNext = epg.getNowNext(epgId);
       ui.updateEpg(nowNext);
-      startEpgUpdater(channel.epgId);
+      startEpgUpdater(epgId);
     } else {
       ui.updateEpg(null);
     }
@@ -727,91 +944,785 @@ function stopEpgUpdater() {
   }
 }
 
-// Favorites toggle is handled directly by UI module
+// =============================================================================
+// Playback Failover (duplicate copies of a channel)
+// =============================================================================
+
+// Errors worth trying another copy for - codec/format problems would fail on every copy
+const FAILOVER_ERROR_TYPES = [player.ErrorTypes.NETWORK, player.ErrorTypes.EMPTY_STREAM, player.ErrorTypes.BLOCKED];
+const MAX_PLAYBACK_SOURCES = 4; // Including the selected channel - each try is another request to the provider
+
+// Bumped on every channel selection so an older failover loop stops
+let playRequestId = 0;
 
 /**
- * Set up player event listeners
+ * Play a channel, moving on to its alternatives if the stream is down or blocked
+ * @param {Object} channel - Selected channel
+ * @returns {Promise<{source: Object, channelFailed: boolean}|null>} - The copy that played and
+ *   whether the selected channel itself was tried and failed, or null if superseded
  */
-function setupPlayerListeners() {
-  console.log('[App] Setting up player listeners');
+async function playWithFailover(channel) {
+  const requestId = ++playRequestId;
+  const sources = getPlaybackSources(channel);
+  
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i];
+    
+    if (i > 0) {
+      ui.hideError();
+      ui.showLoading(true);
+      ui.setNowPlaying(`Trying ${source.name}...`);
+    }
+    
+    try {
+      // Stalker stream links are issued per play
+      let playable = source;
+      if (source.stalkerCmd) {
+        playable = { ...source, url: await playlist.resolveStalkerUrl(currentCredentials, source) };
+        if (requestId !== playRequestId) return null;
+      }
+      await player.play(playable);
+      
+      // Another channel was selected while this one loaded - it owns the player now
+      if (requestId !== playRequestId) return null;
+      
+      // Remember the copy that worked; clear it once the channel itself plays again
+      storage.setPreferredSource(channel.id, source === channel ? null : source.id);
+      return { source, channelFailed: sources.slice(0, i).includes(channel) };
+    } catch (error) {
+      if (requestId !== playRequestId) return null;
+      if (!FAILOVER_ERROR_TYPES.includes(error.type) || i === sources.length - 1) throw error;
+      
+      console.warn(`[App] ⚠ ${source.name} failed (${error.type}), trying ${sources[i + 1].name}`);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the copies of a channel to try, in order
+ * The copy that worked last time goes first, then the channel itself, then the other
+ * copies with any the health scanner found dead at the end.
+ * @param {Object} channel 
+ * @returns {Array}
+ */
+function getPlaybackSources(channel) {
+  // Movies and episodes have no duplicate copies
+  if (progress.getKey(channel)) return [channel];
+  
+  const alternatives = playlist.findAlternatives(channel, channels)
+    .sort((a, b) => health.isDead(a.id) - health.isDead(b.id));
+  
+  const preferredId = storage.getPreferredSource(channel.id);
+  const preferred = alternatives.find(ch => ch.id === preferredId);
+  
+  const sources = preferred
+    ? [preferred, channel, ...alternatives.filter(ch => ch !== preferred)]
+    : [channel, ...alternatives];
+  return sources.slice(0, MAX_PLAYBACK_SOURCES);
+}
+
+// =============================================================================
+// Quality Menu & Playback Stats
+// =============================================================================
+
+const STATS_INTERVAL_MS = 2000;
+let statsInterval = null;
+
+/**
+ * Set up the quality menu, data saver and now-playing stats
+ */
+function setupQualityControls() {
+  player.setDataSaver(storage.getSettings().dataSaver === true);
+  player.on('onLevels', handleQualityLevels);
+  player.on('onQualityChange', updateQualityButton);
+  
   player.on('onStateChange', (state) => {
-    if (state.loading !== undefined) {
-      ui.showLoading(state.loading);
+    if (state.playing === true) {
+      startStatsUpdater();
+    } else if (state.playing === false) {
+      stopStatsUpdater();
+    }
+    
+    // stop() - the next stream reports its own renditions
+    if (state.channel === null) {
+      const control = document.getElementById('quality-control');
+      if (control) control.hidden = true;
+      closePlayerMenus();
+      ui.updatePlaybackStats(null);
     }
   });
   
-  player.on('onError', (error) => {
-    ui.showLoading(false);
-    ui.showError(error);
+  document.getElementById('btn-quality')?.addEventListener('click', () => {
+    togglePlayerMenu('quality-menu', renderQualityMenu);
+  });
+  
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.controls__menu')) closePlayerMenus();
+  });
+  
+  const dataSaverToggle = document.getElementById('toggle-data-saver');
+  if (dataSaverToggle) dataSaverToggle.checked = storage.getSettings().dataSaver === true;
+  
+  dataSaverToggle?.addEventListener('change', () => {
+    storage.updateSettings({ dataSaver: dataSaverToggle.checked });
+    player.setDataSaver(dataSaverToggle.checked);
+    ui.showToast(dataSaverToggle.checked ? 'Data saver on - automatic quality capped at 480p' : 'Data saver off', 'success');
   });
 }
 
 /**
- * Direct video element event listeners for UI sync
- * More reliable than going through abstraction layer
- * @param {HTMLVideoElement} video 
+ * A new HLS stream loaded: show the menu and re-apply the channel's locked rendition
+ * @param {Array} levels - From player.getQualityLevels()
  */
-function setupVideoElementListeners(video) {
-  console.log('[App] Attaching direct video element listeners');
+function handleQualityLevels(levels) {
+  const control = document.getElementById('quality-control');
+  if (control) control.hidden = levels.length < 2;
+  
+  const channel = player.getCurrentChannel();
+  const saved = channel ? storage.getQualityPreference(channel.id) : null;
+  if (saved) {
+    const index = findSavedLevel(levels, saved);
+    if (index !== -1) {
+      console.log('[App] Restoring locked quality', levels[index].label, 'for', channel.name);
+      player.setQuality(index);
+    }
+  }
   
-  // Play/Pause state sync
-  video.addEventListener('play', () => {
-    console.log('[Video] play event');
-    updatePlayPauseButton(true);
+  updateQualityButton();
+}
+
+/**
+ * Find the rendition matching a saved choice
+ * Level order can change between loads, so match on resolution then closest bitrate.
+ * @param {Array} levels 
+ * @param {Object} saved - { height, bitrate }
+ * @returns {number} - Level index, or -1 if the stream no longer has that resolution
+ */
+function findSavedLevel(levels, saved) {
+  const candidates = levels.filter(level => level.height === saved.height);
+  if (candidates.length === 0) return -1;
+  
+  return candidates.reduce((best, level) =>
+    Math.abs(level.bitrate - saved.bitrate) < Math.abs(best.bitrate - saved.bitrate) ? level : best
+  ).index;
+}
+
+/**
+ * Lock a rendition (or go back to auto) and remember it for this channel
+ * @param {number} index - Level index, -1 = auto
+ */
+function selectQuality(index) {
+  const channel = player.getCurrentChannel();
+  const level = player.getQualityLevels()[index];
+  
+  player.setQuality(index);
+  if (channel) {
+    storage.setQualityPreference(channel.id, level ? { height: level.height, bitrate: level.bitrate } : null);
+  }
+  closePlayerMenus();
+}
+
+/**
+ * Show the selected (or, on auto, the playing) rendition on the quality button
+ */
+function updateQualityButton() {
+  const button = document.getElementById('btn-quality');
+  const quality = player.getQuality();
+  if (!button || !quality) return;
+  
+  const playing = player.getQualityLevels()[quality.level];
+  button.textContent = quality.auto ? 'Auto' : (playing?.label || 'Auto');
+  button.title = quality.auto && playing ? `Quality: auto (${playing.label})` : 'Quality';
+  
+  const menu = document.getElementById('quality-menu');
+  if (menu && !menu.hidden) renderQualityMenu();
+}
+
+/**
+ * Render the quality menu, highest rendition first
+ */
+function renderQualityMenu() {
+  const menu = document.getElementById('quality-menu');
+  const quality = player.getQuality();
+  if (!menu || !quality) return;
+  
+  const levels = player.getQualityLevels();
+  const playing = levels[quality.level];
+  const capped = quality.cap !== -1 ? ` · capped at ${levels[quality.cap]?.label}` : '';
+  
+  const items = [{
+    label: 'Auto',
+    detail: (playing && quality.auto ? playing.label : '') + capped,
+    active: quality.auto,
+    onSelect: () => selectQuality(-1),
+  }];
+  
+  [...levels].reverse().forEach(level => {
+    items.push({
+      label: level.label,
+      detail: [player.formatBitrate(level.bitrate), level.codecs].filter(Boolean).join(' · '),
+      active: !quality.auto && level.index === quality.level,
+      onSelect: () => selectQuality(level.index),
+    });
   });
   
-  video.addEventListener('pause', () => {
-    console.log('[Video] pause event');
-    updatePlayPauseButton(false);
+  renderPlayerMenu(menu, items);
+}
+
+/**
+ * Render items into a control bar popup menu
+ * @param {HTMLElement} menu 
+ * @param {Array<{label: string, detail: string, active: boolean, onSelect: Function}>} items 
+ */
+function renderPlayerMenu(menu, items) {
+  menu.innerHTML = '';
+  
+  items.forEach(item => {
+    const button = document.createElement('button');
+    button.className = 'player-menu__item' + (item.active ? ' player-menu__item--active' : '');
+    button.setAttribute('role', 'menuitemradio');
+    button.setAttribute('aria-checked', String(item.active));
+    
+    const label = document.createElement('span');
+    label.textContent = item.label;
+    button.appendChild(label);
+    
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'player-menu__detail';
+      detail.textContent = item.detail;
+      button.appendChild(detail);
+    }
+    
+    button.addEventListener('click', item.onSelect);
+    menu.appendChild(button);
+  });
+}
+
+/**
+ * Open a control bar menu (closing any other), or close it if already open
+ * @param {string} menuId 
+ * @param {Function} render - Fills the menu before it opens
+ */
+function togglePlayerMenu(menuId, render) {
+  const menu = document.getElementById(menuId);
+  if (!menu) return;
+  
+  const wasOpen = !menu.hidden;
+  closePlayerMenus();
+  if (!wasOpen) {
+    render();
+    menu.hidden = false;
+  }
+}
+
+/**
+ * Close any open control bar menu
+ */
+function closePlayerMenus() {
+  document.querySelectorAll('.player-menu').forEach(menu => {
+    menu.hidden = true;
   });
+}
+
+/**
+ * Refresh the now-playing stats while the video plays
+ */
+function startStatsUpdater() {
+  stopStatsUpdater();
+  updatePlaybackStats();
+  statsInterval = setInterval(updatePlaybackStats, STATS_INTERVAL_MS);
+}
+
+/**
+ * Stop refreshing the now-playing stats
+ */
+function stopStatsUpdater() {
+  if (statsInterval) {
+    clearInterval(statsInterval);
+    statsInterval = null;
+  }
+}
+
+/**
+ * Show resolution, bitrate, estimated bandwidth and buffer in the now-playing panel
+ */
+function updatePlaybackStats() {
+  const stats = player.getPlaybackStats();
+  if (!stats || !stats.height) {
+    ui.updatePlaybackStats(null);
+    return;
+  }
   
-  // Volume/Mute state sync
-  video.addEventListener('volumechange', () => {
-    console.log('[Video] volumechange event', { muted: video.muted, volume: video.volume });
-    updateVolumeIcon();
+  const parts = [`${stats.height}p`];
+  if (stats.bitrate) parts.push(player.formatBitrate(stats.bitrate));
+  if (stats.bandwidth) parts.push(`${player.formatBitrate(stats.bandwidth)} available`);
+  parts.push(`${stats.buffer.toFixed(1)}s buffered`);
+  if (stats.dropped) parts.push(`${stats.dropped} dropped frames`);
+  
+  ui.updatePlaybackStats(parts.join(' · '));
+}
+
+// =============================================================================
+// Audio & Subtitle Tracks
+// =============================================================================
+
+// Whether the language preferences were applied to this stream's tracks yet
+let trackDefaultsApplied = { audio: false, subtitles: false };
+
+/**
+ * Set up the audio/subtitle menus and language preferences
+ */
+function setupTrackControls() {
+  player.on('onTracksChange', handleTracksChange);
+  
+  player.on('onStateChange', (state) => {
+    if (state.channel === null) {
+      trackDefaultsApplied = { audio: false, subtitles: false };
+      ['audio-control', 'subtitle-control'].forEach(id => {
+        const control = document.getElementById(id);
+        if (control) control.hidden = true;
+      });
+    }
   });
   
-  // Progress bar update
-  video.addEventListener('timeupdate', () => {
-    updateProgressBar(video.currentTime, video.duration);
+  document.getElementById('btn-audio')?.addEventListener('click', () => {
+    togglePlayerMenu('audio-menu', renderAudioMenu);
+  });
+  document.getElementById('btn-subtitles')?.addEventListener('click', () => {
+    togglePlayerMenu('subtitle-menu', renderSubtitleMenu);
   });
   
-  // Seeking feedback (optional: show seeking state)
-  video.addEventListener('seeking', () => {
-    console.log('[Video] seeking to', video.currentTime);
+  populateTrackLanguageOptions();
+  
+  document.getElementById('audio-language-select')?.addEventListener('change', (e) => {
+    storage.updateSettings({ audioLanguage: e.target.value || null });
+    reapplyTrackDefaults();
+    ui.showToast('Audio language updated', 'success');
   });
   
-  video.addEventListener('seeked', () => {
-    console.log('[Video] seeked to', video.currentTime);
+  document.getElementById('subtitle-language-select')?.addEventListener('change', (e) => {
+    storage.updateSettings({ subtitleLanguage: e.target.value });
+    reapplyTrackDefaults();
+    ui.showToast('Subtitle preference updated', 'success');
   });
 }
 
 /**
- * Update play/pause button state
+ * Fill the language selects; "Auto" follows the content country
  */
-function updatePlayPauseButton(playing) {
-  console.log('[App] updatePlayPauseButton:', playing);
-  const playIcon = document.querySelector('#btn-play-pause .icon-play');
-  const pauseIcon = document.querySelector('#btn-play-pause .icon-pause');
-  console.log('[App] Found icons:', { playIcon: !!playIcon, pauseIcon: !!pauseIcon });
-  
-  if (playIcon && pauseIcon) {
-    // Use CSS class toggle instead of hidden attribute (more reliable for SVGs)
-    playIcon.classList.toggle('is-hidden', playing);
-    pauseIcon.classList.toggle('is-hidden', !playing);
-    console.log('[App] Icon classes after toggle:', {
-      playHidden: playIcon.classList.contains('is-hidden'),
-      pauseHidden: pauseIcon.classList.contains('is-hidden')
+function populateTrackLanguageOptions() {
+  const audioSelect = document.getElementById('audio-language-select');
+  const subtitleSelect = document.getElementById('subtitle-language-select');
+  const countryLanguage = locale.getLanguageName(locale.getCountryLanguage());
+  const settings = storage.getSettings();
+  
+  const fill = (select, fixedOptions, value) => {
+    if (!select) return;
+    select.innerHTML = '';
+    [...fixedOptions, ...locale.getLanguages().map(lang => [lang.code, lang.name])].forEach(([optionValue, text]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = text;
+      select.appendChild(option);
     });
-  }
+    select.value = value;
+  };
+  
+  fill(audioSelect, [['', `Auto (${countryLanguage})`]], settings.audioLanguage || '');
+  fill(subtitleSelect, [
+    ['auto', `${countryLanguage} if audio isn't`],
+    ['off', 'Off'],
+  ], settings.subtitleLanguage || 'auto');
 }
 
-// Global debug functions for testing from browser console
-window.debugPlayerControls = {
-  testPlayPause: () => {
-    const playIcon = document.querySelector('#btn-play-pause .icon-play');
-    const pauseIcon = document.querySelector('#btn-play-pause .icon-pause');
-    console.log('Play icon:', playIcon);
+/**
+ * Get the preferred audio language (ISO 639-1)
+ * @returns {string}
+ */
+function getPreferredAudioLanguage() {
+  return storage.getSettings().audioLanguage || locale.getCountryLanguage();
+}
+
+/**
+ * Apply the language preferences to the current stream's tracks once they show up
+ * Tracks can arrive one at a time (native addtrack), so each kind is settled when a match appears.
+ */
+function handleTracksChange() {
+  const audioTracks = player.getAudioTracks();
+  const subtitleTracks = player.getSubtitleTracks();
+  
+  if (!trackDefaultsApplied.audio && audioTracks.length > 1) {
+    const index = findTrackByLanguage(audioTracks, getPreferredAudioLanguage());
+    if (index !== -1) {
+      trackDefaultsApplied.audio = true;
+      if (index !== player.getAudioTrack()) player.setAudioTrack(index);
+    }
+  }
+  
+  if (!trackDefaultsApplied.subtitles && subtitleTracks.length > 0) {
+    applySubtitlePreference(subtitleTracks);
+  }
+  
+  updateTrackControls();
+}
+
+/**
+ * Pick the subtitle track for the current preference
+ * 'auto' shows the content country's language only when the audio is in another language.
+ * @param {Array} tracks 
+ */
+function applySubtitlePreference(tracks) {
+  const preference = storage.getSettings().subtitleLanguage || 'auto';
+  let language = preference;
+  
+  if (preference === 'auto') {
+    language = locale.getCountryLanguage();
+    const audio = player.getAudioTracks()[player.getAudioTrack()];
+    // Unknown audio language counts as local - most single-track streams are
+    if (!audio || [audio.lang, audio.name].some(tag => locale.normalizeLanguage(tag) === language)) {
+      language = 'off';
+    }
+  }
+  
+  if (language === 'off') {
+    trackDefaultsApplied.subtitles = true;
+    player.setSubtitleTrack(-1);
+    return;
+  }
+  
+  const index = findTrackByLanguage(tracks, language);
+  if (index !== -1) {
+    trackDefaultsApplied.subtitles = true;
+    player.setSubtitleTrack(index);
+  }
+}
+
+/**
+ * Re-run the language preferences on the playing stream after a settings change
+ */
+function reapplyTrackDefaults() {
+  trackDefaultsApplied = { audio: false, subtitles: false };
+  handleTracksChange();
+}
+
+/**
+ * Find the first track in a language
+ * @param {Array} tracks - { lang, name }
+ * @param {string} language - ISO 639-1
+ * @returns {number} - Track index, -1 if none
+ */
+function findTrackByLanguage(tracks, language) {
+  return tracks.findIndex(track =>
+    [track.lang, track.name].some(tag => locale.normalizeLanguage(tag) === language)
+  );
+}
+
+/**
+ * Get a display name for a track
+ * @param {Object} track - { index, name, lang }
+ * @returns {string}
+ */
+function getTrackLabel(track) {
+  return track.name || locale.getLanguageName(track.lang) || `Track ${track.index + 1}`;
+}
+
+/**
+ * Get the language shown next to a named track
+ * @param {Object} track 
+ * @returns {string} - Empty if the label already says it
+ */
+function getTrackDetail(track) {
+  const language = locale.getLanguageName(track.lang);
+  return language && language !== getTrackLabel(track) ? language : '';
+}
+
+/**
+ * Show the audio/subtitle buttons when there is something to choose
+ */
+function updateTrackControls() {
+  const audioTracks = player.getAudioTracks();
+  const subtitleTracks = player.getSubtitleTracks();
+  
+  const audioControl = document.getElementById('audio-control');
+  const subtitleControl = document.getElementById('subtitle-control');
+  if (audioControl) audioControl.hidden = audioTracks.length < 2;
+  if (subtitleControl) subtitleControl.hidden = subtitleTracks.length === 0;
+  
+  const audioButton = document.getElementById('btn-audio');
+  const audio = audioTracks[player.getAudioTrack()];
+  if (audioButton) {
+    const code = audio ? locale.normalizeLanguage(audio.lang || audio.name) : '';
+    audioButton.textContent = code && code.length <= 3 ? code.toUpperCase() : 'Audio';
+    audioButton.title = audio ? `Audio: ${getTrackLabel(audio)}` : 'Audio track';
+  }
+  
+  const subtitleButton = document.getElementById('btn-subtitles');
+  const subtitle = subtitleTracks[player.getSubtitleTrack()];
+  if (subtitleButton) {
+    subtitleButton.setAttribute('aria-pressed', String(!!subtitle));
+    subtitleButton.title = subtitle ? `Subtitles: ${getTrackLabel(subtitle)}` : 'Subtitles off';
+  }
+  
+  if (!document.getElementById('audio-menu')?.hidden) renderAudioMenu();
+  if (!document.getElementById('subtitle-menu')?.hidden) renderSubtitleMenu();
+}
+
+/**
+ * Render the audio track menu
+ */
+function renderAudioMenu() {
+  const menu = document.getElementById('audio-menu');
+  if (!menu) return;
+  
+  const current = player.getAudioTrack();
+  renderPlayerMenu(menu, player.getAudioTracks().map(track => ({
+    label: getTrackLabel(track),
+    detail: getTrackDetail(track),
+    active: track.index === current,
+    onSelect: () => {
+      player.setAudioTrack(track.index);
+      closePlayerMenus();
+    },
+  })));
+}
+
+/**
+ * Render the subtitle menu
+ */
+function renderSubtitleMenu() {
+  const menu = document.getElementById('subtitle-menu');
+  if (!menu) return;
+  
+  const current = player.getSubtitleTrack();
+  const select = (index) => {
+    player.setSubtitleTrack(index);
+    closePlayerMenus();
+  };
+  
+  renderPlayerMenu(menu, [
+    { label: 'Off', detail: '', active: current === -1, onSelect: () => select(-1) },
+    ...player.getSubtitleTracks().map(track => ({
+      label: getTrackLabel(track),
+      detail: getTrackDetail(track),
+      active: track.index === current,
+      onSelect: () => select(track.index),
+    })),
+  ]);
+}
+
+// =============================================================================
+// Catch-up Playback
+// =============================================================================
+
+// Archived programme being played: { channel, program, offset }
+// offset is where (in seconds into the programme) the current stream starts
+let catchupSession = null;
+
+// Xtream panels read timeshift start times in their own timezone
+let xtreamTimezone = { key: null, timezone: null };
+
+/**
+ * Play a past programme from the channel's archive
+ * @param {Object} channel - Playlist channel
+ * @param {Object} program - EPG programme
+ * @param {number} [offset=0] - Seconds into the programme to start from
+ */
+async function playCatchup(channel, program, offset = 0) {
+  stopEpgUpdater();
+  ui.showLoading(true);
+  ui.hideError();
+  
+  try {
+    const timezone = channel.catchup?.type === 'xc' ? await getXtreamTimezone() : null;
+    const url = playlist.buildCatchupUrl(channel, program, { offset, timezone });
+    if (!url) {
+      throw new Error('This channel\'s catch-up format isn\'t supported');
+    }
+    
+    catchupSession = { channel, program, offset };
+    ui.setNowPlaying(`${channel.name} · ${program.title} (${epg.formatTime(program.start)})`);
+    ui.updateNowPlayingPanel(channel);
+    ui.updateEpg(null);
+    
+    syncVolumeState();
+    await player.play({ ...channel, url, type: 'catchup' });
+    history.start(channel, {
+      key: `catchup:${channel.id}:${program.start}`,
+      type: 'catchup',
+      title: program.title,
+      genre: channel.group,
+    });
+    console.log('[App] ✓ Catch-up:', program.title, offset ? `from ${formatTimecode(offset)}` : '');
+    
+  } catch (error) {
+    console.error('[App] Catch-up playback failed:', error);
+    catchupSession = null;
+    ui.showLoading(false);
+    ui.showError({
+      message: error.message || 'Catch-up playback failed',
+      hint: error.hint || null,
+      type: error.type || 'unknown'
+    });
+  }
+}
+
+/**
+ * Get the Xtream server's timezone (cached per playlist)
+ * @returns {Promise<string|null>} - null means UTC
+ */
+async function getXtreamTimezone() {
+  if (currentCredentials?.mode !== 'xtream') return null;
+  
+  const key = playlist.getPlaylistKey(currentCredentials);
+  if (xtreamTimezone.key === key) return xtreamTimezone.timezone;
+  
+  let timezone = null;
+  try {
+    const info = await playlist.getXtreamInfo(currentCredentials);
+    timezone = info?.server_info?.timezone || null;
+  } catch (e) {
+    console.warn('[App] ⚠ Could not read server timezone, assuming UTC:', e.message);
+  }
+  
+  xtreamTimezone = { key, timezone };
+  return timezone;
+}
+
+/**
+ * Get position and length for the seek bar
+ * During catch-up this spans the whole programme, whichever part the stream started at.
+ * @param {HTMLVideoElement} video
+ * @returns {{ currentTime: number, duration: number }}
+ */
+function getPlaybackTimeline(video) {
+  if (catchupSession) {
+    const { program, offset } = catchupSession;
+    return {
+      currentTime: offset + (video?.currentTime || 0),
+      duration: (program.end - program.start) / 1000,
+    };
+  }
+  return { currentTime: video?.currentTime || 0, duration: video?.duration };
+}
+
+/**
+ * Seek on the seek bar's timeline
+ * Archive streams often only cover from where they were requested, so seeking outside
+ * the loaded stream asks the provider for a new one starting there.
+ * @param {HTMLVideoElement} video
+ * @param {number} time - Seconds on the timeline
+ */
+function seekPlayback(video, time) {
+  if (!catchupSession) {
+    player.seek(time);
+    return;
+  }
+  
+  const { channel, program, offset } = catchupSession;
+  const streamTime = time - offset;
+  
+  if (streamTime >= 0 && isFinite(video.duration) && streamTime <= video.duration) {
+    player.seek(streamTime);
+  } else {
+    playCatchup(channel, program, Math.floor(time));
+  }
+}
+
+// Favorites toggle is handled directly by UI module
+
+/**
+ * Set up player event listeners
+ */
+function setupPlayerListeners() {
+  console.log('[App] Setting up player listeners');
+  player.on('onStateChange', (state) => {
+    if (state.loading !== undefined) {
+      ui.showLoading(state.loading);
+    }
+  });
+  
+  player.on('onError', (error) => {
+    ui.showLoading(false);
+    ui.showError(error);
+  });
+}
+
+/**
+ * Direct video element event listeners for UI sync
+ * More reliable than going through abstraction layer
+ * @param {HTMLVideoElement} video 
+ */
+function setupVideoElementListeners(video) {
+  console.log('[App] Attaching direct video element listeners');
+  
+  // Play/Pause state sync
+  video.addEventListener('play', () => {
+    console.log('[Video] play event');
+    updatePlayPauseButton(true);
+  });
+  
+  video.addEventListener('pause', () => {
+    console.log('[Video] pause event');
+    updatePlayPauseButton(false);
+  });
+  
+  // Volume/Mute state sync
+  video.addEventListener('volumechange', () => {
+    console.log('[Video] volumechange event', { muted: video.muted, volume: video.volume });
+    updateVolumeIcon();
+  });
+  
+  // Progress bar update
+  video.addEventListener('timeupdate', () => {
+    const { currentTime, duration } = getPlaybackTimeline(video);
+    updateProgressBar(currentTime, duration);
+    trackWatchProgress(video);
+    if (!video.paused) history.tick();
+  });
+  
+  // Keep movie/episode positions when playback pauses or finishes
+  video.addEventListener('pause', () => progress.flush());
+  video.addEventListener('ended', handlePlaybackEnded);
+  
+  // Seeking feedback (optional: show seeking state)
+  video.addEventListener('seeking', () => {
+    console.log('[Video] seeking to', video.currentTime);
+  });
+  
+  video.addEventListener('seeked', () => {
+    console.log('[Video] seeked to', video.currentTime);
+  });
+}
+
+/**
+ * Update play/pause button state
+ */
+function updatePlayPauseButton(playing) {
+  console.log('[App] updatePlayPauseButton:', playing);
+  const playIcon = document.querySelector('#btn-play-pause .icon-play');
+  const pauseIcon = document.querySelector('#btn-play-pause .icon-pause');
+  console.log('[App] Found icons:', { playIcon: !!playIcon, pauseIcon: !!pauseIcon });
+  
+  if (playIcon && pauseIcon) {
+    // Use CSS class toggle instead of hidden attribute (more reliable for SVGs)
+    playIcon.classList.toggle('is-hidden', playing);
+    pauseIcon.classList.toggle('is-hidden', !playing);
+    console.log('[App] Icon classes after toggle:', {
+      playHidden: playIcon.classList.contains('is-hidden'),
+      pauseHidden: pauseIcon.classList.contains('is-hidden')
+    });
+  }
+}
+
+// Global debug functions for testing from browser console
+window.debugPlayerControls = {
+  testPlayPause: () => {
+    const playIcon = document.querySelector('#btn-play-pause .icon-play');
+    const pauseIcon = document.querySelector('#btn-play-pause .icon-pause');
+    console.log('Play icon:', playIcon);
     console.log('Pause icon:', pauseIcon);
     console.log('Play classes:', playIcon?.className);
     console.log('Pause classes:', pauseIcon?.className);
@@ -1212,6 +2123,22 @@ function setupProgressBarScrubbing() {
   
   let isDragging = false;
   
+  /**
+   * Seekable length on the seek bar's timeline (0 for live streams)
+   */
+  function getDuration() {
+    const { duration } = getPlaybackTimeline(video);
+    return duration && isFinite(duration) ? duration : 0;
+  }
+  
+  /**
+   * Current position as a fraction of the timeline
+   */
+  function getActualPercent() {
+    const { currentTime, duration } = getPlaybackTimeline(video);
+    return currentTime / duration;
+  }
+  
   /**
    * Calculate percent from mouse position
    */
@@ -1224,10 +2151,11 @@ function setupProgressBarScrubbing() {
    * Update tooltip position and text
    */
   function updateTooltip(e, percent) {
-    if (!tooltip || !video?.duration || !isFinite(video.duration) || video.duration === 0) return;
+    const duration = getDuration();
+    if (!tooltip || !duration) return;
     
-    const time = percent * video.duration;
-    tooltip.textContent = formatTimecode(time) + ' / ' + formatTimecode(video.duration);
+    const time = percent * duration;
+    tooltip.textContent = formatTimecode(time) + ' / ' + formatTimecode(duration);
     
     // Position tooltip at cursor
     const rect = progressBar.getBoundingClientRect();
@@ -1245,13 +2173,14 @@ function setupProgressBarScrubbing() {
     }
     
     // Check if video has valid duration
-    if (!video.duration || !isFinite(video.duration) || video.duration === 0) {
+    const duration = getDuration();
+    if (!duration) {
       console.warn('[App] Cannot seek - no valid duration (live stream?)');
       return;
     }
     
     // Calculate seek time
-    const seekTime = percent * video.duration;
+    const seekTime = percent * duration;
     
     // Validate seek time
     if (!isFinite(seekTime) || seekTime < 0) {
@@ -1259,10 +2188,10 @@ function setupProgressBarScrubbing() {
       return;
     }
     
-    console.log('[App] Seeking to:', formatTimecode(seekTime), 'of', formatTimecode(video.duration), '(' + (percent * 100).toFixed(1) + '%)');
+    console.log('[App] Seeking to:', formatTimecode(seekTime), 'of', formatTimecode(duration), '(' + (percent * 100).toFixed(1) + '%)');
     
-    // Use the player module's seek function (handles HLS.js properly)
-    player.seek(seekTime);
+    // Uses the player module's seek function (handles HLS.js properly)
+    seekPlayback(video, seekTime);
   }
   
   /**
@@ -1275,7 +2204,7 @@ function setupProgressBarScrubbing() {
   
   // Mouse down - start drag
   progressBar.addEventListener('mousedown', (e) => {
-    if (!video?.duration || !isFinite(video.duration)) return;
+    if (!getDuration()) return;
     
     isDragging = true;
     progressBar.classList.add('is-dragging');
@@ -1299,7 +2228,7 @@ function setupProgressBarScrubbing() {
   
   // Mouse up on progress bar - seek
   progressBar.addEventListener('mouseup', (e) => {
-    if (!video?.duration || !isFinite(video.duration)) return;
+    if (!getDuration()) return;
     
     const percent = getPercentFromEvent(e);
     seekToPercent(percent);
@@ -1312,9 +2241,8 @@ function setupProgressBarScrubbing() {
   progressBar.addEventListener('mouseleave', () => {
     if (isDragging) {
       // Reset to actual position
-      if (video?.duration && isFinite(video.duration)) {
-        const actualPercent = video.currentTime / video.duration;
-        updateScrubberPosition(actualPercent);
+      if (getDuration()) {
+        updateScrubberPosition(getActualPercent());
       }
     }
   });
@@ -1332,9 +2260,8 @@ function setupProgressBarScrubbing() {
         seekToPercent(percent);
       } else {
         // Reset to actual position
-        if (video?.duration && isFinite(video.duration)) {
-          const actualPercent = video.currentTime / video.duration;
-          updateScrubberPosition(actualPercent);
+        if (getDuration()) {
+          updateScrubberPosition(getActualPercent());
         }
       }
     }
@@ -1342,7 +2269,7 @@ function setupProgressBarScrubbing() {
   
   // Global mouse move - continue drag even if mouse leaves progress bar
   document.addEventListener('mousemove', (e) => {
-    if (isDragging && video?.duration && isFinite(video.duration)) {
+    if (isDragging && getDuration()) {
       const rect = progressBar.getBoundingClientRect();
       const percent = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
       updateScrubberPosition(percent);
@@ -1385,6 +2312,10 @@ const modals = {
   settings: null,
   pin: null,
   confirm: null,
+  epgMapping: null,
+  history: null,
+  groups: null,
+  favorites: null,
 };
 
 /**
@@ -1396,6 +2327,10 @@ function setupModals() {
   modals.settings = document.getElementById('modal-settings');
   modals.pin = document.getElementById('modal-pin');
   modals.confirm = document.getElementById('modal-confirm');
+  modals.epgMapping = document.getElementById('modal-epg-mapping');
+  modals.history = document.getElementById('modal-history');
+  modals.groups = document.getElementById('modal-groups');
+  modals.favorites = document.getElementById('modal-favorites');
   
   // Set up dialog event handlers
   Object.entries(modals).forEach(([name, modal]) => {
@@ -1409,7 +2344,7 @@ function setupModals() {
   
   // Add Playlist button
   document.getElementById('btn-add-playlist')?.addEventListener('click', () => {
-    showModal('playlist');
+    showPlaylistModal('add');
   });
   
   // Playlist modal tabs
@@ -1454,14 +2389,43 @@ function setupModals() {
 function showModal(name) {
   const modal = modals[name];
   if (modal && !modal.open) {
-    // Pre-populate playlist form with current credentials if available
-    if (name === 'playlist' && currentCredentials) {
+    // Pre-populate playlist form when editing the current profile
+    if (name === 'playlist' && playlistModalMode === 'edit' && currentCredentials) {
       prefillPlaylistForm(currentCredentials);
     }
+    if (name === 'settings') {
+      updateEpgMappingInfo();
+      updateEpgRefreshInfo();
+      renderEpgSourceList();
+      updateReminderInfo();
+    }
     modal.showModal();
   }
 }
 
+/**
+ * Open the playlist modal
+ * @param {'add'|'edit'} mode - Add a new profile or change the active one
+ */
+function showPlaylistModal(mode) {
+  playlistModalMode = mode;
+  
+  const title = document.querySelector('#modal-playlist .modal__title');
+  if (title) title.textContent = mode === 'edit' ? 'Edit Playlist' : 'Add Playlist';
+  
+  const nameInput = document.getElementById('playlist-name');
+  if (nameInput) nameInput.value = mode === 'edit' ? (storage.getActiveProfile()?.name || '') : '';
+  
+  if (mode === 'add') {
+    document.querySelectorAll('#modal-playlist form').forEach(form => form.reset());
+    const fileNameSpan = document.getElementById('file-name');
+    if (fileNameSpan) fileNameSpan.textContent = '';
+    switchPlaylistTab('xtream');
+  }
+  
+  showModal('playlist');
+}
+
 /**
  * Pre-fill the playlist form with existing credentials
  */
@@ -1474,16 +2438,34 @@ function prefillPlaylistForm(creds) {
     const serverInput = document.getElementById('xtream-server');
     const usernameInput = document.getElementById('xtream-username');
     const passwordInput = document.getElementById('xtream-password');
+    const outputSelect = document.getElementById('xtream-output');
     
     if (serverInput) serverInput.value = creds.server || '';
     if (usernameInput) usernameInput.value = creds.username || '';
     if (passwordInput) passwordInput.value = creds.password || '';
-  } else if (creds.mode === 'm3u-url' && creds.url) {
+    if (outputSelect) outputSelect.value = creds.output || 'm3u8';
+  } else if (creds.mode === 'm3u-url' && creds.playlistUrl) {
     // Switch to M3U URL tab
     switchPlaylistTab('m3u-url');
     
-    const urlInput = document.getElementById('m3u-url-input');
-    if (urlInput) urlInput.value = creds.url;
+    const urlInput = document.getElementById('m3u-url');
+    const epgInput = document.getElementById('epg-url');
+    if (urlInput) urlInput.value = creds.playlistUrl;
+    if (epgInput) epgInput.value = creds.epgUrl || '';
+  } else if (creds.mode === 'm3u-file') {
+    switchPlaylistTab('m3u-file');
+    
+    const epgInput = document.getElementById('file-epg-url');
+    if (epgInput) epgInput.value = creds.epgUrl || '';
+  } else if (creds.mode === 'stalker') {
+    switchPlaylistTab('stalker');
+    
+    const portalInput = document.getElementById('stalker-portal');
+    const macInput = document.getElementById('stalker-mac');
+    const epgInput = document.getElementById('stalker-epg-url');
+    if (portalInput) portalInput.value = creds.portalUrl || '';
+    if (macInput) macInput.value = creds.mac || '';
+    if (epgInput) epgInput.value = creds.epgUrl || '';
   }
 }
 
@@ -1571,6 +2553,7 @@ async function handleLoadPlaylist() {
       const server = document.getElementById('xtream-server').value.trim();
       const username = document.getElementById('xtream-username').value.trim();
       const password = document.getElementById('xtream-password').value;
+      const output = document.getElementById('xtream-output').value;
       const remember = document.getElementById('xtream-remember').checked;
       
       if (!server || !username || !password) {
@@ -1581,7 +2564,7 @@ async function handleLoadPlaylist() {
       const cleanServer = server.replace(/\/+$/, ''); // Remove trailing slashes
       const epgUrl = `${cleanServer}/xmltv.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`;
       
-      creds = { mode: 'xtream', server, username, password, epgUrl };
+      creds = { mode: 'xtream', server, username, password, output, epgUrl };
       console.log('[App] Xtream EPG URL:', epgUrl);
       
       showLoadingState('Connecting to server...');
@@ -1612,12 +2595,34 @@ async function handleLoadPlaylist() {
       
       showLoadingState('Reading file...');
       loadedChannels = await playlist.readM3UFile(fileInput.files[0], updateLoadingMessage);
+      
+    } else if (activeTab === 'stalker') {
+      const portalUrl = document.getElementById('stalker-portal').value.trim();
+      const mac = playlist.normalizeMac(document.getElementById('stalker-mac').value);
+      const epgUrl = document.getElementById('stalker-epg-url').value.trim();
+      
+      if (!portalUrl) {
+        throw new Error('Please enter the portal URL');
+      }
+      if (!mac) {
+        throw new Error('Please enter a valid MAC address (00:1A:79:XX:XX:XX)');
+      }
+      
+      creds = { mode: 'stalker', portalUrl, mac, epgUrl: epgUrl || null };
+      
+      showLoadingState('Connecting to portal...');
+      loadedChannels = await playlist.fetchStalker(creds, updateLoadingMessage);
     }
     
     if (!loadedChannels || loadedChannels.length === 0) {
       throw new Error('No channels found in playlist');
     }
     
+    // Everything stored from here on belongs to the new or edited profile
+    const fileName = document.getElementById('m3u-file')?.files?.[0]?.name;
+    const profileName = document.getElementById('playlist-name')?.value.trim() || getDefaultProfileName(creds, fileName);
+    await saveToProfile(profileName, creds.mode);
+    
     // Store channels
     await playlist.storeChannels(loadedChannels);
     channels = loadedChannels;
@@ -1630,6 +2635,9 @@ async function handleLoadPlaylist() {
     } else if (activeTab === 'm3u-url') {
       const checkbox = document.getElementById('m3u-url-remember');
       remember = checkbox?.checked ?? true;
+    } else if (activeTab === 'stalker') {
+      const checkbox = document.getElementById('stalker-remember');
+      remember = checkbox?.checked ?? true;
     }
     await credentials.storeCredentials(creds, remember);
     currentCredentials = creds;
@@ -1637,10 +2645,12 @@ async function handleLoadPlaylist() {
     // Update UI
     hideLoadingState();
     hideModal('playlist');
-    ui.setChannels(channels);
+    epg.setChannels(channels, playlist.getPlaylistKey(currentCredentials));
+    showLiveChannels();
     ui.showPlayer();
     ui.showToast(`Loaded ${channels.length} channels`, 'success');
     updateSettingsInfo();
+    renderProfileSwitcher();
     
     // Update global search with new channels
     updateGlobalSearchItems();
@@ -1649,8 +2659,8 @@ async function handleLoadPlaylist() {
     // See loadVodSeriesOnDemand() for the on-demand loading logic
     
     // Load EPG if URL provided
-    if (creds.epgUrl) {
-      loadEpg(creds.epgUrl);
+    if (getEpgSources(creds).some(source => source.url)) {
+      loadEpg();
     }
     
   } catch (error) {
@@ -1669,6 +2679,8 @@ function showLoadingState(message) {
   
   // Hide all forms in the playlist modal
   document.querySelectorAll('#modal-playlist .form').forEach(f => f.hidden = true);
+  const nameGroup = document.getElementById('playlist-name-group');
+  if (nameGroup) nameGroup.hidden = true;
   
   if (loading) loading.hidden = false;
   if (loadingMessage) loadingMessage.textContent = message;
@@ -1690,6 +2702,9 @@ function hideLoadingState() {
   
   if (loading) loading.hidden = true;
   
+  const nameGroup = document.getElementById('playlist-name-group');
+  if (nameGroup) nameGroup.hidden = false;
+  
   // Show the active form
   const activeTab = document.querySelector('#playlist-tabs .tab--active')?.dataset.tab;
   document.querySelectorAll('#modal-playlist .tab-content').forEach(content => {
@@ -1796,7 +2811,7 @@ async function handlePinSubmit() {
 function setupSettings() {
   document.getElementById('btn-change-playlist')?.addEventListener('click', () => {
     hideModal('settings');
-    showModal('playlist');
+    showPlaylistModal(currentCredentials ? 'edit' : 'add');
   });
   
   document.getElementById('btn-refresh-playlist')?.addEventListener('click', async () => {
@@ -1875,6 +2890,7 @@ function setupSettings() {
     const country = e.target.value || null;
     locale.setCountryOverride(country);
     updateLocaleInfo();
+    populateTrackLanguageOptions();
     
     // Refresh UI with new locale sorting
     ui.refreshForLocaleChange();
@@ -1891,11 +2907,82 @@ function setupSettings() {
       : `Auto-detected: ${activeCountry}`;
   }
   
+  // EPG display timezone selector
+  const timezoneSelect = document.getElementById('timezone-select');
+  const timezoneInfo = document.getElementById('settings-timezone-info');
+  
+  if (timezoneSelect) {
+    populateTimezoneOptions(timezoneSelect);
+    timezoneSelect.value = epg.getDisplayTimezone() || '';
+    updateTimezoneInfo();
+  }
+  
+  timezoneSelect?.addEventListener('change', (e) => {
+    const timezone = e.target.value || null;
+    epg.setDisplayTimezone(timezone);
+    updateTimezoneInfo();
+    
+    // Re-render guide times in the new timezone
+    ui.refresh();
+    const current = player.getCurrentChannel();
+    if (epg.resolveEpgId(current)) {
+      ui.updateEpg(epg.getNowNext(epg.resolveEpgId(current)));
+      ui.updateNowPlayingPanel(current);
+    }
+    
+    ui.showToast(timezone ? `Guide times shown in ${timezone}` : 'Guide times shown in local time', 'success');
+  });
+  
+  // EPG retention window (how much guide to keep)
+  const pastSelect = document.getElementById('epg-past-select');
+  const futureSelect = document.getElementById('epg-future-select');
+  const retention = epg.getRetentionWindow();
+  if (pastSelect) pastSelect.value = String(retention.pastHours);
+  if (futureSelect) futureSelect.value = String(retention.futureDays);
+  
+  const handleRetentionChange = () => {
+    epg.setRetentionWindow({
+      pastHours: parseInt(pastSelect?.value, 10) || null,
+      futureDays: parseInt(futureSelect?.value, 10) || null,
+    });
+    
+    // Re-fetch so the cache covers the new window
+    if (getEpgSources(currentCredentials).some(source => source.url)) {
+      ui.showToast('Guide window updated - reloading guide', 'info');
+      loadEpg();
+    } else {
+      ui.showToast('Guide window updated', 'success');
+    }
+  };
+  pastSelect?.addEventListener('change', handleRetentionChange);
+  futureSelect?.addEventListener('change', handleRetentionChange);
+  
+  // Background refresh age
+  const refreshSelect = document.getElementById('epg-refresh-select');
+  if (refreshSelect) refreshSelect.value = String(epg.getRefreshHours());
+  
+  refreshSelect?.addEventListener('change', () => {
+    const hours = parseInt(refreshSelect.value, 10) || 0;
+    epg.setRefreshHours(hours);
+    ui.showToast(hours ? 'Guide will refresh automatically' : 'Guide will only refresh with the playlist', 'success');
+    checkEpgRefresh();
+  });
+  
+  function updateTimezoneInfo() {
+    if (!timezoneInfo) return;
+    const timezone = epg.getDisplayTimezone();
+    const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    timezoneInfo.textContent = timezone ? `Set to ${timezone}` : `Browser local time (${localZone})`;
+  }
+  
   // Logout button (in header)
   document.getElementById('btn-logout')?.addEventListener('click', () => {
+    const others = storage.getProfiles().length > 1;
     showConfirmDialog(
       'Logout',
-      'This will clear your saved credentials and return to the login screen.',
+      others
+        ? `This will remove "${storage.getActiveProfile()?.name}" with its channels and favorites, and switch to your next playlist.`
+        : 'This will clear your saved credentials and return to the login screen.',
       async () => {
         await logout();
       }
@@ -1947,16 +3034,519 @@ function setupSettings() {
   });
 }
 
+// =============================================================================
+// EPG Channel Matching (review & manual overrides)
+// =============================================================================
+
+const MAX_MAPPING_ROWS = 200; // Limit for performance
+const MAPPING_LABELS = { id: 'ID', name: 'Name', manual: 'Manual' };
+
 /**
- * Run comprehensive proxy test
+ * Set up the channel matching review modal
  */
-async function runProxyTest(proxyUrl, statusEl, logEl) {
-  const log = (msg, type = '') => {
-    const span = document.createElement('span');
-    span.className = type ? `log-${type}` : '';
-    span.textContent = msg + '\n';
-    logEl.appendChild(span);
-    logEl.scrollTop = logEl.scrollHeight;
+function setupEpgMapping() {
+  const searchInput = document.getElementById('epg-mapping-search');
+  const filterSelect = document.getElementById('epg-mapping-filter');
+  const list = document.getElementById('epg-mapping-list');
+  
+  document.getElementById('btn-review-epg-mapping')?.addEventListener('click', () => {
+    if (!epg.isLoaded()) {
+      ui.showToast('Load a TV guide first', 'info');
+      return;
+    }
+    hideModal('settings');
+    showEpgMappingModal();
+  });
+  
+  document.getElementById('modal-epg-mapping-close')?.addEventListener('click', () => hideModal('epgMapping'));
+  document.getElementById('btn-close-epg-mapping')?.addEventListener('click', () => hideModal('epgMapping'));
+  
+  searchInput?.addEventListener('input', renderEpgMappingList);
+  filterSelect?.addEventListener('change', renderEpgMappingList);
+  
+  // Event delegation: override input changes and "Auto" buttons
+  list?.addEventListener('change', (e) => {
+    const input = e.target.closest('.epg-mapping__input');
+    if (!input) return;
+    handleMappingChange(input.dataset.channelId, input.value.trim());
+  });
+  
+  list?.addEventListener('click', (e) => {
+    const autoBtn = e.target.closest('[data-mapping-auto]');
+    if (!autoBtn) return;
+    epg.setMappingOverride(autoBtn.dataset.mappingAuto, null);
+    onMappingsChanged();
+  });
+}
+
+/**
+ * Open the matching modal with fresh guide channel options
+ */
+function showEpgMappingModal() {
+  const datalist = document.getElementById('epg-channel-options');
+  if (datalist) {
+    datalist.textContent = '';
+    const fragment = document.createDocumentFragment();
+    epg.getEpgChannels().forEach(channel => {
+      const option = document.createElement('option');
+      option.value = channel.id;
+      if (channel.names[0]) option.label = channel.names[0];
+      fragment.appendChild(option);
+    });
+    datalist.appendChild(fragment);
+  }
+  
+  renderEpgMappingList();
+  showModal('epgMapping');
+}
+
+/**
+ * Render channel rows filtered by search text and match type
+ */
+function renderEpgMappingList() {
+  const list = document.getElementById('epg-mapping-list');
+  const summary = document.getElementById('epg-mapping-summary');
+  if (!list) return;
+  
+  const query = (document.getElementById('epg-mapping-search')?.value || '').trim().toLowerCase();
+  const filter = document.getElementById('epg-mapping-filter')?.value || 'all';
+  
+  const matches = channels.filter(channel => {
+    const mapping = epg.getMapping(channel);
+    if (filter === 'unmatched' && mapping?.epgId) return false;
+    if (filter === 'name' && mapping?.method !== 'name') return false;
+    if (filter === 'manual' && mapping?.method !== 'manual') return false;
+    return !query || channel.name.toLowerCase().includes(query);
+  });
+  
+  if (summary) {
+    const shown = Math.min(matches.length, MAX_MAPPING_ROWS);
+    summary.textContent = matches.length > MAX_MAPPING_ROWS
+      ? `Showing ${shown} of ${matches.length} channels - refine the filter to see more`
+      : `${matches.length} channel${matches.length === 1 ? '' : 's'}`;
+  }
+  
+  const fragment = document.createDocumentFragment();
+  matches.slice(0, MAX_MAPPING_ROWS).forEach(channel => {
+    const mapping = epg.getMapping(channel);
+    
+    const row = document.createElement('div');
+    row.className = 'epg-mapping__row';
+    
+    const info = document.createElement('div');
+    info.className = 'epg-mapping__channel';
+    const name = document.createElement('span');
+    name.className = 'epg-mapping__name';
+    name.textContent = channel.name;
+    const group = document.createElement('span');
+    group.className = 'epg-mapping__group';
+    group.textContent = channel.group || '';
+    info.append(name, group);
+    
+    const status = document.createElement('span');
+    const method = mapping?.epgId ? mapping.method : 'none';
+    status.className = `epg-mapping__status epg-mapping__status--${method}`;
+    status.textContent = MAPPING_LABELS[method] || 'None';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'input epg-mapping__input';
+    input.setAttribute('list', 'epg-channel-options');
+    input.placeholder = 'No guide';
+    input.value = mapping?.epgId || '';
+    input.dataset.channelId = channel.id;
+    
+    row.append(info, status, input);
+    
+    if (mapping?.method === 'manual') {
+      const autoBtn = document.createElement('button');
+      autoBtn.className = 'btn btn--outline btn--small';
+      autoBtn.textContent = 'Auto';
+      autoBtn.title = 'Return to automatic matching';
+      autoBtn.dataset.mappingAuto = channel.id;
+      row.appendChild(autoBtn);
+    }
+    
+    fragment.appendChild(row);
+  });
+  
+  list.textContent = '';
+  list.appendChild(fragment);
+}
+
+/**
+ * Apply a manual mapping typed or picked by the user
+ * @param {string} channelId 
+ * @param {string} epgId - Guide channel id, or '' for no guide
+ */
+function handleMappingChange(channelId, epgId) {
+  if (epgId && !epg.getEpgChannels().some(channel => channel.id === epgId)) {
+    ui.showToast(`Unknown guide channel: ${epgId}`, 'error');
+    renderEpgMappingList();
+    return;
+  }
+  
+  epg.setMappingOverride(channelId, epgId);
+  onMappingsChanged();
+}
+
+/**
+ * Refresh everything that shows guide data after a mapping change
+ */
+function onMappingsChanged() {
+  renderEpgMappingList();
+  updateEpgMappingInfo();
+  ui.refresh();
+  
+  const current = player.getCurrentChannel();
+  if (current) {
+    ui.updateEpg(epg.resolveEpgId(current) ? epg.getNowNext(epg.resolveEpgId(current)) : null);
+    ui.updateNowPlayingPanel(current);
+  }
+}
+
+/**
+ * Update the matching summary in settings
+ */
+function updateEpgMappingInfo() {
+  const info = document.getElementById('settings-epg-mapping-info');
+  if (!info) return;
+  
+  if (!epg.isLoaded() || channels.length === 0) {
+    info.textContent = 'No guide loaded';
+    return;
+  }
+  
+  const matched = channels.filter(channel => epg.getMapping(channel)?.epgId).length;
+  info.textContent = `${matched} of ${channels.length} channels matched`;
+}
+
+// =============================================================================
+// EPG Sources (several XMLTV feeds per playlist, in priority order)
+// =============================================================================
+
+/**
+ * Set up the guide source list in settings
+ */
+function setupEpgSources() {
+  const urlInput = document.getElementById('epg-source-url');
+  const list = document.getElementById('epg-source-list');
+  
+  document.getElementById('btn-add-epg-source')?.addEventListener('click', handleAddEpgSource);
+  urlInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAddEpgSource();
+    }
+  });
+  
+  // Event delegation: move up/down and remove buttons
+  list?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-source-action]');
+    if (!btn) return;
+    
+    const { sourceAction, sourceId } = btn.dataset;
+    if (sourceAction === 'up') moveEpgSource(sourceId, -1);
+    if (sourceAction === 'down') moveEpgSource(sourceId, 1);
+    if (sourceAction === 'remove') removeEpgSource(sourceId);
+  });
+}
+
+/**
+ * Render the source list with each source's last load status
+ */
+function renderEpgSourceList() {
+  const list = document.getElementById('epg-source-list');
+  if (!list) return;
+  
+  const sources = getEpgSources(currentCredentials);
+  const fragment = document.createDocumentFragment();
+  
+  if (sources.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'settings-value';
+    empty.textContent = currentCredentials ? 'No guide sources - add one below' : 'Load a playlist first';
+    fragment.appendChild(empty);
+  }
+  
+  sources.forEach((source, i) => {
+    const row = document.createElement('div');
+    row.className = 'epg-sources__row';
+    
+    const info = document.createElement('div');
+    info.className = 'epg-sources__info';
+    
+    const name = document.createElement('span');
+    name.className = 'epg-sources__name';
+    name.textContent = `${i + 1}. ${getEpgSourceName(source)}`;
+    
+    const url = document.createElement('span');
+    url.className = 'epg-sources__url';
+    url.textContent = source.url || 'No guide URL for this playlist';
+    url.title = source.url || '';
+    
+    const status = epg.getSourceStatus(source.id);
+    const statusEl = document.createElement('span');
+    statusEl.className = `epg-sources__status epg-sources__status--${status?.state || 'none'}`;
+    statusEl.textContent = formatEpgSourceStatus(status);
+    if (status?.message) statusEl.title = status.message;
+    
+    info.append(name, url, statusEl);
+    row.appendChild(info);
+    
+    const buttons = [
+      ['up', '↑', 'Higher priority', i === 0],
+      ['down', '↓', 'Lower priority', i === sources.length - 1],
+      ['remove', '✕', 'Remove source', false],
+    ];
+    buttons.forEach(([action, label, title, disabled]) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn btn--outline btn--small';
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = disabled;
+      btn.dataset.sourceAction = action;
+      btn.dataset.sourceId = source.id;
+      row.appendChild(btn);
+    });
+    
+    fragment.appendChild(row);
+  });
+  
+  list.textContent = '';
+  list.appendChild(fragment);
+}
+
+/**
+ * Short display name for a source
+ * @param {Object} source 
+ * @returns {string}
+ */
+function getEpgSourceName(source) {
+  if (source.id === PLAYLIST_EPG_SOURCE) return 'Playlist guide';
+  try {
+    return new URL(source.url).hostname;
+  } catch (e) {
+    return source.url;
+  }
+}
+
+/**
+ * Describe a source's load status
+ * @param {Object|null} status - From epg.getSourceStatus
+ * @returns {string}
+ */
+function formatEpgSourceStatus(status) {
+  if (!status) return 'Not loaded yet';
+  
+  const time = status.at ? epg.formatTime(status.at) : '';
+  switch (status.state) {
+    case 'loading': return 'Loading...';
+    case 'queued': return 'Waiting...';
+    case 'ok': return `✓ ${status.channels || 0} channels, ${status.programmes || 0} programmes · ${time}`;
+    case 'not-modified': return `✓ Unchanged · checked ${time}`;
+    case 'error': return `✗ ${status.message || 'Failed'} · ${time}`;
+    default: return '';
+  }
+}
+
+/**
+ * Add the URL typed in settings as the lowest priority source
+ */
+function handleAddEpgSource() {
+  const input = document.getElementById('epg-source-url');
+  const url = input?.value.trim();
+  if (!url) return;
+  
+  if (!currentCredentials) {
+    ui.showToast('Load a playlist first', 'info');
+    return;
+  }
+  
+  try {
+    new URL(url);
+  } catch (e) {
+    ui.showToast('Enter a valid guide URL', 'error');
+    return;
+  }
+  
+  const sources = getEpgSources(currentCredentials);
+  if (sources.some(source => source.url === url)) {
+    ui.showToast('That guide is already in the list', 'info');
+    return;
+  }
+  
+  sources.push({ id: `src_${Date.now().toString(36)}`, url });
+  saveEpgSources(sources);
+  input.value = '';
+  
+  ui.showToast('Guide source added - loading', 'info');
+  loadEpg();
+}
+
+/**
+ * Move a source up or down the priority list
+ * @param {string} id 
+ * @param {number} delta - -1 (up) or 1 (down)
+ */
+function moveEpgSource(id, delta) {
+  const sources = getEpgSources(currentCredentials);
+  const from = sources.findIndex(source => source.id === id);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= sources.length) return;
+  
+  [sources[from], sources[to]] = [sources[to], sources[from]];
+  saveEpgSources(sources);
+}
+
+/**
+ * Remove a source (its cached programmes are dropped too)
+ * @param {string} id 
+ */
+function removeEpgSource(id) {
+  const sources = getEpgSources(currentCredentials).filter(source => source.id !== id);
+  saveEpgSources(sources);
+  ui.showToast('Guide source removed', 'success');
+}
+
+/**
+ * Persist the source list and re-merge the guide in the new order
+ * @param {Array} sources 
+ */
+function saveEpgSources(sources) {
+  // The playlist guide's URL always comes from the credentials
+  const stored = sources.map(({ id, url }) => (id === PLAYLIST_EPG_SOURCE ? { id } : { id, url }));
+  storage.setEpgSources(playlist.getPlaylistKey(currentCredentials), stored);
+  
+  epg.setSources(getEpgSources(currentCredentials));
+  renderEpgSourceList();
+  onMappingsChanged();
+}
+
+// =============================================================================
+// Programme Reminders
+// =============================================================================
+
+/**
+ * Alert shortly before programmes with a reminder start
+ * Uses a system notification when the tab is in the background, otherwise a toast.
+ */
+function setupReminders() {
+  reminders.on('onDue', handleReminderDue);
+  reminders.init();
+  
+  const leadSelect = document.getElementById('reminder-lead-select');
+  if (leadSelect) leadSelect.value = String(reminders.getLeadMinutes());
+  
+  leadSelect?.addEventListener('change', () => {
+    reminders.setLeadMinutes(parseInt(leadSelect.value, 10) || 0);
+    ui.showToast('Reminder time updated', 'success');
+  });
+  
+  document.getElementById('btn-enable-notifications')?.addEventListener('click', async () => {
+    const permission = await reminders.requestNotificationPermission();
+    if (permission === 'denied') {
+      ui.showToast('Notifications are blocked - allow them in your browser settings', 'warning');
+    }
+    updateReminderInfo();
+  });
+}
+
+/**
+ * Raise a due reminder with a one-click tune action
+ * @param {Object} reminder
+ */
+function handleReminderDue(reminder) {
+  const minutesLeft = Math.round((reminder.start - Date.now()) / 60000);
+  const when = minutesLeft > 0 ? `Starting in ${minutesLeft} min` : 'Starting now';
+  const message = `${when} on ${reminder.channelName}`;
+  
+  const tune = () => {
+    const channel = channels.find(ch => ch.id === reminder.channelId);
+    if (channel) {
+      ui.selectChannel(channel);
+    } else {
+      ui.showToast(`${reminder.channelName} is no longer in your playlist`, 'error');
+    }
+  };
+  
+  // A toast is easy to miss when the app isn't on screen
+  if (document.hidden && reminders.showSystemNotification(reminder, message, tune)) return;
+  
+  ui.showToast(`${message}: ${reminder.title}`, 'info', 15000, { label: 'Tune now', onClick: tune });
+}
+
+/**
+ * Update reminder settings info
+ */
+function updateReminderInfo() {
+  const info = document.getElementById('settings-reminder-info');
+  const enableBtn = document.getElementById('btn-enable-notifications');
+  if (!info) return;
+  
+  const permission = reminders.getNotificationPermission();
+  const count = reminders.getAll().length;
+  const pending = count ? `${count} reminder${count === 1 ? '' : 's'} set` : 'No reminders set';
+  
+  const status = {
+    granted: 'notifications on',
+    denied: 'notifications blocked',
+    default: 'in-app only',
+    unsupported: 'in-app only',
+  }[permission];
+  
+  info.textContent = `${pending} · ${status}`;
+  if (enableBtn) enableBtn.hidden = permission !== 'default';
+}
+
+// Fallback list for browsers without Intl.supportedValuesOf
+const COMMON_TIMEZONES = [
+  'UTC', 'Europe/London', 'Europe/Dublin', 'Europe/Lisbon', 'Europe/Paris', 'Europe/Berlin',
+  'Europe/Madrid', 'Europe/Rome', 'Europe/Amsterdam', 'Europe/Stockholm', 'Europe/Warsaw',
+  'Europe/Athens', 'Europe/Istanbul', 'Europe/Moscow', 'Asia/Dubai', 'Asia/Riyadh',
+  'Asia/Kolkata', 'Asia/Shanghai', 'Asia/Tokyo', 'Asia/Seoul', 'Australia/Sydney',
+  'Pacific/Auckland', 'America/New_York', 'America/Chicago', 'America/Denver',
+  'America/Los_Angeles', 'America/Toronto', 'America/Mexico_City', 'America/Sao_Paulo',
+];
+
+/**
+ * Populate timezone select with IANA timezone names
+ * @param {HTMLSelectElement} select 
+ */
+function populateTimezoneOptions(select) {
+  let zones = COMMON_TIMEZONES;
+  try {
+    if (typeof Intl.supportedValuesOf === 'function') {
+      zones = Intl.supportedValuesOf('timeZone');
+    }
+  } catch (e) {
+    // Use fallback list
+  }
+  
+  // Keep a previously saved zone selectable even if not in the list
+  const saved = epg.getDisplayTimezone();
+  if (saved && !zones.includes(saved)) zones = [saved, ...zones];
+  
+  const fragment = document.createDocumentFragment();
+  zones.forEach(zone => {
+    const option = document.createElement('option');
+    option.value = zone;
+    option.textContent = zone.replace(/_/g, ' ');
+    fragment.appendChild(option);
+  });
+  select.appendChild(fragment);
+}
+
+/**
+ * Run comprehensive proxy test
+ */
+async function runProxyTest(proxyUrl, statusEl, logEl) {
+  const log = (msg, type = '') => {
+    const span = document.createElement('span');
+    span.className = type ? `log-${type}` : '';
+    span.textContent = msg + '\n';
+    logEl.appendChild(span);
+    logEl.scrollTop = logEl.scrollHeight;
   };
   
   log('PROXY DIAGNOSTIC TEST');
@@ -2120,21 +3710,32 @@ async function runProxyTest(proxyUrl, statusEl, logEl) {
 }
 
 /**
- * Logout - clear all stored data and return to onboarding
+ * Logout - remove the active playlist profile
+ * With other profiles saved, switches to the next one; otherwise clears all stored
+ * data and returns to onboarding.
  */
 async function logout() {
   try {
-    // Clear all storage
-    await storage.clearAllData();
-    await playlist.clearChannels();
-    await epg.clear();
+    // Before switching profile - it clears the active profile's saved login
     credentials.clearCredentials();
     
+    const activeId = storage.getActiveProfileId();
+    const remaining = activeId ? await storage.removeProfile(activeId) : [];
+    
+    if (remaining.length > 0) {
+      storage.setActiveProfile(remaining[0].id);
+    } else {
+      // Clear all storage
+      await storage.clearAllData();
+      await playlist.clearChannels();
+      await epg.clear();
+    }
+    
     // Clear app state
     currentCredentials = null;
     channels = [];
     
-    ui.showToast('Logged out - reloading...', 'success');
+    ui.showToast(remaining.length > 0 ? `Switching to ${remaining[0].name}...` : 'Logged out - reloading...', 'success');
     
     // Reload to show onboarding
     setTimeout(() => location.reload(), 500);
@@ -2192,13 +3793,18 @@ function updateSettingsInfo() {
   if (playlistInfo) {
     if (currentCredentials) {
       const { mode } = currentCredentials;
+      const name = storage.getActiveProfile()?.name;
+      let source = '';
       if (mode === 'xtream') {
-        playlistInfo.textContent = `Xtream: ${currentCredentials.server}`;
+        source = `Xtream: ${currentCredentials.server}`;
       } else if (mode === 'm3u-url') {
-        playlistInfo.textContent = 'M3U URL';
+        source = 'M3U URL';
       } else if (mode === 'm3u-file') {
-        playlistInfo.textContent = 'Local file';
+        source = 'Local file';
+      } else if (mode === 'stalker') {
+        source = `Stalker: ${currentCredentials.portalUrl}`;
       }
+      playlistInfo.textContent = name ? `${name} (${source})` : source;
     } else {
       playlistInfo.textContent = 'None loaded';
     }
@@ -2223,6 +3829,1099 @@ function updateSettingsInfo() {
   }
 }
 
+// =============================================================================
+// Watch Progress (resume, continue watching, next episode)
+// =============================================================================
+
+const UP_NEXT_SECONDS = 10;
+
+// Countdown to the next episode: { episode, timer }
+let upNext = null;
+
+/**
+ * Load saved positions and wire up the next-episode countdown
+ */
+function setupWatchProgress() {
+  progress.init();
+  
+  document.getElementById('btn-up-next-play')?.addEventListener('click', playUpNext);
+  document.getElementById('btn-up-next-cancel')?.addEventListener('click', cancelUpNext);
+  
+  // Throttled writes may still be pending when the tab closes
+  window.addEventListener('pagehide', () => progress.flush());
+}
+
+/**
+ * Record the position of the playing movie or episode
+ * @param {HTMLVideoElement} video
+ */
+function trackWatchProgress(video) {
+  const item = player.getCurrentChannel();
+  if (!progress.getKey(item) || video.seeking) return;
+  
+  progress.update(item, video.currentTime, video.duration);
+}
+
+/**
+ * Jump to a saved position, with a way back to the start
+ * @param {number} position - Seconds
+ */
+function resumePlayback(position) {
+  player.seek(position);
+  ui.showToast(`Resuming from ${formatTimecode(position)}`, 'info', 5000, {
+    label: 'Start over',
+    onClick: () => player.seek(0),
+  });
+}
+
+/**
+ * Mark a finished movie or episode as watched and queue the next episode
+ */
+async function handlePlaybackEnded() {
+  const item = player.getCurrentChannel();
+  if (!progress.getKey(item)) return;
+  
+  progress.setWatched(item);
+  if (item.type !== 'episode') return;
+  
+  const next = await findNextEpisode(item);
+  
+  // Something else may have been picked while the episode list loaded
+  if (next && player.getCurrentChannel() === item) {
+    startUpNext(next);
+  }
+}
+
+/**
+ * Find the episode after this one (next season's first episode after a finale)
+ * @param {Object} episode
+ * @returns {Promise<Object|null>}
+ */
+async function findNextEpisode(episode) {
+  let episodes = seriesEpisodesCache[episode.seriesId];
+  
+  // Started from "Continue watching" without opening the series
+  if (!episodes) {
+    try {
+      const seriesInfo = await playlist.fetchSeriesInfo(currentCredentials, episode.seriesId);
+      episodes = seriesEpisodesCache[episode.seriesId] = seriesInfo.episodes;
+    } catch (error) {
+      console.warn('[App] ⚠ Could not load episodes for autoplay:', error.message);
+      return null;
+    }
+  }
+  
+  const index = episodes.findIndex(ep => String(ep.id) === String(episode.id));
+  return index !== -1 ? episodes[index + 1] || null : null;
+}
+
+/**
+ * Show the countdown and play the next episode when it runs out
+ * @param {Object} episode
+ */
+function startUpNext(episode) {
+  cancelUpNext();
+  
+  let remaining = UP_NEXT_SECONDS;
+  ui.showUpNext(episode, remaining);
+  
+  upNext = {
+    episode,
+    timer: setInterval(() => {
+      remaining--;
+      if (remaining <= 0) {
+        playUpNext();
+      } else {
+        ui.showUpNext(episode, remaining);
+      }
+    }, 1000),
+  };
+}
+
+/**
+ * Play the queued episode now
+ */
+function playUpNext() {
+  const episode = upNext?.episode;
+  cancelUpNext();
+  if (episode) handleChannelSelect(episode);
+}
+
+/**
+ * Stop the next-episode countdown
+ */
+function cancelUpNext() {
+  if (upNext) {
+    clearInterval(upNext.timer);
+    upNext = null;
+  }
+  ui.hideUpNext();
+}
+
+// =============================================================================
+// Watch History
+// =============================================================================
+
+const MAX_HISTORY_ROWS = 200; // Limit for performance
+const HISTORY_TYPE_LABELS = { live: 'Live', catchup: 'Catch-up', vod: 'Movie', episode: 'Episode' };
+
+// Newest first, loaded when the dashboard opens
+let historyEntries = [];
+
+/**
+ * Set up history logging and the dashboard
+ */
+function setupWatchHistory() {
+  // Save the open entry when playback stops or the tab closes
+  player.on('onStateChange', (state) => {
+    if (state.playing === false && state.channel === null) history.flush();
+  });
+  window.addEventListener('pagehide', () => history.flush());
+  
+  document.getElementById('btn-open-history')?.addEventListener('click', () => {
+    hideModal('settings');
+    showHistoryModal();
+  });
+  
+  document.getElementById('modal-history-close')?.addEventListener('click', () => hideModal('history'));
+  document.getElementById('btn-close-history')?.addEventListener('click', () => hideModal('history'));
+  document.getElementById('history-search')?.addEventListener('input', renderHistoryList);
+  document.getElementById('btn-export-history')?.addEventListener('click', exportHistory);
+  
+  document.getElementById('btn-clear-history')?.addEventListener('click', () => {
+    showConfirmDialog('Clear watch history', 'This deletes the watch history of every playlist on this device.', async () => {
+      await history.clear();
+      await renderHistoryDashboard();
+      ui.showToast('Watch history cleared', 'success');
+    });
+  });
+}
+
+/**
+ * Start logging what just started playing
+ * @param {Object} item - Channel, movie or episode
+ */
+function startWatchHistory(item) {
+  const type = item.type || 'live';
+  
+  history.start(item, {
+    key: `${type}:${item.id}`,
+    type,
+    title: type === 'episode' ? item.seriesName : '',
+    genre: getHistoryGenre(item),
+  });
+}
+
+/**
+ * Pick the genre an item counts toward
+ * Channels use their group; movies their first genre, else their category.
+ * @param {Object} item
+ * @returns {string}
+ */
+function getHistoryGenre(item) {
+  if (item.type === 'vod' || item.type === 'episode') {
+    const genre = (item.genre || '').split(',')[0].trim();
+    if (genre) return genre;
+    
+    const category = vodCategories.find(cat => String(cat.category_id) === String(item.group));
+    return category?.category_name || '';
+  }
+  return item.group || '';
+}
+
+/**
+ * Open the dashboard with the latest history
+ */
+async function showHistoryModal() {
+  await history.flush();
+  
+  const searchInput = document.getElementById('history-search');
+  if (searchInput) searchInput.value = '';
+  
+  await renderHistoryDashboard();
+  showModal('history');
+}
+
+/**
+ * Render the summary, chart, top lists and history rows
+ */
+async function renderHistoryDashboard() {
+  historyEntries = await history.getEntries();
+  const stats = history.getStats(historyEntries);
+  const lastWeek = stats.perDay.slice(-7).reduce((sum, day) => sum + day.seconds, 0);
+  
+  const summary = document.getElementById('history-summary');
+  if (summary) {
+    summary.textContent = '';
+    [
+      [formatWatchTime(stats.totalSeconds), 'Total watched'],
+      [formatWatchTime(lastWeek), 'Last 7 days'],
+      [String(stats.sessions), 'Sessions'],
+    ].forEach(([value, label]) => {
+      const item = document.createElement('div');
+      item.className = 'history-summary__item';
+      const valueEl = document.createElement('span');
+      valueEl.className = 'history-summary__value';
+      valueEl.textContent = value;
+      const labelEl = document.createElement('span');
+      labelEl.className = 'history-summary__label';
+      labelEl.textContent = label;
+      item.append(valueEl, labelEl);
+      summary.appendChild(item);
+    });
+  }
+  
+  const chart = document.getElementById('history-chart');
+  if (chart) {
+    chart.textContent = '';
+    const maxSeconds = Math.max(...stats.perDay.map(day => day.seconds), 1);
+    stats.perDay.forEach(day => {
+      const column = document.createElement('div');
+      column.className = 'history-chart__day';
+      column.title = `${day.date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}: ${formatWatchTime(day.seconds)}`;
+      const bar = document.createElement('div');
+      bar.className = 'history-chart__bar';
+      bar.style.height = `${(day.seconds / maxSeconds) * 100}%`;
+      const label = document.createElement('span');
+      label.className = 'history-chart__label';
+      label.textContent = day.date.getDate();
+      column.append(bar, label);
+      chart.appendChild(column);
+    });
+  }
+  
+  renderHistoryTop(document.getElementById('history-top-channels'), stats.topChannels);
+  renderHistoryTop(document.getElementById('history-top-genres'), stats.topGenres);
+  renderHistoryList();
+}
+
+/**
+ * Render a most-watched list
+ * @param {HTMLElement} list
+ * @param {Array} items - [{ name, seconds }]
+ */
+function renderHistoryTop(list, items) {
+  if (!list) return;
+  list.textContent = '';
+  
+  if (items.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = 'Nothing watched yet';
+    list.appendChild(empty);
+    return;
+  }
+  
+  items.forEach(item => {
+    const row = document.createElement('li');
+    row.className = 'history-top__item';
+    const name = document.createElement('span');
+    name.className = 'history-top__name';
+    name.textContent = item.name;
+    const time = document.createElement('span');
+    time.className = 'history-top__time';
+    time.textContent = formatWatchTime(item.seconds);
+    row.append(name, time);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Render history rows matching the search box
+ */
+function renderHistoryList() {
+  const list = document.getElementById('history-list');
+  const count = document.getElementById('history-count');
+  if (!list) return;
+  
+  const query = document.getElementById('history-search')?.value || '';
+  const matches = history.search(historyEntries, query);
+  
+  if (count) {
+    count.textContent = matches.length > MAX_HISTORY_ROWS
+      ? `Showing ${MAX_HISTORY_ROWS} of ${matches.length} entries - search to see older ones`
+      : `${matches.length} entr${matches.length === 1 ? 'y' : 'ies'}`;
+  }
+  
+  const fragment = document.createDocumentFragment();
+  matches.slice(0, MAX_HISTORY_ROWS).forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'history-row';
+    
+    const when = document.createElement('span');
+    when.className = 'history-row__when';
+    when.textContent = new Date(entry.start).toLocaleString(undefined, {
+      day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+    });
+    
+    const info = document.createElement('div');
+    info.className = 'history-row__info';
+    const name = document.createElement('span');
+    name.className = 'history-row__name';
+    name.textContent = entry.title ? `${entry.name} · ${entry.title}` : entry.name;
+    const details = document.createElement('span');
+    details.className = 'history-row__details';
+    details.textContent = [HISTORY_TYPE_LABELS[entry.type], entry.genre, entry.playlist].filter(Boolean).join(' · ');
+    info.append(name, details);
+    
+    const duration = document.createElement('span');
+    duration.className = 'history-row__duration';
+    duration.textContent = formatWatchTime(entry.duration);
+    
+    row.append(when, info, duration);
+    fragment.appendChild(row);
+  });
+  
+  list.textContent = '';
+  list.appendChild(fragment);
+}
+
+/**
+ * Download the whole history as JSON
+ */
+async function exportHistory() {
+  await history.flush();
+  const entries = await history.getEntries();
+  const blob = new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'simple-iptv-history.json';
+  a.click();
+  URL.revokeObjectURL(url);
+  ui.showToast(`Exported ${entries.length} history entries`, 'success');
+}
+
+/**
+ * Format watched time for the dashboard
+ * @param {number} seconds
+ * @returns {string} - e.g. "2h 05m", "12m", "<1m"
+ */
+function formatWatchTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// =============================================================================
+// Channel Groups (custom groups, renaming, hiding and order)
+// =============================================================================
+
+const MAX_GROUP_CHANNEL_ROWS = 300; // Limit for performance
+
+// Group whose channels are shown in the editor
+let editedGroupKey = null;
+// Row being dragged: { type: 'group' | 'channel', id }
+let groupDrag = null;
+
+/**
+ * Set up the group editor
+ */
+function setupChannelGroups() {
+  const groupList = document.getElementById('groups-list');
+  const channelList = document.getElementById('groups-channel-list');
+  
+  document.getElementById('btn-manage-groups')?.addEventListener('click', () => {
+    if (channels.length === 0) {
+      ui.showToast('Load a playlist first', 'info');
+      return;
+    }
+    hideModal('settings');
+    showGroupsModal();
+  });
+  
+  document.getElementById('modal-groups-close')?.addEventListener('click', () => hideModal('groups'));
+  document.getElementById('btn-close-groups')?.addEventListener('click', () => hideModal('groups'));
+  document.getElementById('groups-channel-search')?.addEventListener('input', renderGroupChannelList);
+  
+  const createGroup = () => {
+    const input = document.getElementById('groups-new-name');
+    const name = input?.value.trim();
+    if (!name) return;
+    
+    const key = channelGroups.createGroup(name);
+    if (!key) {
+      ui.showToast(`There is already a group called "${name}"`, 'info');
+      return;
+    }
+    input.value = '';
+    editedGroupKey = key;
+    renderGroupEditor();
+  };
+  document.getElementById('btn-create-group')?.addEventListener('click', createGroup);
+  document.getElementById('groups-new-name')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createGroup();
+  });
+  
+  document.getElementById('btn-reset-groups')?.addEventListener('click', () => {
+    showConfirmDialog('Reset groups', 'Remove all custom groups, names, hidden items and ordering for this playlist?', () => {
+      editedGroupKey = null;
+      channelGroups.reset();
+      ui.showToast('Groups reset', 'success');
+    });
+  });
+  
+  // Event delegation: renames, hide/delete buttons and picking a group
+  groupList?.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-group-name]');
+    if (!input || channelGroups.renameGroup(input.dataset.groupName, input.value)) return;
+    
+    // Rejected - two groups with one name would merge in the category list
+    if (input.value.trim()) {
+      ui.showToast(`There is already a group called "${input.value.trim()}"`, 'info');
+    }
+    renderGroupEditor();
+  });
+  
+  groupList?.addEventListener('click', (e) => {
+    const hideBtn = e.target.closest('[data-group-hide]');
+    const deleteBtn = e.target.closest('[data-group-delete]');
+    const row = e.target.closest('[data-group-key]');
+    
+    if (hideBtn) {
+      channelGroups.setGroupHidden(hideBtn.dataset.groupHide, hideBtn.dataset.hidden !== 'true');
+    } else if (deleteBtn) {
+      if (editedGroupKey === deleteBtn.dataset.groupDelete) editedGroupKey = null;
+      channelGroups.deleteGroup(deleteBtn.dataset.groupDelete);
+    } else if (row && !e.target.closest('input')) {
+      editedGroupKey = row.dataset.groupKey;
+      renderGroupEditor();
+    }
+  });
+  
+  channelList?.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-channel-name]');
+    if (!input) return;
+    const channel = channels.find(ch => ch.id === input.dataset.channelName);
+    if (channel) channelGroups.renameChannel(channel.id, input.value, channel.name);
+  });
+  
+  channelList?.addEventListener('click', (e) => {
+    const hideBtn = e.target.closest('[data-channel-hide]');
+    if (hideBtn) channelGroups.setChannelHidden(hideBtn.dataset.channelHide, hideBtn.dataset.hidden !== 'true');
+  });
+  
+  setupGroupDragAndDrop(groupList, channelList);
+  
+  // Every edit updates the sidebar, search and the editor itself
+  channelGroups.on('onChange', () => {
+    if (currentContentType === 'live') ui.setChannels(channelGroups.apply(channels));
+    updateGlobalSearchItems();
+    if (modals.groups?.open) renderGroupEditor();
+  });
+}
+
+/**
+ * Drag groups to reorder them, channels to reorder them or onto a group to move them
+ * @param {HTMLElement} groupList
+ * @param {HTMLElement} channelList
+ */
+function setupGroupDragAndDrop(groupList, channelList) {
+  const getDropRow = (e) => {
+    const row = e.target.closest('[data-group-key], [data-channel-id]');
+    if (!row || !groupDrag) return null;
+    
+    // Groups only drop on groups; channels on groups (move) or channels (reorder)
+    if (groupDrag.type === 'group' && !row.dataset.groupKey) return null;
+    return row;
+  };
+  
+  [groupList, channelList].forEach(list => {
+    list?.addEventListener('dragstart', (e) => {
+      const row = e.target.closest('[draggable="true"]');
+      if (!row) return;
+      groupDrag = row.dataset.groupKey
+        ? { type: 'group', id: row.dataset.groupKey }
+        : { type: 'channel', id: row.dataset.channelId };
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', groupDrag.id); // Firefox won't drag without data
+      row.classList.add('groups-row--dragging');
+    });
+    
+    list?.addEventListener('dragover', (e) => {
+      const row = getDropRow(e);
+      if (!row) return;
+      e.preventDefault();
+      row.classList.add('groups-row--drop');
+    });
+    
+    list?.addEventListener('dragleave', (e) => {
+      e.target.closest('.groups-row')?.classList.remove('groups-row--drop');
+    });
+    
+    list?.addEventListener('drop', (e) => {
+      const row = getDropRow(e);
+      if (!row) return;
+      e.preventDefault();
+      
+      // Dropping on the lower half of a row puts the item after it
+      const rect = row.getBoundingClientRect();
+      handleGroupDrop(row, e.clientY > rect.top + rect.height / 2);
+    });
+    
+    list?.addEventListener('dragend', () => {
+      groupDrag = null;
+      document.querySelectorAll('.groups-row--dragging, .groups-row--drop').forEach(row => {
+        row.classList.remove('groups-row--dragging', 'groups-row--drop');
+      });
+    });
+  });
+}
+
+/**
+ * Apply a drop in the group editor
+ * @param {HTMLElement} row - Row dropped on
+ * @param {boolean} after - Place after the row instead of before
+ */
+function handleGroupDrop(row, after) {
+  const drag = groupDrag;
+  groupDrag = null;
+  
+  if (drag.type === 'group') {
+    const keys = channelGroups.getGroupList(channels).map(group => group.key);
+    channelGroups.reorderGroups(moveInOrder(keys, drag.id, row.dataset.groupKey, after));
+  } else if (row.dataset.groupKey) {
+    const channel = channels.find(ch => ch.id === drag.id);
+    if (channel) channelGroups.moveChannel(channel, row.dataset.groupKey);
+  } else if (editedGroupKey) {
+    const ids = channelGroups.getGroupChannels(getDefaultGroupOrder(), editedGroupKey).map(item => item.channel.id);
+    channelGroups.reorderChannels(editedGroupKey, moveInOrder(ids, drag.id, row.dataset.channelId, after));
+  }
+}
+
+/**
+ * Move an id next to another in a list
+ * @param {Array<string>} ids
+ * @param {string} id - Id to move
+ * @param {string} targetId - Id to place it next to
+ * @param {boolean} after
+ * @returns {Array<string>}
+ */
+function moveInOrder(ids, id, targetId, after) {
+  if (id === targetId) return ids;
+  const result = ids.filter(other => other !== id);
+  const index = result.indexOf(targetId);
+  if (index === -1) return ids;
+  result.splice(after ? index + 1 : index, 0, id);
+  return result;
+}
+
+/**
+ * Get the playlist channels in the order the sidebar shows them before any arranging
+ * @returns {Array}
+ */
+function getDefaultGroupOrder() {
+  return locale.sortByLocale([...channels]);
+}
+
+/**
+ * Open the group editor
+ */
+function showGroupsModal() {
+  const search = document.getElementById('groups-channel-search');
+  if (search) search.value = '';
+  
+  renderGroupEditor();
+  showModal('groups');
+}
+
+/**
+ * Render both panes of the group editor
+ */
+function renderGroupEditor() {
+  const groupsList = channelGroups.getGroupList(channels);
+  if (!groupsList.some(group => group.key === editedGroupKey)) {
+    editedGroupKey = groupsList[0]?.key || null;
+  }
+  
+  renderGroupList(groupsList);
+  renderGroupChannelList();
+}
+
+/**
+ * Render the group rows
+ * @param {Array} groupsList - From channelGroups.getGroupList()
+ */
+function renderGroupList(groupsList) {
+  const list = document.getElementById('groups-list');
+  if (!list) return;
+  
+  const fragment = document.createDocumentFragment();
+  groupsList.forEach(group => {
+    const row = createGroupsRow(group.key === editedGroupKey, group.hidden);
+    row.dataset.groupKey = group.key;
+    
+    const input = createGroupsNameInput(group.name, group.originalName || 'Group name');
+    input.dataset.groupName = group.key;
+    
+    const count = document.createElement('span');
+    count.className = 'groups-row__count';
+    count.textContent = group.count;
+    
+    row.append(input, count, createGroupsHideButton(group.hidden, 'groupHide', group.key));
+    
+    if (group.custom) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn--outline btn--small';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.title = 'Delete group - its channels go back to their provider groups';
+      deleteBtn.dataset.groupDelete = group.key;
+      row.appendChild(deleteBtn);
+    }
+    
+    fragment.appendChild(row);
+  });
+  
+  list.textContent = '';
+  list.appendChild(fragment);
+}
+
+/**
+ * Render the channel rows of the selected group
+ */
+function renderGroupChannelList() {
+  const list = document.getElementById('groups-channel-list');
+  const summary = document.getElementById('groups-channel-summary');
+  if (!list) return;
+  
+  const query = (document.getElementById('groups-channel-search')?.value || '').trim().toLowerCase();
+  const items = editedGroupKey
+    ? channelGroups.getGroupChannels(getDefaultGroupOrder(), editedGroupKey)
+      .filter(item => !query || item.name.toLowerCase().includes(query) || item.channel.name.toLowerCase().includes(query))
+    : [];
+  
+  if (summary) {
+    summary.textContent = items.length > MAX_GROUP_CHANNEL_ROWS
+      ? `Showing ${MAX_GROUP_CHANNEL_ROWS} of ${items.length} channels - filter to see more`
+      : `${items.length} channel${items.length === 1 ? '' : 's'}`;
+  }
+  
+  const fragment = document.createDocumentFragment();
+  items.slice(0, MAX_GROUP_CHANNEL_ROWS).forEach(({ channel, name, hidden }) => {
+    const row = createGroupsRow(false, hidden);
+    row.dataset.channelId = channel.id;
+    
+    const input = createGroupsNameInput(name, channel.name);
+    input.dataset.channelName = channel.id;
+    
+    row.append(input, createGroupsHideButton(hidden, 'channelHide', channel.id));
+    fragment.appendChild(row);
+  });
+  
+  list.textContent = '';
+  list.appendChild(fragment);
+}
+
+/**
+ * Create a draggable editor row with its handle
+ * @param {boolean} active
+ * @param {boolean} hidden
+ * @returns {HTMLElement}
+ */
+function createGroupsRow(active, hidden) {
+  const row = document.createElement('div');
+  row.className = 'groups-row';
+  row.classList.toggle('groups-row--active', active);
+  row.classList.toggle('groups-row--hidden', hidden);
+  row.draggable = true;
+  
+  const handle = document.createElement('span');
+  handle.className = 'groups-row__handle';
+  handle.textContent = '⋮⋮';
+  handle.title = 'Drag to reorder';
+  row.appendChild(handle);
+  
+  return row;
+}
+
+/**
+ * Create a rename box
+ * @param {string} value - Current name
+ * @param {string} placeholder - Provider's name, shown when cleared
+ * @returns {HTMLInputElement}
+ */
+function createGroupsNameInput(value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'input groups-row__name';
+  input.value = value;
+  input.placeholder = placeholder;
+  input.title = placeholder;
+  // Text can't be selected in a draggable row otherwise
+  input.addEventListener('mousedown', () => { input.closest('.groups-row').draggable = false; });
+  input.addEventListener('blur', () => { input.closest('.groups-row').draggable = true; });
+  return input;
+}
+
+/**
+ * Create a hide/show toggle
+ * @param {boolean} hidden
+ * @param {string} dataKey - Dataset key naming the action ('groupHide' | 'channelHide')
+ * @param {string} id
+ * @returns {HTMLButtonElement}
+ */
+function createGroupsHideButton(hidden, dataKey, id) {
+  const button = document.createElement('button');
+  button.className = 'btn btn--outline btn--small';
+  button.textContent = hidden ? 'Show' : 'Hide';
+  button.dataset[dataKey] = id;
+  button.dataset.hidden = hidden;
+  return button;
+}
+
+// =============================================================================
+// Favourite Lists (named lists, managed here; items are added with the stars)
+// =============================================================================
+
+// List row being dragged
+let favoriteListDrag = null;
+
+/**
+ * Set up the favourite lists editor
+ */
+function setupFavoriteLists() {
+  const list = document.getElementById('favorite-lists-editor');
+  
+  document.getElementById('btn-manage-favorites')?.addEventListener('click', () => {
+    hideModal('settings');
+    showFavoritesModal();
+  });
+  
+  document.getElementById('modal-favorites-close')?.addEventListener('click', () => hideModal('favorites'));
+  document.getElementById('btn-close-favorites')?.addEventListener('click', () => hideModal('favorites'));
+  
+  const createList = () => {
+    const input = document.getElementById('favorite-list-name');
+    if (!storage.createFavoriteList(input?.value)) return;
+    input.value = '';
+    onFavoriteListsChanged();
+  };
+  document.getElementById('btn-create-favorite-list')?.addEventListener('click', createList);
+  document.getElementById('favorite-list-name')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createList();
+  });
+  
+  // Event delegation: renames and delete buttons
+  list?.addEventListener('change', (e) => {
+    const input = e.target.closest('[data-favorite-rename]');
+    if (!input) return;
+    storage.renameFavoriteList(input.dataset.favoriteRename, input.value);
+    onFavoriteListsChanged();
+  });
+  
+  list?.addEventListener('click', (e) => {
+    const deleteBtn = e.target.closest('[data-favorite-delete]');
+    if (!deleteBtn) return;
+    
+    const target = storage.getFavoriteLists().find(l => l.id === deleteBtn.dataset.favoriteDelete);
+    if (!target) return;
+    showConfirmDialog('Delete list', `Delete "${target.name}" and its ${target.items.length} item${target.items.length === 1 ? '' : 's'}?`, () => {
+      storage.deleteFavoriteList(target.id);
+      onFavoriteListsChanged();
+    });
+  });
+  
+  // Drag rows to reorder the lists
+  list?.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('[data-favorite-list-id]');
+    if (!row) return;
+    favoriteListDrag = row.dataset.favoriteListId;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', favoriteListDrag); // Firefox won't drag without data
+  });
+  
+  list?.addEventListener('dragover', (e) => {
+    if (favoriteListDrag && e.target.closest('[data-favorite-list-id]')) e.preventDefault();
+  });
+  
+  list?.addEventListener('drop', (e) => {
+    const row = e.target.closest('[data-favorite-list-id]');
+    if (!row || !favoriteListDrag) return;
+    e.preventDefault();
+    
+    const rect = row.getBoundingClientRect();
+    const ids = storage.getFavoriteLists().map(l => l.id);
+    storage.reorderFavoriteLists(moveInOrder(ids, favoriteListDrag, row.dataset.favoriteListId, e.clientY > rect.top + rect.height / 2));
+    favoriteListDrag = null;
+    onFavoriteListsChanged();
+  });
+  
+  list?.addEventListener('dragend', () => {
+    favoriteListDrag = null;
+  });
+}
+
+/**
+ * Open the favourite lists editor
+ */
+function showFavoritesModal() {
+  renderFavoriteListsEditor();
+  showModal('favorites');
+}
+
+/**
+ * Render one row per favourite list
+ */
+function renderFavoriteListsEditor() {
+  const list = document.getElementById('favorite-lists-editor');
+  if (!list) return;
+  
+  const lists = storage.getFavoriteLists();
+  const fragment = document.createDocumentFragment();
+  
+  lists.forEach(favoriteList => {
+    const row = document.createElement('div');
+    row.className = 'favorite-lists__row';
+    row.draggable = true;
+    row.dataset.favoriteListId = favoriteList.id;
+    
+    const handle = document.createElement('span');
+    handle.className = 'favorite-lists__handle';
+    handle.textContent = '⋮⋮';
+    handle.title = 'Drag to reorder';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'input favorite-lists__name';
+    input.value = favoriteList.name;
+    input.dataset.favoriteRename = favoriteList.id;
+    // Text can't be selected in a draggable row otherwise
+    input.addEventListener('mousedown', () => { row.draggable = false; });
+    input.addEventListener('blur', () => { row.draggable = true; });
+    
+    const count = document.createElement('span');
+    count.className = 'favorite-lists__count';
+    count.textContent = formatFavoriteCount(favoriteList.items);
+    
+    row.append(handle, input, count);
+    
+    // There's always at least one list for the stars to use
+    if (lists.length > 1) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn--outline btn--small';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.dataset.favoriteDelete = favoriteList.id;
+      row.appendChild(deleteBtn);
+    }
+    
+    fragment.appendChild(row);
+  });
+  
+  list.textContent = '';
+  list.appendChild(fragment);
+}
+
+/**
+ * Summarise a list's contents by type
+ * @param {Array} items
+ * @returns {string} - e.g. "12 channels · 3 movies"
+ */
+function formatFavoriteCount(items) {
+  const labels = { live: ['channel', 'channels'], vod: ['movie', 'movies'], series: ['series', 'series'] };
+  const parts = Object.entries(labels)
+    .map(([type, [one, many]]) => {
+      const count = items.filter(item => item.type === type).length;
+      return count ? `${count} ${count === 1 ? one : many}` : '';
+    })
+    .filter(Boolean);
+  return parts.join(' · ') || 'Empty';
+}
+
+/**
+ * Refresh the editor and the sidebar after a list change
+ */
+function onFavoriteListsChanged() {
+  renderFavoriteListsEditor();
+  ui.refreshFavorites();
+}
+
+// =============================================================================
+// Stream Health
+// =============================================================================
+
+/**
+ * Set up the stream health scanner and its controls
+ */
+function setupStreamHealth() {
+  health.on('onResult', () => ui.refreshChannelHealth());
+  health.on('onProgress', (progress) => {
+    if (health.isScanning()) ui.showHealthScanProgress(progress);
+  });
+  health.on('onComplete', (summary) => {
+    if (!health.isScanning()) ui.showHealthScanProgress(null);
+    if (summary.stopped === 'blocked') {
+      ui.showToast('Provider is refusing connections - stopped checking streams', 'warning', 5000);
+    }
+  });
+  
+  // Background scans cover the folder being browsed
+  ui.setHealthScanEnabled(health.isEnabled());
+  health.init(() => ui.getCategoryChannels()).then(() => ui.refreshChannelHealth());
+  
+  const toggle = document.getElementById('toggle-health-scan');
+  if (toggle) toggle.checked = health.isEnabled();
+  
+  toggle?.addEventListener('change', () => {
+    health.setEnabled(toggle.checked);
+    ui.setHealthScanEnabled(toggle.checked);
+    ui.showHealthScanProgress(null);
+    ui.showToast(toggle.checked ? 'Stream health checks on' : 'Stream health checks off', 'success');
+  });
+  
+  document.getElementById('btn-scan-health')?.addEventListener('click', handleHealthScanClick);
+}
+
+/**
+ * Check the streams in the current folder, or stop a running check
+ */
+async function handleHealthScanClick() {
+  if (health.isScanning()) {
+    health.cancel();
+    ui.showHealthScanProgress(null);
+    return;
+  }
+  
+  const targets = ui.getCategoryChannels().filter(ch => ch.url);
+  if (targets.length === 0) {
+    ui.showToast('No channels with a fixed stream URL in this folder', 'info');
+    return;
+  }
+  
+  const summary = await health.scan(targets);
+  if (summary.stopped) return;
+  
+  ui.showToast(
+    `Checked ${summary.checked} channels: ${summary.ok} working, ${summary.dead} not responding`,
+    summary.dead > 0 ? 'warning' : 'success'
+  );
+}
+
+// =============================================================================
+// Playlist Profiles
+// =============================================================================
+
+const ADD_PROFILE_OPTION = '__add';
+
+// 'add' creates a new profile on submit, 'edit' replaces the active one's playlist
+let playlistModalMode = 'add';
+
+/**
+ * Set up the header playlist switcher
+ */
+function setupProfileSwitcher() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  
+  select.addEventListener('change', () => {
+    const id = select.value;
+    if (id === ADD_PROFILE_OPTION) {
+      // Leave the select on the current profile until the new one is saved
+      select.value = storage.getActiveProfileId() || '';
+      showPlaylistModal('add');
+    } else if (id && id !== storage.getActiveProfileId()) {
+      switchProfile(id);
+    }
+  });
+  
+  renderProfileSwitcher();
+}
+
+/**
+ * Render the header playlist switcher
+ */
+function renderProfileSwitcher() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  
+  const profiles = storage.getProfiles();
+  select.hidden = profiles.length === 0;
+  select.innerHTML = '';
+  
+  profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+  
+  const addOption = document.createElement('option');
+  addOption.value = ADD_PROFILE_OPTION;
+  addOption.textContent = '+ Add playlist...';
+  select.appendChild(addOption);
+  
+  select.value = storage.getActiveProfileId() || '';
+}
+
+/**
+ * Switch to another saved playlist
+ * Reloads so every module starts clean on the new profile's storage.
+ * @param {string} profileId 
+ */
+function switchProfile(profileId) {
+  const profile = storage.getProfiles().find(p => p.id === profileId);
+  if (!profile) return;
+  
+  player.stop();
+  storage.setActiveProfile(profileId);
+  console.log('[App] Switching to profile:', profile.name);
+  ui.showToast(`Switching to ${profile.name}...`, 'info');
+  setTimeout(() => location.reload(), 300);
+}
+
+/**
+ * Make the playlist being saved the active profile
+ * New profiles start with empty caches, so in-memory guide data is dropped too.
+ * @param {string} name 
+ * @param {string} mode - Credentials mode
+ */
+async function saveToProfile(name, mode) {
+  const activeId = storage.getActiveProfileId();
+  
+  if (playlistModalMode === 'edit' && activeId) {
+    storage.updateProfile(activeId, { name, mode });
+    return;
+  }
+  
+  const profile = storage.createProfile({ name, mode });
+  storage.setActiveProfile(profile.id);
+  console.log('[App] ✓ Created profile:', profile.name);
+  
+  if (activeId) {
+    player.stop();
+    stopEpgUpdater();
+    await epg.clear();
+    ui.updateEpg(null);
+    await progress.init();
+    reminders.init();
+    health.cancel();
+    await health.init(() => ui.getCategoryChannels());
+    ui.refreshChannelHealth();
+  }
+}
+
+/**
+ * Suggest a profile name from the playlist source
+ * @param {Object} creds 
+ * @param {string} [fileName] - For uploaded files
+ * @returns {string}
+ */
+function getDefaultProfileName(creds, fileName) {
+  const hostOf = (url) => {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return null;
+    }
+  };
+  
+  if (creds.mode === 'xtream') return hostOf(creds.server) || 'Xtream';
+  if (creds.mode === 'm3u-url') return hostOf(creds.playlistUrl) || 'M3U playlist';
+  if (creds.mode === 'm3u-file') return fileName?.replace(/\.m3u8?$/i, '') || 'Local file';
+  if (creds.mode === 'stalker') return hostOf(creds.portalUrl) || 'Stalker portal';
+  return 'Playlist';
+}
+
 /**
  * Show confirm dialog
  */
@@ -6,7 +6,7 @@
  * For actual security, use the PIN vault mode which uses AES-GCM encryption.
  */
 
-import { local, KEYS, getSettings } from './storage.js';
+import { local, KEYS, getSettings, profileKey } from './storage.js';
 
 // =============================================================================
 // Simple Base64 Encoding
@@ -142,15 +142,18 @@ export async function decryptWithPin(vault, pin) {
 // In-memory cache for current session
 let cachedCredentials = null;
 
+// PIN that unlocked the vault this session - new profiles are encrypted with it too
+let sessionPin = null;
+
 /**
- * Store credentials
+ * Store credentials (for the active playlist profile)
  */
-export async function storeCredentials(creds, remember = true, pin = null) {
+export async function storeCredentials(creds, remember = true, pin = sessionPin) {
   // Always cache in memory
   cachedCredentials = creds;
   
   if (!remember) {
-    local.remove(KEYS.CREDENTIALS);
+    local.remove(profileKey(KEYS.CREDENTIALS));
     return true;
   }
   
@@ -158,10 +161,10 @@ export async function storeCredentials(creds, remember = true, pin = null) {
   
   if (settings.vaultEnabled && pin) {
     const vault = await encryptWithPin(creds, pin);
-    local.set(KEYS.CREDENTIALS, { vault, mode: creds.mode });
+    local.set(profileKey(KEYS.CREDENTIALS), { vault, mode: creds.mode });
   } else {
     const obfuscated = obfuscate(creds);
-    local.set(KEYS.CREDENTIALS, { obfuscated, mode: creds.mode });
+    local.set(profileKey(KEYS.CREDENTIALS), { obfuscated, mode: creds.mode });
   }
   
   return true;
@@ -176,7 +179,7 @@ export async function getCredentials(pin = null) {
     return cachedCredentials;
   }
   
-  const stored = local.get(KEYS.CREDENTIALS);
+  const stored = local.get(profileKey(KEYS.CREDENTIALS));
   if (!stored) return null;
   
   let creds = null;
@@ -184,12 +187,13 @@ export async function getCredentials(pin = null) {
   if (stored.vault) {
     if (!pin) return null; // PIN required
     creds = await decryptWithPin(stored.vault, pin);
+    if (creds) sessionPin = pin;
   } else if (stored.obfuscated) {
     creds = deobfuscate(stored.obfuscated);
     
     if (!creds) {
       // Clear corrupted data
-      local.remove(KEYS.CREDENTIALS);
+      local.remove(profileKey(KEYS.CREDENTIALS));
       return null;
     }
   }
@@ -206,7 +210,7 @@ export async function getCredentials(pin = null) {
  */
 export function hasStoredCredentials() {
   try {
-    const stored = local.get(KEYS.CREDENTIALS);
+    const stored = local.get(profileKey(KEYS.CREDENTIALS));
     if (!stored) return false;
     
     if (stored.vault) {
@@ -217,7 +221,7 @@ export function hasStoredCredentials() {
     }
     
     // Invalid format - clear it
-    local.remove(KEYS.CREDENTIALS);
+    local.remove(profileKey(KEYS.CREDENTIALS));
     return false;
   } catch (e) {
     return false;
@@ -229,7 +233,7 @@ export function hasStoredCredentials() {
  */
 export function needsPin() {
   try {
-    const stored = local.get(KEYS.CREDENTIALS);
+    const stored = local.get(profileKey(KEYS.CREDENTIALS));
     if (!stored || !stored.vault) return false;
     return !!(stored.vault.ciphertext && stored.vault.salt && stored.vault.iv);
   } catch (e) {
@@ -242,7 +246,7 @@ export function needsPin() {
  */
 export function clearCredentials() {
   cachedCredentials = null;
-  local.remove(KEYS.CREDENTIALS);
+  local.remove(profileKey(KEYS.CREDENTIALS));
 }
 
 /**
@@ -254,7 +258,8 @@ export async function enableVault(pin) {
   }
   
   const vault = await encryptWithPin(cachedCredentials, pin);
-  local.set(KEYS.CREDENTIALS, { vault, mode: cachedCredentials.mode });
+  local.set(profileKey(KEYS.CREDENTIALS), { vault, mode: cachedCredentials.mode });
+  sessionPin = pin;
   return true;
 }
 
@@ -267,7 +272,8 @@ export function disableVault() {
   }
   
   const obfuscated = obfuscate(cachedCredentials);
-  local.set(KEYS.CREDENTIALS, { obfuscated, mode: cachedCredentials.mode });
+  local.set(profileKey(KEYS.CREDENTIALS), { obfuscated, mode: cachedCredentials.mode });
+  sessionPin = null;
   return true;
 }
 
@@ -275,7 +281,7 @@ export function disableVault() {
  * Get the current credentials mode description
  */
 export function getCredentialsMode() {
-  const stored = local.get(KEYS.CREDENTIALS);
+  const stored = local.get(profileKey(KEYS.CREDENTIALS));
   if (!stored) return 'None';
   if (stored.vault) return 'Vault (PIN encrypted)';
   if (stored.obfuscated) return 'Encoded';
@@ -0,0 +1,168 @@
+/**
+ * EPG Matcher Module
+ * Maps playlist channels to XMLTV channels when tvg-id is missing or differs.
+ * Matching order: manual override -> exact id -> case-insensitive id -> normalised name
+ */
+
+import { getPrefixCodes } from './locale.js';
+
+// Country/language prefixes: "UK|", "UK:", "|UK|", "[US]", "(DE)"
+// Case-sensitive so brand names like "Sky: News" keep their first word. The bare
+// "XX:" form only takes known codes - "BBC: One" and "CNN: International" are brands.
+const PREFIX_PATTERN = new RegExp(
+  `^\\s*(?:[\\[\\(\\|]\\s*[A-Z]{2,3}\\s*[\\]\\)\\|]|[A-Z]{2,3}\\s*\\||(?:${getPrefixCodes().join('|')})\\s*:)\\s*`
+);
+
+// Quality/format tags that don't change which channel it is
+const QUALITY_PATTERN = /\b(?:uhd|fhd|hd|sd|hevc|h\.?265|4k|1080p?|720p?|backup)\b/gi;
+
+// XMLTV ids often end in a country suffix: "bbcone.uk", "CNN.us"
+const ID_COUNTRY_SUFFIX = /\.[a-z]{2,3}$/i;
+
+/**
+ * Normalise a channel name for matching
+ * "UK| BBC One HD" and "[UK] BBC ONE" both become "bbcone"; "+1" is kept as "plus1"
+ * so timeshift channels don't collapse onto the main channel.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeChannelName(name) {
+  if (!name) return '';
+  
+  let result = String(name);
+  
+  // Strip stacked prefixes like "|UK| VIP:"
+  for (let i = 0; i < 3; i++) {
+    const stripped = result.replace(PREFIX_PATTERN, '');
+    if (stripped === result) break;
+    result = stripped;
+  }
+  
+  return result
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/\+/g, 'plus')
+    .replace(QUALITY_PATTERN, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Get the country/language prefixes normalizeChannelName strips
+ * "|UK| DE: BBC One" gives "UK DE"; names without a prefix give ''.
+ * @param {string} name
+ * @returns {string}
+ */
+export function getChannelPrefix(name) {
+  const codes = [];
+  let rest = String(name || '');
+  
+  for (let i = 0; i < 3; i++) {
+    const match = rest.match(PREFIX_PATTERN);
+    if (!match) break;
+    codes.push(match[0].replace(/[^A-Z]/g, ''));
+    rest = rest.slice(match[0].length);
+  }
+  
+  return codes.join(' ');
+}
+
+/**
+ * Normalise an XMLTV channel id for matching against names
+ * @param {string} id
+ * @returns {string}
+ */
+export function normalizeEpgId(id) {
+  if (!id) return '';
+  return normalizeChannelName(String(id).replace(ID_COUNTRY_SUFFIX, ''));
+}
+
+/**
+ * Build lookup tables for matching
+ * @param {Array} epgChannels - [{ id, names, icon }] from <channel> elements
+ * @param {Iterable<string>} programmeIds - Channel ids that have programmes
+ * @returns {Object} - Match index
+ */
+export function buildIndex(epgChannels, programmeIds = []) {
+  const ids = new Set();
+  const lowerIds = new Map();
+  const names = new Map();
+  
+  const addId = (id) => {
+    if (!id || ids.has(id)) return;
+    ids.add(id);
+    const lower = id.toLowerCase();
+    if (!lowerIds.has(lower)) lowerIds.set(lower, id);
+  };
+  
+  // First mapping wins so earlier (usually primary) definitions take priority
+  const addName = (key, id) => {
+    if (key && !names.has(key)) names.set(key, id);
+  };
+  
+  for (const channel of epgChannels) {
+    addId(channel.id);
+    (channel.names || []).forEach(name => addName(normalizeChannelName(name), channel.id));
+  }
+  
+  for (const id of programmeIds) {
+    addId(id);
+  }
+  
+  // Ids are a last resort for names - many are just the name with a suffix
+  for (const id of ids) {
+    addName(normalizeEpgId(id), id);
+  }
+  
+  return { ids, lowerIds, names };
+}
+
+/**
+ * Find the EPG channel for a playlist channel
+ * @param {Object} channel - Playlist channel ({ name, epgId })
+ * @param {Object} index - From buildIndex
+ * @returns {{ epgId: string, method: string }|null} - method: 'id' or 'name'
+ */
+export function matchChannel(channel, index) {
+  const { epgId, name } = channel;
+  
+  if (epgId) {
+    if (index.ids.has(epgId)) return { epgId, method: 'id' };
+    
+    const lower = index.lowerIds.get(epgId.toLowerCase());
+    if (lower) return { epgId: lower, method: 'id' };
+  }
+  
+  const byName = index.names.get(normalizeChannelName(name));
+  if (byName) return { epgId: byName, method: 'name' };
+  
+  // Some playlists put a display name in tvg-id
+  if (epgId) {
+    const byId = index.names.get(normalizeEpgId(epgId));
+    if (byId) return { epgId: byId, method: 'name' };
+  }
+  
+  return null;
+}
+
+/**
+ * Match every playlist channel
+ * @param {Array} channels - Playlist channels
+ * @param {Object} index - From buildIndex
+ * @param {Object} overrides - { channelId: epgId } ('' = no guide for this channel)
+ * @returns {Map<string, {epgId: string|null, method: string}>}
+ */
+export function matchChannels(channels, index, overrides = {}) {
+  const mappings = new Map();
+  
+  for (const channel of channels) {
+    if (Object.prototype.hasOwnProperty.call(overrides, channel.id)) {
+      mappings.set(channel.id, { epgId: overrides[channel.id] || null, method: 'manual' });
+      continue;
+    }
+    
+    const match = matchChannel(channel, index);
+    if (match) mappings.set(channel.id, match);
+  }
+  
+  return mappings;
+}
@@ -1,19 +1,66 @@
 /**
  * EPG Module
  * Handles XMLTV parsing using a Web Worker for performance
+ * Several XMLTV sources can be combined; they are merged per channel by priority
  */
 
-import { db, local, KEYS, applyProxyToUrl, getProxyUrl } from './storage.js';
+import { db, local, KEYS, profileKey, applyProxyToUrl, getProxyUrl, getSettings, updateSettings, getEpgMappings, setEpgMapping } from './storage.js';
+import { buildIndex, matchChannels } from './epg-matcher.js';
+
+// Bump when the cached programme format changes
+// (v2: true UTC epochs, v3: rich metadata, v4: channel list, v5: per-channel/day records, v6: per-source records)
+const EPG_CACHE_VERSION = 6;
+
+// Retention window defaults (overridden by settings)
+const DEFAULT_PAST_HOURS = 24;
+const DEFAULT_FUTURE_DAYS = 1;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Days loaded from cache at startup: enough for now/next, the rest loads on demand
+const STARTUP_PAST_MS = 6 * HOUR_MS;
+const STARTUP_FUTURE_MS = DAY_MS;
+
+// Background refresh policy (age is overridden by settings, 0 = never)
+const DEFAULT_REFRESH_HOURS = 12;
+const REFRESH_BEFORE_END_MS = 6 * HOUR_MS; // Refresh when the guide is about to run out
+const MIN_REFRESH_GAP_MS = HOUR_MS; // Never re-fetch more often than this
 
 let epgWorker = null;
-let epgData = new Map(); // channelId -> programs[]
+let epgData = new Map(); // channelId -> programs[] (sorted by start, merged across sources)
+let epgChannels = new Map(); // channelId -> { id, names, icon } from <channel> elements
 let isLoading = false;
+let lastAttempt = 0;
+let queuedSources = null; // Source list passed in while a run was going - loaded when it ends
+
+// Sources in priority order - the first source wins where programmes overlap
+let sources = []; // [{ id, url }]
+let sourceData = new Map(); // sourceId -> Map(channelId -> programs[])
+let sourceChannels = new Map(); // sourceId -> Map(channelId -> channel)
+let sourceInfo = {}; // sourceId -> { url, etag, lastModified, retention, latestEnd, timestamp, status }
+
+// Current load run (sources are fetched one at a time)
+let run = null; // { queue, count, updated, notModified, errors }
+let incoming = null; // { source, data, channels } being filled by the worker - merged in on complete
+
+// Per-day cache bookkeeping
+let cacheIndex = {}; // sourceId -> { channelId -> day keys ('YYYY-MM-DD', UTC) stored in IndexedDB }
+let loadedDays = new Set(); // Record keys already merged into memory
+
+// Playlist -> EPG channel matching
+let playlistChannels = [];
+let playlistKey = null;
+let channelMappings = new Map(); // playlist channel id -> { epgId, method }
+
+// Display timezone (IANA name, e.g. 'Europe/London'); null = browser local time
+let displayTimezone = getSettings().epgTimezone || null;
 
 // Event callbacks
 const listeners = {
   onProgress: [],
   onComplete: [],
   onError: [],
+  onSourceStatus: [],
 };
 
 /**
@@ -31,36 +78,36 @@ function initWorker() {
     switch (type) {
       case 'progress':
         console.log('[EPG] Progress:', data.phase, data.loaded || '', data.parsed || '');
-        emit('onProgress', data);
+        emit('onProgress', {
+          ...data,
+          source: incoming?.source.id,
+          sourceIndex: run ? run.count - run.queue.length : 1,
+          sourceCount: run ? run.count : 1,
+        });
         break;
       case 'batch':
         // Store batch of programs
         processBatch(data);
         break;
+      case 'channels':
+        incoming.channels = new Map(data.map(channel => [channel.id, channel]));
+        break;
+      case 'notModified':
+        handleSourceNotModified();
+        break;
       case 'complete':
-        isLoading = false;
-        saveEpgToStorage();
-        console.log('[EPG] ✓ Complete! Total channels with EPG:', epgData.size);
-        // Log first few channel IDs for debugging
-        const sampleIds = [...epgData.keys()].slice(0, 5);
-        console.log('[EPG] Sample channel IDs:', sampleIds);
-        if (epgData.size === 0) {
-          console.warn('[EPG] ⚠ No EPG data loaded - check if XMLTV format is correct');
-        }
-        emit('onComplete', { total: epgData.size });
+        handleSourceComplete(data);
         break;
       case 'error':
-        isLoading = false;
         console.error('[EPG] ✗ Error from worker:', data.message);
-        emit('onError', { message: data.message });
+        handleSourceError(data.message);
         break;
     }
   };
   
   epgWorker.onerror = (e) => {
-    isLoading = false;
     console.error('[EPG] ✗ Worker error:', e.message || 'Unknown worker error');
-    emit('onError', { message: e.message || 'Worker error' });
+    handleSourceError(e.message || 'Worker error');
   };
 }
 
@@ -69,54 +116,410 @@ function initWorker() {
  * @param {Array} programs 
  */
 function processBatch(programs) {
+  const data = incoming.data;
   for (const program of programs) {
     const channelId = program.channelId;
-    if (!epgData.has(channelId)) {
-      epgData.set(channelId, []);
+    if (!data.has(channelId)) {
+      data.set(channelId, []);
     }
-    epgData.get(channelId).push(program);
+    data.get(channelId).push(program);
   }
 }
 
 /**
- * Load EPG from XMLTV URL
- * @param {string} url - XMLTV URL
+ * Load EPG from one or more XMLTV sources
+ * Sources are fetched in turn; the previous guide stays visible until each one is parsed.
+ * @param {Array} list - [{ id, url }] in priority order
  */
-export async function loadFromUrl(url) {
+export async function loadSources(list) {
+  // A source added mid-run would otherwise wait out the refresh backoff
   if (isLoading) {
-    console.warn('[EPG] Already loading');
+    console.log('[EPG] Already loading - will reload when done');
+    queuedSources = list;
     return;
   }
   
-  // Apply proxy to the URL if configured
-  const proxiedUrl = applyProxyToUrl(url);
-  const proxyUrl = getProxyUrl();
+  setSources(list);
+  const queue = sources.filter(source => source.url);
+  if (queue.length === 0) {
+    console.log('[EPG] No sources to load');
+    return;
+  }
   
-  console.log('[EPG] Starting load from URL:', url);
-  console.log('[EPG] Proxy configured:', proxyUrl ? 'YES' : 'NO');
-  console.log('[EPG] Final URL:', proxiedUrl);
+  console.log(`[EPG] Starting load of ${queue.length} source(s)`);
+  console.log('[EPG] Proxy configured:', getProxyUrl() ? 'YES' : 'NO');
   
   isLoading = true;
-  epgData.clear();
+  lastAttempt = Date.now();
+  run = { queue, count: queue.length, updated: 0, notModified: 0, errors: [] };
   
   initWorker();
+  loadNextSource();
+}
+
+/**
+ * Start fetching the next queued source, or finish the run
+ */
+function loadNextSource() {
+  const source = run.queue.shift();
+  if (!source) {
+    finishRun();
+    return;
+  }
+  
+  const retention = getRetentionWindow();
+  const info = sourceInfo[source.id] || {};
+  
+  // Only ask "has it changed?" if the cache came from the same URL and window
+  const sameSource = info.url === source.url &&
+    info.retention?.pastMs === retention.pastMs &&
+    info.retention?.futureMs === retention.futureMs &&
+    !!cacheIndex[source.id];
+  const validators = sameSource ? { etag: info.etag, lastModified: info.lastModified } : null;
+  
+  const proxiedUrl = applyProxyToUrl(source.url);
+  console.log(`[EPG] Loading source ${source.id}:`, source.url);
+  console.log('[EPG] Final URL:', proxiedUrl);
+  if (validators) {
+    console.log('[EPG] Conditional request:', validators.etag ? 'ETag' : '', validators.lastModified ? 'Last-Modified' : '');
+  }
+  
+  incoming = { source, data: new Map(), channels: new Map() };
+  emit('onSourceStatus', { id: source.id, status: getSourceStatus(source.id) });
+  
+  epgWorker.postMessage({ type: 'load', url: proxiedUrl, retention, validators });
+}
+
+/**
+ * A source finished parsing - merge it in and cache it
+ * @param {Object} result - { total, skipped, parsed, validators } from the worker
+ */
+async function handleSourceComplete(result) {
+  const { source, data, channels } = incoming;
+  incoming = null;
+  
+  // Ignore sources removed while they were loading
+  if (sources.some(s => s.id === source.id)) {
+    for (const programs of data.values()) {
+      programs.sort((a, b) => a.start - b.start);
+    }
+    
+    sourceData.set(source.id, data);
+    sourceChannels.set(source.id, channels);
+    await saveSource(source, result.validators);
+    
+    setSourceStatus(source.id, { state: 'ok', channels: data.size, programmes: result.total });
+    run.updated++;
+    
+    console.log(`[EPG] ✓ Source ${source.id} complete: ${data.size} channels, ${result.total} programmes`);
+    if (data.size === 0) {
+      console.warn('[EPG] ⚠ No EPG data loaded - check if XMLTV format is correct');
+    }
+  }
+  
+  loadNextSource();
+}
+
+/**
+ * Server answered 304 - keep the cached copy of this source
+ */
+function handleSourceNotModified() {
+  const { source } = incoming;
+  incoming = null;
+  
+  // Ignore sources removed while they were loading
+  if (sources.some(s => s.id === source.id)) {
+    if (sourceInfo[source.id]) {
+      sourceInfo[source.id].timestamp = Date.now();
+    }
+    setSourceStatus(source.id, { state: 'not-modified' });
+    run.notModified++;
+    
+    console.log(`[EPG] ✓ Source ${source.id} not modified on server, keeping cached data`);
+  }
+  
+  loadNextSource();
+}
+
+/**
+ * A source failed - keep whatever was cached for it and carry on with the rest
+ * @param {string} message
+ */
+function handleSourceError(message) {
+  if (!incoming) {
+    // Worker died outside a load
+    isLoading = false;
+    run = null;
+    emit('onError', { message });
+    loadQueuedSources();
+    return;
+  }
+  
+  const { source } = incoming;
+  incoming = null;
+  
+  if (sources.some(s => s.id === source.id)) {
+    setSourceStatus(source.id, { state: 'error', message });
+  }
+  run.errors.push({ id: source.id, url: source.url, message });
+  loadNextSource();
+}
+
+/**
+ * All sources processed - rebuild the merged guide and report
+ */
+async function finishRun() {
+  const result = run;
+  run = null;
+  
+  mergeAll();
+  rebuildMappings();
+  await saveManifest();
+  
+  if (result.updated > 0 || result.notModified > 0) {
+    local.set(profileKey(KEYS.EPG_LAST_UPDATE), Date.now());
+  }
+  isLoading = false;
+  
+  console.log(`[EPG] ✓ Complete! ${epgData.size} channels with EPG (${result.updated} updated, ${result.notModified} unchanged, ${result.errors.length} failed)`);
+  // Log first few channel IDs for debugging
+  console.log('[EPG] Sample channel IDs:', [...epgData.keys()].slice(0, 5));
+  
+  if (result.errors.length === result.count) {
+    emit('onError', { message: result.errors.map(e => e.message).join('; '), errors: result.errors });
+  } else {
+    emit('onComplete', {
+      total: epgData.size,
+      updated: result.updated > 0,
+      notModified: result.updated === 0 && result.errors.length === 0,
+      errors: result.errors,
+    });
+  }
+  
+  loadQueuedSources();
+}
+
+/**
+ * Start the load that was asked for while the last run was going
+ * Cached sources are only asked whether they changed, so mostly the new ones download.
+ */
+function loadQueuedSources() {
+  if (!queuedSources) return;
+  
+  const list = queuedSources;
+  queuedSources = null;
+  loadSources(list);
+}
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+/**
+ * Set the sources for the current playlist
+ * Reordering re-merges what is already loaded; removed sources are dropped from memory and cache.
+ * @param {Array} list - [{ id, url }] in priority order
+ */
+export function setSources(list) {
+  sources = (list || []).map(({ id, url }) => ({ id, url: url || null }));
+  
+  const ids = new Set(sources.map(source => source.id));
+  const removed = Object.keys(sourceInfo).filter(id => !ids.has(id));
+  
+  if (removed.length > 0) {
+    removed.forEach(forgetSource);
+    removeSourceRecords(removed).then(saveManifest);
+    console.log('[EPG] Removed sources:', removed);
+  }
+  
+  if (sourceData.size > 0) {
+    mergeAll();
+    rebuildMappings();
+  }
+}
+
+/**
+ * Get the load status of a source
+ * @param {string} id
+ * @returns {Object|null} - { state: 'loading'|'queued'|'ok'|'not-modified'|'error', message, channels, programmes, at }
+ */
+export function getSourceStatus(id) {
+  if (incoming?.source.id === id) return { state: 'loading' };
+  if (run?.queue.some(source => source.id === id)) return { state: 'queued' };
+  return sourceInfo[id]?.status || null;
+}
+
+/**
+ * Record a source's status and notify listeners
+ */
+function setSourceStatus(id, status) {
+  const previous = sourceInfo[id]?.status || {};
+  const next = { ...status, at: Date.now() };
+  
+  // A 304 still has the counts from the last full download
+  if (status.state === 'not-modified') {
+    next.channels = previous.channels;
+    next.programmes = previous.programmes;
+  }
+  
+  sourceInfo[id] = { ...(sourceInfo[id] || {}), status: next };
+  emit('onSourceStatus', { id, status: next });
+}
+
+/**
+ * Drop a source from memory
+ */
+function forgetSource(id) {
+  delete sourceInfo[id];
+  delete cacheIndex[id];
+  sourceData.delete(id);
+  sourceChannels.delete(id);
+  
+  const prefix = getSourcePrefix(id);
+  loadedDays.forEach(key => {
+    if (key.startsWith(prefix)) loadedDays.delete(key);
+  });
+}
+
+/**
+ * Source ids in priority order
+ * Before sources are configured, falls back to whatever is cached
+ * @returns {string[]}
+ */
+function getSourceOrder() {
+  return sources.length > 0 ? sources.map(source => source.id) : Object.keys(sourceInfo);
+}
+
+/**
+ * Merge every channel from all sources
+ */
+function mergeAll() {
+  const order = getSourceOrder();
+  
+  epgData = new Map();
+  const channelIds = new Set();
+  order.forEach(id => sourceData.get(id)?.forEach((programs, channelId) => channelIds.add(channelId)));
+  channelIds.forEach(mergeChannel);
+  
+  // Higher priority sources win for channel names/icons too
+  epgChannels = new Map();
+  order.forEach(id => sourceChannels.get(id)?.forEach((channel, channelId) => {
+    if (!epgChannels.has(channelId)) epgChannels.set(channelId, channel);
+  }));
+}
+
+/**
+ * Merge one channel's programmes from all sources into epgData
+ * @param {string} channelId 
+ */
+function mergeChannel(channelId) {
+  const lists = getSourceOrder()
+    .map(id => sourceData.get(id)?.get(channelId))
+    .filter(programs => programs && programs.length > 0);
+  
+  if (lists.length === 0) {
+    epgData.delete(channelId);
+  } else {
+    epgData.set(channelId, lists.length === 1 ? lists[0] : mergePrograms(lists));
+  }
+}
+
+/**
+ * Merge programme lists by priority
+ * Lower priority programmes only fill gaps - anything overlapping a kept programme is dropped.
+ * @param {Array<Array>} lists - Sorted programme lists, highest priority first
+ * @returns {Array} - Sorted merged list
+ */
+function mergePrograms(lists) {
+  let merged = lists[0];
+  
+  for (const list of lists.slice(1)) {
+    const gaps = list.filter(program => !overlapsAny(merged, program));
+    if (gaps.length > 0) {
+      merged = merged.concat(gaps).sort((a, b) => a.start - b.start);
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Check if a programme overlaps any in a sorted, non-overlapping list
+ * @param {Array} sorted
+ * @param {Object} program 
+ * @returns {boolean}
+ */
+function overlapsAny(sorted, program) {
+  // First programme starting at or after this one ends
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid].start < program.end) lo = mid + 1;
+    else hi = mid;
+  }
   
-  epgWorker.postMessage({ type: 'load', url: proxiedUrl });
+  // Only the one before it can overlap
+  return lo > 0 && sorted[lo - 1].end > program.start;
 }
 
+// =============================================================================
+// Cache (manifest + one IndexedDB record per source, channel and day)
+// =============================================================================
+
 /**
  * Load EPG from cached data
+ * Prunes expired days first, then loads only the days around now.
+ * Other days are loaded per channel on demand (see ensureSchedule).
  */
 export async function loadFromCache() {
   console.log('[EPG] Loading from cache...');
-  const cached = await db.get(KEYS.EPG);
+  const cached = await db.get(profileKey(KEYS.EPG));
   
-  if (cached && cached.data) {
-    const channelCount = Object.keys(cached.data).length;
-    const cacheAge = cached.timestamp ? Math.round((Date.now() - cached.timestamp) / 1000 / 60) : 'unknown';
-    console.log(`[EPG] ✓ Cache loaded: ${channelCount} channels, age: ${cacheAge} minutes`);
+  if (cached && cached.version !== EPG_CACHE_VERSION) {
+    console.log('[EPG] Cache format outdated, discarding');
+    await removeCache();
+    return 0;
+  }
+  
+  if (cached && cached.sources) {
+    const configured = sources.length > 0 ? new Set(sources.map(source => source.id)) : null;
+    const dropped = [];
+    
+    sourceInfo = {};
+    cacheIndex = {};
+    sourceData = new Map();
+    sourceChannels = new Map();
+    loadedDays = new Set();
     
-    epgData = new Map(Object.entries(cached.data));
+    for (const [id, entry] of Object.entries(cached.sources)) {
+      // Sources removed since the cache was written
+      if (configured && !configured.has(id)) {
+        dropped.push(id);
+        continue;
+      }
+      
+      const { index, channels, ...info } = entry;
+      sourceInfo[id] = info;
+      if (index) cacheIndex[id] = index;
+      sourceChannels.set(id, new Map((channels || []).map(channel => [channel.id, channel])));
+    }
+    
+    const pruned = await pruneCache();
+    if (dropped.length > 0) await removeSourceRecords(dropped);
+    if (pruned > 0 || dropped.length > 0) await saveManifest();
+    
+    const now = Date.now();
+    const startupDays = getDayKeys(now - STARTUP_PAST_MS, now + STARTUP_FUTURE_MS);
+    const records = await loadDays(getCachedChannelIds(), startupDays);
+    
+    mergeAll();
+    
+    const oldest = Math.min(...Object.values(sourceInfo).map(info => info.timestamp || now));
+    const cacheAge = Math.round((now - oldest) / 1000 / 60);
+    console.log(`[EPG] ✓ Cache loaded: ${Object.keys(cacheIndex).length} sources, ${epgData.size} channels (${records} day records), age: ${cacheAge} minutes`);
+    
+    rebuildMappings();
     emit('onComplete', { total: epgData.size, fromCache: true });
     return epgData.size;
   }
@@ -126,33 +529,334 @@ export async function loadFromCache() {
 }
 
 /**
- * Save EPG to IndexedDB
+ * Save one source to IndexedDB as one record per channel per day
+ * @param {Object} source - { id, url }
+ * @param {Object} validators - { etag, lastModified } from the response
+ */
+async function saveSource(source, validators = {}) {
+  const index = {};
+  const entries = [];
+  let latestEnd = 0;
+  
+  for (const [channelId, programs] of sourceData.get(source.id)) {
+    const byDay = new Map();
+    for (const program of programs) {
+      const day = getDayKey(program.start);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(program);
+      if (program.end > latestEnd) latestEnd = program.end;
+    }
+    
+    index[channelId] = [...byDay.keys()];
+    for (const [day, dayPrograms] of byDay) {
+      entries.push([getDayRecordKey(source.id, day, channelId), dayPrograms]);
+    }
+  }
+  
+  // Replace this source's previous records entirely
+  await removeSourceRecords([source.id]);
+  await db.setMany(entries);
+  
+  // Everything is in memory after a full load
+  cacheIndex[source.id] = index;
+  entries.forEach(([key]) => loadedDays.add(key));
+  
+  const { pastMs, futureMs } = getRetentionWindow();
+  sourceInfo[source.id] = {
+    ...(sourceInfo[source.id] || {}),
+    url: source.url,
+    etag: validators?.etag || null,
+    lastModified: validators?.lastModified || null,
+    retention: { pastMs, futureMs },
+    latestEnd: latestEnd || null,
+    timestamp: Date.now(),
+  };
+  
+  console.log(`[EPG] ✓ Saved ${entries.length} day records for source ${source.id}`);
+}
+
+/**
+ * Write the manifest: per-source day index, channel list and download info
  */
-async function saveEpgToStorage() {
-  const data = Object.fromEntries(epgData);
-  await db.set(KEYS.EPG, { data, timestamp: Date.now() });
-  local.set(KEYS.EPG_LAST_UPDATE, Date.now());
+async function saveManifest() {
+  const manifest = {};
+  
+  for (const [id, info] of Object.entries(sourceInfo)) {
+    manifest[id] = {
+      ...info,
+      index: cacheIndex[id] || null,
+      channels: [...(sourceChannels.get(id)?.values() || [])],
+    };
+  }
+  
+  await db.set(profileKey(KEYS.EPG), { sources: manifest, version: EPG_CACHE_VERSION });
 }
 
 /**
- * Get current program for a channel
+ * Remove day records older than the retention window
+ * @returns {Promise<number>} - Number of records removed
+ */
+async function pruneCache() {
+  const { pastMs } = getRetentionWindow();
+  const oldestDay = getDayKey(Date.now() - pastMs);
+  const expired = [];
+  
+  for (const [sourceId, channels] of Object.entries(cacheIndex)) {
+    const index = {};
+    
+    for (const [channelId, days] of Object.entries(channels)) {
+      const kept = [];
+      days.forEach(day => {
+        if (day < oldestDay) {
+          expired.push(getDayRecordKey(sourceId, day, channelId));
+        } else {
+          kept.push(day);
+        }
+      });
+      if (kept.length > 0) index[channelId] = kept;
+    }
+    
+    cacheIndex[sourceId] = index;
+  }
+  
+  if (expired.length > 0) {
+    await db.removeMany(expired);
+    console.log(`[EPG] Pruned ${expired.length} expired day records (before ${oldestDay})`);
+  }
+  
+  return expired.length;
+}
+
+/**
+ * Remove all day records of the given sources
+ * @param {string[]} ids - Source ids
+ */
+async function removeSourceRecords(ids) {
+  for (const id of ids) {
+    await db.removeMany(await db.keys(getSourcePrefix(id)));
+  }
+}
+
+/**
+ * Remove the whole EPG cache (manifest and day records)
+ */
+async function removeCache() {
+  await db.removeMany(await db.keys(profileKey(KEYS.EPG_DAY_PREFIX)));
+  await db.remove(profileKey(KEYS.EPG));
+  cacheIndex = {};
+  loadedDays = new Set();
+  sourceInfo = {};
+  sourceData = new Map();
+  sourceChannels = new Map();
+}
+
+/**
+ * Every channel id that has cached records in any source
+ * @returns {string[]}
+ */
+function getCachedChannelIds() {
+  const ids = new Set();
+  Object.values(cacheIndex).forEach(channels => Object.keys(channels).forEach(id => ids.add(id)));
+  return [...ids];
+}
+
+/**
+ * Merge cached day records into memory
+ * @param {string[]} channelIds - EPG channel ids
+ * @param {string[]|null} days - Day keys to load, or null for every cached day
+ * @returns {Promise<number>} - Number of records loaded
+ */
+async function loadDays(channelIds, days = null) {
+  const wanted = [];
+  
+  for (const [sourceId, channels] of Object.entries(cacheIndex)) {
+    for (const channelId of channelIds) {
+      for (const day of channels[channelId] || []) {
+        if (days && !days.includes(day)) continue;
+        const key = getDayRecordKey(sourceId, day, channelId);
+        if (loadedDays.has(key)) continue;
+        // Mark before the await so concurrent calls don't fetch the same record
+        loadedDays.add(key);
+        wanted.push({ key, sourceId, channelId });
+      }
+    }
+  }
+  
+  if (wanted.length === 0) return 0;
+  
+  const values = await db.getMany(wanted.map(w => w.key));
+  const touched = new Map(); // channelId -> Set of sourceIds
+  
+  values.forEach((programs, i) => {
+    if (!programs) return;
+    const { sourceId, channelId } = wanted[i];
+    if (!sourceData.has(sourceId)) sourceData.set(sourceId, new Map());
+    const data = sourceData.get(sourceId);
+    if (!data.has(channelId)) data.set(channelId, []);
+    data.get(channelId).push(...programs);
+    
+    if (!touched.has(channelId)) touched.set(channelId, new Set());
+    touched.get(channelId).add(sourceId);
+  });
+  
+  touched.forEach((sourceIds, channelId) => {
+    sourceIds.forEach(sourceId => sourceData.get(sourceId).get(channelId).sort((a, b) => a.start - b.start));
+    mergeChannel(channelId);
+  });
+  return wanted.length;
+}
+
+/**
+ * Make sure every cached day is loaded for the given channels
+ * Used by the full guide, which shows more than the days loaded at startup
+ * @param {string[]} channelIds - EPG channel ids
+ * @returns {Promise<boolean>} - True if new data was loaded
+ */
+export async function ensureSchedule(channelIds) {
+  const ids = channelIds.filter(id => id && Object.values(cacheIndex).some(channels => channels[id]));
+  if (ids.length === 0) return false;
+  return (await loadDays(ids)) > 0;
+}
+
+/**
+ * Get the UTC day key for a timestamp
+ * @param {number} timestamp 
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function getDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Get all day keys overlapping a time range
+ * @param {number} from 
+ * @param {number} to 
+ * @returns {string[]}
+ */
+function getDayKeys(from, to) {
+  const days = [];
+  for (let t = Math.floor(from / DAY_MS) * DAY_MS; t <= to; t += DAY_MS) {
+    days.push(getDayKey(t));
+  }
+  return days;
+}
+
+/**
+ * IndexedDB key prefix for all of one source's records (in the active playlist profile)
+ */
+function getSourcePrefix(sourceId) {
+  return profileKey(`${KEYS.EPG_DAY_PREFIX}${sourceId}:`);
+}
+
+/**
+ * IndexedDB key for one channel's programmes from one source on one day
+ */
+function getDayRecordKey(sourceId, day, channelId) {
+  return `${getSourcePrefix(sourceId)}${day}:${channelId}`;
+}
+
+/**
+ * Get the retention window from settings
+ * @returns {{ pastMs: number, futureMs: number, pastHours: number, futureDays: number }}
+ */
+export function getRetentionWindow() {
+  const settings = getSettings();
+  const pastHours = settings.epgPastHours || DEFAULT_PAST_HOURS;
+  const futureDays = settings.epgFutureDays || DEFAULT_FUTURE_DAYS;
+  return { pastMs: pastHours * HOUR_MS, futureMs: futureDays * DAY_MS, pastHours, futureDays };
+}
+
+/**
+ * Set the retention window (applies to the next guide load)
+ * @param {Object} retention - { pastHours, futureDays }
+ */
+export function setRetentionWindow({ pastHours, futureDays }) {
+  const updates = {};
+  if (pastHours) updates.epgPastHours = pastHours;
+  if (futureDays) updates.epgFutureDays = futureDays;
+  updateSettings(updates);
+}
+
+/**
+ * Get how old the guide may get before it is refreshed in the background
+ * @returns {number} - Hours (0 = never refresh automatically)
+ */
+export function getRefreshHours() {
+  return getSettings().epgRefreshHours ?? DEFAULT_REFRESH_HOURS;
+}
+
+/**
+ * Set the background refresh age
+ * @param {number} hours - 0 to disable
+ */
+export function setRefreshHours(hours) {
+  updateSettings({ epgRefreshHours: hours });
+}
+
+/**
+ * Get the end time of the last programme in the cached guide (across all sources)
+ * @returns {number|null} - UTC epoch in ms
+ */
+export function getLatestEnd() {
+  const ends = Object.values(sourceInfo).map(info => info.latestEnd || 0);
+  return Math.max(0, ...ends) || null;
+}
+
+/**
+ * Decide whether the guide should be re-fetched
+ * @returns {string|null} - Reason ('missing', 'age' or 'ending'), or null if fresh
+ */
+export function getRefreshReason() {
+  if (isLoading) return null;
+  
+  const now = Date.now();
+  // Back off after failures and 304s so a broken or short guide doesn't re-fetch every check
+  if (lastAttempt && now - lastAttempt < MIN_REFRESH_GAP_MS) return null;
+  
+  // A source that has never been downloaded (new, or nothing cached yet)
+  if (sources.some(source => source.url && !cacheIndex[source.id])) return 'missing';
+  
+  const hours = getRefreshHours();
+  if (!hours) return null;
+  
+  const lastUpdate = getLastUpdate() || 0;
+  if (now - lastUpdate < MIN_REFRESH_GAP_MS) return null;
+  
+  if (now - lastUpdate > hours * HOUR_MS) return 'age';
+  
+  const latestEnd = getLatestEnd();
+  if (latestEnd && latestEnd - now < REFRESH_BEFORE_END_MS) return 'ending';
+  
+  return null;
+}
+
+/**
+ * Find programs for a channel, falling back to a case-insensitive ID match
  * @param {string} channelId - EPG channel ID
- * @returns {Object|null}
+ * @returns {Array|null}
  */
-export function getNow(channelId) {
+function findPrograms(channelId) {
   if (!channelId) return null;
   
   const programs = epgData.get(channelId);
-  if (!programs || programs.length === 0) {
-    // Try without case sensitivity
-    for (const [key, progs] of epgData) {
-      if (key.toLowerCase() === channelId.toLowerCase()) {
-        const now = Date.now();
-        return progs.find(p => p.start <= now && p.end > now) || null;
-      }
-    }
-    return null;
+  if (programs && programs.length > 0) return programs;
+  
+  // Try without case sensitivity
+  const lowerId = channelId.toLowerCase();
+  for (const [key, progs] of epgData) {
+    if (key.toLowerCase() === lowerId) return progs;
   }
+  return null;
+}
+
+/**
+ * Get current program for a channel
+ * @param {string} channelId - EPG channel ID
+ * @returns {Object|null}
+ */
+export function getNow(channelId) {
+  const programs = findPrograms(channelId);
+  if (!programs) return null;
   
   const now = Date.now();
   return programs.find(p => p.start <= now && p.end > now) || null;
@@ -164,8 +868,8 @@ export function getNow(channelId) {
  * @returns {Object|null}
  */
 export function getNext(channelId) {
-  const programs = epgData.get(channelId);
-  if (!programs || programs.length === 0) return null;
+  const programs = findPrograms(channelId);
+  if (!programs) return null;
   
   const now = Date.now();
   const sortedFuture = programs
@@ -193,7 +897,7 @@ export function getNowNext(channelId) {
  * @returns {Array}
  */
 export function getPrograms(channelId) {
-  return epgData.get(channelId) || [];
+  return findPrograms(channelId) || [];
 }
 
 /**
@@ -217,16 +921,18 @@ export function getIsLoading() {
  * @returns {number|null}
  */
 export function getLastUpdate() {
-  return local.get(KEYS.EPG_LAST_UPDATE);
+  return local.get(profileKey(KEYS.EPG_LAST_UPDATE));
 }
 
 /**
  * Clear EPG data
  */
 export async function clear() {
-  epgData.clear();
-  await db.remove(KEYS.EPG);
-  local.remove(KEYS.EPG_LAST_UPDATE);
+  epgData = new Map();
+  epgChannels = new Map();
+  channelMappings.clear();
+  await removeCache();
+  local.remove(profileKey(KEYS.EPG_LAST_UPDATE));
 }
 
 /**
@@ -240,13 +946,55 @@ export function terminate() {
 }
 
 /**
- * Format time for display
- * @param {number} timestamp 
+ * Format time for display in the configured display timezone
+ * @param {number} timestamp - UTC epoch in ms
  * @returns {string}
  */
 export function formatTime(timestamp) {
   const date = new Date(timestamp);
-  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const options = { hour: '2-digit', minute: '2-digit' };
+  if (displayTimezone) options.timeZone = displayTimezone;
+  
+  try {
+    return date.toLocaleTimeString([], options);
+  } catch (e) {
+    // Invalid/unsupported timezone - fall back to local time
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+}
+
+/**
+ * Format a programme's episode number for display
+ * Prefers the broadcaster's onscreen form, otherwise builds one from xmltv_ns
+ * @param {Object} program 
+ * @returns {string} - e.g. 'S2 E5', 'E12', or '' when unknown
+ */
+export function formatEpisode(program) {
+  const episode = program?.episode;
+  if (!episode) return '';
+  if (episode.onscreen) return episode.onscreen;
+  
+  const parts = [];
+  if (episode.season) parts.push(`S${episode.season}`);
+  if (episode.episode) parts.push(`E${episode.episode}`);
+  return parts.join(' ');
+}
+
+/**
+ * Get the display timezone
+ * @returns {string|null} - IANA timezone name, or null for browser local time
+ */
+export function getDisplayTimezone() {
+  return displayTimezone;
+}
+
+/**
+ * Set the display timezone used by formatTime
+ * @param {string|null} timezone - IANA timezone name, or null for browser local time
+ */
+export function setDisplayTimezone(timezone) {
+  displayTimezone = timezone || null;
+  updateSettings({ epgTimezone: displayTimezone });
 }
 
 /**
@@ -264,6 +1012,154 @@ export function getProgress(program) {
   return Math.min(100, Math.max(0, (elapsed / duration) * 100));
 }
 
+// =============================================================================
+// Channel matching (playlist channel -> EPG channel)
+// =============================================================================
+
+/**
+ * Set the playlist channels to match against the guide
+ * @param {Array} channels - Playlist channels
+ * @param {string} key - Playlist key (manual overrides are stored per playlist)
+ */
+export function setChannels(channels, key) {
+  playlistChannels = channels || [];
+  playlistKey = key || null;
+  rebuildMappings();
+}
+
+/**
+ * Recalculate all channel mappings from the current guide and overrides
+ */
+function rebuildMappings() {
+  if (playlistChannels.length === 0 || (epgData.size === 0 && epgChannels.size === 0)) {
+    channelMappings = new Map();
+    return;
+  }
+  
+  const index = buildIndex([...epgChannels.values()], epgData.keys());
+  const overrides = playlistKey ? getEpgMappings(playlistKey) : {};
+  channelMappings = matchChannels(playlistChannels, index, overrides);
+  
+  const byName = [...channelMappings.values()].filter(m => m.method === 'name').length;
+  console.log(`[EPG] ✓ Matched ${channelMappings.size}/${playlistChannels.length} channels (${byName} by name)`);
+}
+
+/**
+ * Get the EPG channel id to use for a playlist channel
+ * Falls back to the channel's own tvg-id when nothing was matched
+ * @param {Object} channel - Playlist channel
+ * @returns {string|null}
+ */
+export function resolveEpgId(channel) {
+  if (!channel) return null;
+  const mapping = channelMappings.get(channel.id);
+  return mapping ? mapping.epgId : (channel.epgId || null);
+}
+
+/**
+ * Get how a playlist channel was matched
+ * @param {Object} channel - Playlist channel
+ * @returns {{ epgId: string|null, method: string }|null} - method: 'id', 'name' or 'manual'
+ */
+export function getMapping(channel) {
+  return channelMappings.get(channel?.id) || null;
+}
+
+/**
+ * Get all EPG channels (for the mapping review UI)
+ * Includes ids that only appear on programmes
+ * @returns {Array<{ id: string, names: string[], icon: string|null }>}
+ */
+export function getEpgChannels() {
+  const list = [...epgChannels.values()];
+  for (const id of epgData.keys()) {
+    if (!epgChannels.has(id)) list.push({ id, names: [], icon: null });
+  }
+  return list;
+}
+
+/**
+ * Manually map a playlist channel to an EPG channel
+ * @param {string} channelId - Playlist channel id
+ * @param {string|null} epgId - EPG channel id, '' for no guide, null to return to automatic matching
+ */
+export function setMappingOverride(channelId, epgId) {
+  if (!playlistKey) return;
+  setEpgMapping(playlistKey, channelId, epgId);
+  rebuildMappings();
+}
+
+// =============================================================================
+// Programme search
+// =============================================================================
+
+/**
+ * Search programmes across the whole guide by title, description and category
+ * Loads every cached day first so results aren't limited to the days around now.
+ * Only programmes on channels in the playlist that haven't ended are returned.
+ * @param {string} query 
+ * @param {Object} options - { limit }
+ * @returns {Promise<{ results: Array<{ program: Object, channels: Array }>, total: number }>}
+ */
+export async function searchPrograms(query, { limit = 100 } = {}) {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return { results: [], total: 0 };
+  
+  await loadDays(getCachedChannelIds());
+  
+  const now = Date.now();
+  const matches = [];
+  
+  for (const [epgId, channels] of getChannelsByEpgId()) {
+    const programs = findPrograms(epgId);
+    if (!programs) continue;
+    
+    for (const program of programs) {
+      if (program.end <= now) continue;
+      const score = scoreProgram(program, q);
+      if (score > 0) matches.push({ program, channels, score });
+    }
+  }
+  
+  // Keep the best matches, then list them in time order
+  matches.sort((a, b) => (b.score - a.score) || (a.program.start - b.program.start));
+  const results = matches.slice(0, limit).sort((a, b) => a.program.start - b.program.start);
+  
+  return { results: results.map(({ program, channels }) => ({ program, channels })), total: matches.length };
+}
+
+/**
+ * Score how well a programme matches a search
+ * @param {Object} program 
+ * @param {string} q - Lowercase query
+ * @returns {number} - 0 for no match
+ */
+function scoreProgram(program, q) {
+  const title = (program.title || '').toLowerCase();
+  if (title === q) return 5;
+  if (title.startsWith(q)) return 4;
+  if (title.includes(q)) return 3;
+  if ((program.subTitle || '').toLowerCase().includes(q)) return 2;
+  if ((program.categories || []).some(category => category.toLowerCase().includes(q))) return 2;
+  if ((program.description || '').toLowerCase().includes(q)) return 1;
+  return 0;
+}
+
+/**
+ * Group playlist channels by the EPG channel they resolve to
+ * @returns {Map<string, Array>} - epgId -> playlist channels
+ */
+function getChannelsByEpgId() {
+  const byEpgId = new Map();
+  for (const channel of playlistChannels) {
+    const epgId = resolveEpgId(channel);
+    if (!epgId) continue;
+    if (!byEpgId.has(epgId)) byEpgId.set(epgId, []);
+    byEpgId.get(epgId).push(channel);
+  }
+  return byEpgId;
+}
+
 // =============================================================================
 // Event system
 // =============================================================================
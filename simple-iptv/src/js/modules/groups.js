@@ -0,0 +1,478 @@
+/**
+ * Channel Groups Module
+ * Applies the user's edits on top of the provider's playlist: custom groups,
+ * renamed or hidden groups and channels, and their order. Edits are kept per
+ * playlist in localStorage so they survive a playlist refresh.
+ */
+
+import { getChannelOverlay, setChannelOverlay } from './storage.js';
+
+const CUSTOM_PREFIX = 'custom:'; // Custom group keys; provider groups are keyed by their original name
+
+let playlistKey = null;
+
+// { groups: { providerName: { name, hidden } }, channels: { channelId: { name, hidden, group } },
+//   customGroups: [{ id, name }], groupOrder: [groupKey], channelOrder: { groupKey: [channelId] } }
+let overlay = createOverlay();
+
+// Display name -> group key, rebuilt by apply()
+let groupKeys = new Map();
+
+// The provider's group names (including hidden groups), rebuilt by apply()
+let providerGroups = new Set();
+
+// Event callbacks
+const listeners = {
+  onChange: [],
+};
+
+/**
+ * Load the edits for a playlist
+ * @param {string|null} key - Playlist key
+ */
+export function load(key) {
+  playlistKey = key || null;
+  overlay = { ...createOverlay(), ...(playlistKey ? getChannelOverlay(playlistKey) : null) };
+}
+
+/**
+ * Apply the edits to the provider's channels
+ * @param {Array} channels - Playlist channels
+ * @returns {Array} - Copies with edited name and group, hidden channels and groups left out
+ */
+export function apply(channels) {
+  groupKeys = new Map();
+  providerGroups = new Set();
+  const result = [];
+  
+  for (const channel of channels) {
+    providerGroups.add(channel.group);
+    const edit = overlay.channels[channel.id];
+    const key = getChannelGroupKey(channel);
+    if (edit?.hidden || isGroupHidden(key)) continue;
+    
+    const group = getGroupName(key);
+    if (!groupKeys.has(group)) groupKeys.set(group, key);
+    
+    result.push(edit || key !== channel.group || group !== channel.group
+      ? { ...channel, name: edit?.name || channel.name, group }
+      : channel);
+  }
+  
+  return result;
+}
+
+/**
+ * Check if there are any edits for the current playlist
+ * @returns {boolean}
+ */
+export function hasEdits() {
+  return Object.keys(overlay.groups).length > 0 ||
+    Object.keys(overlay.channels).length > 0 ||
+    overlay.customGroups.length > 0 ||
+    overlay.groupOrder.length > 0 ||
+    Object.keys(overlay.channelOrder).length > 0;
+}
+
+// =============================================================================
+// Groups
+// =============================================================================
+
+/**
+ * Get every group, including hidden and empty custom ones, in display order
+ * @param {Array} channels - Playlist channels
+ * @returns {Array<{key: string, name: string, originalName: string, custom: boolean, hidden: boolean, count: number}>}
+ */
+export function getGroupList(channels) {
+  const counts = new Map(overlay.customGroups.map(group => [group.id, 0]));
+  channels.forEach(channel => {
+    const key = getChannelGroupKey(channel);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  
+  const list = [...counts].map(([key, count]) => ({
+    key,
+    name: getGroupName(key),
+    originalName: isCustom(key) ? '' : key,
+    custom: isCustom(key),
+    hidden: isGroupHidden(key),
+    count,
+  }));
+  
+  return sortByOrder(list, overlay.groupOrder, group => group.key);
+}
+
+/**
+ * Get the group key behind a displayed group name
+ * @param {string} name
+ * @returns {string}
+ */
+export function getGroupKey(name) {
+  return groupKeys.get(name) || name;
+}
+
+/**
+ * Sort displayed group names into the user's order
+ * Groups that were never arranged keep their incoming (locale) order after the arranged ones.
+ * @param {Array<string>} names
+ * @returns {Array<string>}
+ */
+export function sortGroups(names) {
+  if (overlay.groupOrder.length === 0) return names;
+  return sortByOrder(names, overlay.groupOrder, getGroupKey);
+}
+
+/**
+ * Create a custom group
+ * @param {string} name
+ * @returns {string|null} - Group key, or null if the name is empty or already used
+ */
+export function createGroup(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed || isGroupNameTaken(trimmed)) return null;
+  
+  const id = `${CUSTOM_PREFIX}${Date.now().toString(36)}`;
+  overlay.customGroups.push({ id, name: trimmed });
+  save();
+  return id;
+}
+
+/**
+ * Delete a custom group - its channels go back to their provider groups
+ * @param {string} key
+ */
+export function deleteGroup(key) {
+  if (!isCustom(key)) return;
+  
+  overlay.customGroups = overlay.customGroups.filter(group => group.id !== key);
+  overlay.groupOrder = overlay.groupOrder.filter(groupKey => groupKey !== key);
+  delete overlay.channelOrder[key];
+  
+  for (const [channelId, edit] of Object.entries(overlay.channels)) {
+    if (edit.group === key) updateChannelEdit(channelId, { group: null });
+  }
+  save();
+}
+
+/**
+ * Rename a group
+ * @param {string} key
+ * @param {string} name - Empty returns a provider group to its original name
+ * @returns {boolean} - False if the name is empty or another group already uses it
+ */
+export function renameGroup(key, name) {
+  const trimmed = (name || '').trim();
+  if (isGroupNameTaken(trimmed || key, key)) return false;
+  
+  if (isCustom(key)) {
+    const group = overlay.customGroups.find(g => g.id === key);
+    if (!group || !trimmed) return false;
+    group.name = trimmed;
+  } else {
+    updateGroupEdit(key, { name: trimmed && trimmed !== key ? trimmed : null });
+  }
+  save();
+  return true;
+}
+
+/**
+ * Hide or show a group and all its channels
+ * @param {string} key
+ * @param {boolean} hidden
+ */
+export function setGroupHidden(key, hidden) {
+  if (isCustom(key)) {
+    const group = overlay.customGroups.find(g => g.id === key);
+    if (!group) return;
+    if (hidden) group.hidden = true;
+    else delete group.hidden;
+  } else {
+    updateGroupEdit(key, { hidden: hidden || null });
+  }
+  save();
+}
+
+/**
+ * Save the group order
+ * @param {Array<string>} keys - Group keys, first shown first
+ */
+export function reorderGroups(keys) {
+  overlay.groupOrder = [...keys];
+  save();
+}
+
+// =============================================================================
+// Channels
+// =============================================================================
+
+/**
+ * Get the channels in a group, including hidden ones, in the user's order
+ * @param {Array} channels - Playlist channels, already in their default order
+ * @param {string} key - Group key
+ * @returns {Array<{channel: Object, name: string, hidden: boolean}>}
+ */
+export function getGroupChannels(channels, key) {
+  const list = channels
+    .filter(channel => getChannelGroupKey(channel) === key)
+    .map(channel => ({
+      channel,
+      name: overlay.channels[channel.id]?.name || channel.name,
+      hidden: overlay.channels[channel.id]?.hidden === true,
+    }));
+  
+  return sortByOrder(list, overlay.channelOrder[key] || [], item => item.channel.id);
+}
+
+/**
+ * Sort a group's channels into the user's order (in place)
+ * Channels that were never arranged keep their incoming order after the arranged ones.
+ * @param {Array} channels
+ * @param {string} key - Group key
+ * @returns {Array}
+ */
+export function sortChannels(channels, key) {
+  const order = overlay.channelOrder[key];
+  if (!order?.length) return channels;
+  
+  const sorted = sortByOrder(channels, order, channel => channel.id);
+  channels.splice(0, channels.length, ...sorted);
+  return channels;
+}
+
+/**
+ * Rename a channel
+ * @param {string} channelId
+ * @param {string} name - Empty returns to the provider's name
+ * @param {string} originalName - Provider's name (renaming back to it clears the edit)
+ */
+export function renameChannel(channelId, name, originalName) {
+  const trimmed = (name || '').trim();
+  updateChannelEdit(channelId, { name: trimmed && trimmed !== originalName ? trimmed : null });
+  save();
+}
+
+/**
+ * Hide or show a channel
+ * @param {string} channelId
+ * @param {boolean} hidden
+ */
+export function setChannelHidden(channelId, hidden) {
+  updateChannelEdit(channelId, { hidden: hidden || null });
+  save();
+}
+
+/**
+ * Move a channel to another group
+ * @param {Object} channel - Playlist channel
+ * @param {string} key - Target group key
+ */
+export function moveChannel(channel, key) {
+  const from = getChannelGroupKey(channel);
+  if (from === key) return;
+  
+  if (overlay.channelOrder[from]) {
+    overlay.channelOrder[from] = overlay.channelOrder[from].filter(id => id !== channel.id);
+  }
+  // Arranged groups get it at the end, others sort it in as usual
+  if (overlay.channelOrder[key]) {
+    overlay.channelOrder[key].push(channel.id);
+  }
+  
+  updateChannelEdit(channel.id, { group: key === channel.group ? null : key });
+  save();
+}
+
+/**
+ * Save a group's channel order
+ * @param {string} key - Group key
+ * @param {Array<string>} channelIds - First shown first
+ */
+export function reorderChannels(key, channelIds) {
+  overlay.channelOrder[key] = [...channelIds];
+  save();
+}
+
+/**
+ * Drop all edits for the current playlist
+ */
+export function reset() {
+  overlay = createOverlay();
+  save();
+}
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Create an empty overlay
+ * @returns {Object}
+ */
+function createOverlay() {
+  return { groups: {}, channels: {}, customGroups: [], groupOrder: [], channelOrder: {} };
+}
+
+/**
+ * Check if a group key belongs to a custom group
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isCustom(key) {
+  return key.startsWith(CUSTOM_PREFIX);
+}
+
+/**
+ * Get the group key a channel is shown under
+ * Channels moved to a custom group that was deleted return to their provider group.
+ * @param {Object} channel
+ * @returns {string}
+ */
+function getChannelGroupKey(channel) {
+  const group = overlay.channels[channel.id]?.group;
+  if (group && (!isCustom(group) || overlay.customGroups.some(g => g.id === group))) {
+    return group;
+  }
+  return channel.group;
+}
+
+/**
+ * Get the displayed name of a group
+ * @param {string} key
+ * @returns {string}
+ */
+function getGroupName(key) {
+  if (isCustom(key)) {
+    return overlay.customGroups.find(group => group.id === key)?.name || key;
+  }
+  return overlay.groups[key]?.name || key;
+}
+
+/**
+ * Check if another group is shown with a name
+ * Categories are picked by name, so two groups sharing one would merge.
+ * @param {string} name
+ * @param {string|null} exceptKey - Group being renamed
+ * @returns {boolean}
+ */
+function isGroupNameTaken(name, exceptKey = null) {
+  const wanted = name.toLowerCase();
+  return [...providerGroups, ...overlay.customGroups.map(group => group.id)]
+    .some(key => key !== exceptKey && getGroupName(key).toLowerCase() === wanted);
+}
+
+/**
+ * Check if a group is hidden
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isGroupHidden(key) {
+  if (isCustom(key)) {
+    return overlay.customGroups.find(group => group.id === key)?.hidden === true;
+  }
+  return overlay.groups[key]?.hidden === true;
+}
+
+/**
+ * Sort items by their position in a saved order, stable for the rest
+ * @param {Array} items
+ * @param {Array<string>} order - Keys, first shown first
+ * @param {Function} getKey - Item -> key
+ * @returns {Array} - New array
+ */
+function sortByOrder(items, order, getKey) {
+  const position = new Map(order.map((key, index) => [key, index]));
+  return items
+    .map((item, index) => ({ item, index, position: position.get(getKey(item)) ?? Infinity }))
+    .sort((a, b) => (a.position - b.position) || (a.index - b.index))
+    .map(entry => entry.item);
+}
+
+/**
+ * Merge changes into a provider group's edit (null clears a field)
+ * @param {string} key
+ * @param {Object} changes
+ */
+function updateGroupEdit(key, changes) {
+  overlay.groups[key] = mergeEdit(overlay.groups[key], changes);
+  if (!overlay.groups[key]) delete overlay.groups[key];
+}
+
+/**
+ * Merge changes into a channel's edit (null clears a field)
+ * @param {string} channelId
+ * @param {Object} changes
+ */
+function updateChannelEdit(channelId, changes) {
+  overlay.channels[channelId] = mergeEdit(overlay.channels[channelId], changes);
+  if (!overlay.channels[channelId]) delete overlay.channels[channelId];
+}
+
+/**
+ * Merge edit fields, dropping cleared ones
+ * @param {Object|undefined} edit
+ * @param {Object} changes
+ * @returns {Object|null} - null when nothing is left
+ */
+function mergeEdit(edit, changes) {
+  const merged = { ...edit, ...changes };
+  Object.keys(merged).forEach(field => {
+    if (merged[field] === null) delete merged[field];
+  });
+  return Object.keys(merged).length > 0 ? merged : null;
+}
+
+/**
+ * Persist the edits and notify listeners
+ */
+function save() {
+  if (playlistKey) {
+    setChannelOverlay(playlistKey, hasEdits() ? overlay : null);
+  }
+  emit('onChange');
+}
+
+// =============================================================================
+// Event system
+// =============================================================================
+
+/**
+ * Subscribe to events
+ * @param {string} event - 'onChange'
+ * @param {Function} callback
+ * @returns {Function} - Unsubscribe function
+ */
+export function on(event, callback) {
+  if (listeners[event]) {
+    listeners[event].push(callback);
+  }
+  return () => off(event, callback);
+}
+
+/**
+ * Unsubscribe from events
+ * @param {string} event
+ * @param {Function} callback
+ */
+export function off(event, callback) {
+  if (listeners[event]) {
+    const idx = listeners[event].indexOf(callback);
+    if (idx !== -1) listeners[event].splice(idx, 1);
+  }
+}
+
+/**
+ * Emit event
+ * @param {string} event
+ * @param {*} data
+ */
+function emit(event, data) {
+  if (listeners[event]) {
+    listeners[event].forEach(cb => {
+      try {
+        cb(data);
+      } catch (e) {
+        console.error(`[Groups] Error in ${event} listener:`, e);
+      }
+    });
+  }
+}
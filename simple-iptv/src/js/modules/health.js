@@ -0,0 +1,235 @@
+/**
+ * Stream Health Module
+ * Opt-in scanner that probes channels with the playback preflight and records
+ * whether each stream answers, so dead channels can be marked or hidden.
+ * Results are kept per profile in IndexedDB.
+ */
+
+import { db, profileKey, KEYS, getSettings, updateSettings } from './storage.js';
+import { probeStream, getIsPlaying } from './player.js';
+
+const CONCURRENCY = 3;
+const MAX_SCAN_CHANNELS = 300;                 // Keep one scan from hammering the provider
+const RESULT_MAX_AGE_MS = 6 * 60 * 60 * 1000;  // Background scans skip fresher results
+const BACKGROUND_INTERVAL_MS = 30 * 60 * 1000;
+const MAX_CONSECUTIVE_BLOCKED = 3;             // Provider is refusing us - stop before it bans the account
+
+// channelId -> { status, latency, httpStatus, checkedAt }
+let results = new Map();
+let currentScan = null; // { total, done, cancelled }
+let backgroundTimer = null;
+let getBackgroundChannels = () => [];
+
+// Event callbacks
+const listeners = {
+  onResult: [],
+  onProgress: [],
+  onComplete: [],
+};
+
+/**
+ * Load saved results and start the background scanner if enabled
+ * @param {Function} getChannels - Returns the channels to scan in the background (current group)
+ */
+export async function init(getChannels) {
+  getBackgroundChannels = getChannels || getBackgroundChannels;
+  
+  const saved = await db.get(profileKey(KEYS.STREAM_HEALTH)) || {};
+  results = new Map(Object.entries(saved));
+  
+  console.log(`[Health] Loaded ${results.size} stream results`);
+  updateTimer();
+}
+
+/**
+ * Check if the scanner is turned on
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return getSettings().healthScanEnabled === true;
+}
+
+/**
+ * Turn the scanner on or off
+ * @param {boolean} enabled
+ */
+export function setEnabled(enabled) {
+  updateSettings({ healthScanEnabled: enabled });
+  if (!enabled) cancel();
+  updateTimer();
+}
+
+/**
+ * Get the last probe result for a channel
+ * @param {string} channelId
+ * @returns {Object|null} - { status, latency, httpStatus, checkedAt }
+ */
+export function getResult(channelId) {
+  return results.get(channelId) || null;
+}
+
+/**
+ * Check if a channel failed its last probe
+ * Channels that were never probed are not dead.
+ * @param {string} channelId
+ * @returns {boolean}
+ */
+export function isDead(channelId) {
+  const result = results.get(channelId);
+  return !!result && result.status !== 'ok';
+}
+
+/**
+ * Check if a scan is running
+ * @returns {boolean}
+ */
+export function isScanning() {
+  return currentScan !== null;
+}
+
+/**
+ * Probe a list of channels with limited concurrency
+ * Channels without a fixed URL (Stalker portals create one per play) are skipped.
+ * @param {Array} channels
+ * @param {Object} options - { force: also re-probe channels with a fresh result }
+ * @returns {Promise<Object>} - { checked, ok, dead, stopped } where stopped is 'cancelled' | 'blocked' | null
+ */
+export async function scan(channels, { force = true } = {}) {
+  cancel();
+  
+  const now = Date.now();
+  const queue = channels
+    .filter(ch => ch.url)
+    .filter(ch => force || now - (results.get(ch.id)?.checkedAt || 0) >= RESULT_MAX_AGE_MS)
+    .slice(0, MAX_SCAN_CHANNELS);
+  
+  const scanState = { total: queue.length, done: 0, cancelled: false };
+  currentScan = scanState;
+  
+  const summary = { checked: 0, ok: 0, dead: 0, stopped: null };
+  let consecutiveBlocked = 0;
+  
+  console.log(`[Health] Scanning ${queue.length} channels`);
+  emit('onProgress', { done: 0, total: scanState.total });
+  
+  const worker = async () => {
+    while (queue.length > 0 && !scanState.cancelled) {
+      const channel = queue.shift();
+      const result = { ...await probeStream(channel.url), checkedAt: Date.now() };
+      
+      // Results for a cancelled scan are still true - keep them
+      results.set(channel.id, result);
+      summary.checked++;
+      summary[result.status === 'ok' ? 'ok' : 'dead']++;
+      scanState.done++;
+      
+      emit('onResult', { channel, result });
+      emit('onProgress', { done: scanState.done, total: scanState.total });
+      
+      consecutiveBlocked = result.status === 'blocked' ? consecutiveBlocked + 1 : 0;
+      if (consecutiveBlocked >= MAX_CONSECUTIVE_BLOCKED && !scanState.cancelled) {
+        console.warn('[Health] ⚠ Provider is blocking requests, stopping scan');
+        scanState.cancelled = true;
+        summary.stopped = 'blocked';
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+  
+  if (scanState.cancelled && !summary.stopped) summary.stopped = 'cancelled';
+  if (currentScan === scanState) currentScan = null;
+  
+  await save();
+  console.log(`[Health] ✓ Scan finished: ${summary.ok} ok, ${summary.dead} dead${summary.stopped ? ` (${summary.stopped})` : ''}`);
+  emit('onComplete', summary);
+  return summary;
+}
+
+/**
+ * Stop the running scan after in-flight probes finish
+ */
+export function cancel() {
+  if (currentScan) {
+    currentScan.cancelled = true;
+    currentScan = null;
+  }
+}
+
+/**
+ * Background tick: re-probe stale channels in the current group
+ * Skipped during playback - many providers allow only one connection.
+ */
+function runBackgroundScan() {
+  if (currentScan || getIsPlaying()) return;
+  
+  const channels = getBackgroundChannels();
+  if (channels.length > 0) {
+    scan(channels, { force: false });
+  }
+}
+
+/**
+ * Run the background scanner only while enabled
+ */
+function updateTimer() {
+  if (isEnabled() && !backgroundTimer) {
+    backgroundTimer = setInterval(runBackgroundScan, BACKGROUND_INTERVAL_MS);
+  } else if (!isEnabled() && backgroundTimer) {
+    clearInterval(backgroundTimer);
+    backgroundTimer = null;
+  }
+}
+
+/**
+ * Persist results
+ */
+async function save() {
+  await db.set(profileKey(KEYS.STREAM_HEALTH), Object.fromEntries(results));
+}
+
+// =============================================================================
+// Event system
+// =============================================================================
+
+/**
+ * Subscribe to events
+ * @param {string} event - 'onResult' | 'onProgress' | 'onComplete'
+ * @param {Function} callback
+ * @returns {Function} - Unsubscribe function
+ */
+export function on(event, callback) {
+  if (listeners[event]) {
+    listeners[event].push(callback);
+  }
+  return () => off(event, callback);
+}
+
+/**
+ * Unsubscribe from events
+ * @param {string} event
+ * @param {Function} callback
+ */
+export function off(event, callback) {
+  if (listeners[event]) {
+    const idx = listeners[event].indexOf(callback);
+    if (idx !== -1) listeners[event].splice(idx, 1);
+  }
+}
+
+/**
+ * Emit event
+ * @param {string} event
+ * @param {*} data
+ */
+function emit(event, data) {
+  if (listeners[event]) {
+    listeners[event].forEach(cb => {
+      try {
+        cb(data);
+      } catch (e) {
+        console.error(`[Health] Error in ${event} listener:`, e);
+      }
+    });
+  }
+}
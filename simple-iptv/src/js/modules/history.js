@@ -0,0 +1,213 @@
+/**
+ * Watch History Module
+ * Logs what was watched, when and for how long, and summarises it for the
+ * history dashboard. Entries are stored through the storage module.
+ */
+
+import { getWatchHistory, saveWatchHistoryEntry, clearWatchHistory, getActiveProfile } from './storage.js';
+
+const MIN_SESSION_SECONDS = 10;              // Zapping past a channel isn't watching it
+const SAVE_INTERVAL_MS = 60 * 1000;
+const MAX_TICK_GAP_MS = 5 * 1000;            // Longer gaps are pauses, stalls or sleep - not watching
+const SESSION_CONTINUE_MS = 5 * 60 * 1000;   // Coming back to the same item this soon continues its entry
+
+// Active session: { key, entry, lastTickAt, lastSaveAt }
+let session = null;
+
+// Each save rewrites the whole stored list - chain them so one can't overwrite another
+let pendingWrite = Promise.resolve();
+
+/**
+ * Start logging an item (continues the current entry if it's the same item)
+ * @param {Object} item - Playing channel, movie or episode
+ * @param {Object} details - { key, type, name, title, genre } - key groups restarts of the same thing,
+ *   title is what was on (catch-up programme, episode's series)
+ */
+export function start(item, { key, type, name, title, genre }) {
+  if (session && session.key === key && Date.now() - session.lastTickAt < SESSION_CONTINUE_MS) {
+    return;
+  }
+  
+  flush();
+  
+  const profile = getActiveProfile();
+  const now = Date.now();
+  session = {
+    key,
+    lastTickAt: now,
+    lastSaveAt: now,
+    entry: {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      itemId: item.id,
+      name: name || item.name,
+      title: title || '',
+      type,
+      genre: genre || '',
+      start: now,
+      duration: 0,
+      profileId: profile?.id || null,
+      playlist: profile?.name || '',
+    },
+  };
+}
+
+/**
+ * Count watched time (called from the player's time updates while playing)
+ */
+export function tick() {
+  if (!session) return;
+  
+  const now = Date.now();
+  const gap = now - session.lastTickAt;
+  if (gap <= MAX_TICK_GAP_MS) {
+    session.entry.duration += gap / 1000;
+  }
+  session.lastTickAt = now;
+  
+  if (now - session.lastSaveAt >= SAVE_INTERVAL_MS) {
+    flush();
+  }
+}
+
+/**
+ * Save the current entry (playback stopped, tab closing, or periodically)
+ * Too-short sessions aren't written.
+ * @returns {Promise} - Resolves once this and earlier saves are written
+ */
+export function flush() {
+  if (!session || session.entry.duration < MIN_SESSION_SECONDS) return pendingWrite;
+  
+  session.lastSaveAt = Date.now();
+  const entry = { ...session.entry, duration: Math.round(session.entry.duration) };
+  return queueWrite(() => saveWatchHistoryEntry(entry));
+}
+
+/**
+ * Run a history write after the ones already queued
+ * @param {Function} write - Returns a promise
+ * @returns {Promise}
+ */
+function queueWrite(write) {
+  pendingWrite = pendingWrite
+    .then(write)
+    .catch(e => console.error('[History] ✗ Failed to save history:', e));
+  return pendingWrite;
+}
+
+/**
+ * Get all entries, newest first
+ * @returns {Promise<Array>}
+ */
+export async function getEntries() {
+  await pendingWrite;
+  const entries = await getWatchHistory();
+  return entries.reverse();
+}
+
+/**
+ * Delete the whole history
+ */
+export async function clear() {
+  session = null;
+  await queueWrite(clearWatchHistory);
+  console.log('[History] ✓ Cleared');
+}
+
+/**
+ * Filter entries by name, title, genre or playlist
+ * @param {Array} entries
+ * @param {string} query
+ * @returns {Array}
+ */
+export function search(entries, query) {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return entries;
+  
+  return entries.filter(entry =>
+    entry.name.toLowerCase().includes(q) ||
+    entry.title.toLowerCase().includes(q) ||
+    entry.genre.toLowerCase().includes(q) ||
+    entry.playlist.toLowerCase().includes(q)
+  );
+}
+
+/**
+ * Summarise entries for the dashboard
+ * @param {Array} entries
+ * @param {number} days - Days covered by the per-day chart (ending today)
+ * @returns {Object} - { totalSeconds, sessions, perDay: [{ date, seconds }], topChannels, topGenres }
+ */
+export function getStats(entries, days = 14) {
+  const perDay = [];
+  const dayIndex = new Map();
+  
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - i);
+    dayIndex.set(getDayKey(date), perDay.length);
+    perDay.push({ date, seconds: 0 });
+  }
+  
+  const channels = new Map();
+  const genres = new Map();
+  let totalSeconds = 0;
+  
+  for (const entry of entries) {
+    totalSeconds += entry.duration;
+    
+    const day = dayIndex.get(getDayKey(new Date(entry.start)));
+    if (day !== undefined) perDay[day].seconds += entry.duration;
+    
+    // Catch-up counts toward its channel
+    if (entry.type === 'live' || entry.type === 'catchup') {
+      addTotal(channels, `${entry.profileId}|${entry.itemId}`, entry.name, entry.duration);
+    }
+    if (entry.genre) {
+      addTotal(genres, entry.genre.toLowerCase(), entry.genre, entry.duration);
+    }
+  }
+  
+  return {
+    totalSeconds,
+    sessions: entries.length,
+    perDay,
+    topChannels: getTop(channels, 10),
+    topGenres: getTop(genres, 8),
+  };
+}
+
+/**
+ * Add watched time to a running total
+ * @param {Map} totals - key -> { name, seconds, count }
+ * @param {string} key
+ * @param {string} name
+ * @param {number} seconds
+ */
+function addTotal(totals, key, name, seconds) {
+  const total = totals.get(key) || { name, seconds: 0, count: 0 };
+  total.seconds += seconds;
+  total.count++;
+  totals.set(key, total);
+}
+
+/**
+ * Get the largest totals
+ * @param {Map} totals
+ * @param {number} limit
+ * @returns {Array<{name: string, seconds: number, count: number}>}
+ */
+function getTop(totals, limit) {
+  return [...totals.values()]
+    .sort((a, b) => b.seconds - a.seconds)
+    .slice(0, limit);
+}
+
+/**
+ * Local calendar day of a date
+ * @param {Date} date
+ * @returns {string}
+ */
+function getDayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
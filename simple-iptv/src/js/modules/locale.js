@@ -43,6 +43,26 @@ const LOCALE_CONFIG = {
   MX: [['MX','MEX','MEXICO'], ['ES','ESP','LATINO']],
 };
 
+// Country -> ISO 639-1 language, for default audio/subtitle tracks
+const COUNTRY_LANGUAGE = {
+  GB:'en', US:'en', AU:'en', NZ:'en', CA:'en', IE:'en', DE:'de', FR:'fr', ES:'es', IT:'it',
+  PT:'pt', BR:'pt', NL:'nl', PL:'pl', RU:'ru', UA:'uk', TR:'tr', GR:'el', SE:'sv', NO:'no',
+  DK:'da', FI:'fi', RO:'ro', HU:'hu', CZ:'cs', SA:'ar', AE:'ar', IN:'hi', JP:'ja', KR:'ko',
+  CN:'zh', MX:'es',
+};
+
+// ISO 639-1 -> [name, ISO 639-2 codes] - stream tracks are tagged with either form
+const LANGUAGES = {
+  en: ['English', 'eng'], de: ['German', 'ger', 'deu'], fr: ['French', 'fre', 'fra'],
+  es: ['Spanish', 'spa'], it: ['Italian', 'ita'], pt: ['Portuguese', 'por'],
+  nl: ['Dutch', 'dut', 'nld'], pl: ['Polish', 'pol'], ru: ['Russian', 'rus'],
+  uk: ['Ukrainian', 'ukr'], tr: ['Turkish', 'tur'], el: ['Greek', 'gre', 'ell'],
+  sv: ['Swedish', 'swe'], no: ['Norwegian', 'nor', 'nob', 'nno'], da: ['Danish', 'dan'],
+  fi: ['Finnish', 'fin'], ro: ['Romanian', 'rum', 'ron'], hu: ['Hungarian', 'hun'],
+  cs: ['Czech', 'cze', 'ces'], ar: ['Arabic', 'ara'], hi: ['Hindi', 'hin'],
+  ja: ['Japanese', 'jpn'], ko: ['Korean', 'kor'], zh: ['Chinese', 'chi', 'zho'],
+};
+
 // Pre-compiled patterns (built once when country changes)
 let primaryPattern = null;   // Exact country match
 let familyPattern = null;    // Same language family
@@ -245,7 +265,36 @@ export function sortGroups(groups) {
   return wrapped.map(w => w._original);
 }
 
+/**
+ * Get the country/language codes playlists put in front of channel names ("UK:", "GER|")
+ * @returns {Array<string>} - 2-3 letter markers from the locale config
+ */
+export function getPrefixCodes() {
+  const codes = Object.values(LOCALE_CONFIG).flatMap(([primary, family]) => [...primary, ...family]);
+  return [...new Set(codes)].filter(code => /^[A-Z]{2,3}$/.test(code));
+}
+
 // Legacy API (for compatibility) - use getScore() instead for bulk operations
 export function isExactCountryMatch(name) { return primaryPattern?.test(name) || false; }
 export function isPreferredLanguage(name) { return familyPattern?.test(name) || false; }
 export function isNonPreferredLanguage(name) { return foreignPattern?.test(name) && !familyPattern?.test(name); }
+
+// Track languages
+export function getCountryLanguage() { return COUNTRY_LANGUAGE[activeCountry] || 'en'; }
+export function getLanguages() { return Object.entries(LANGUAGES).map(([code, [name]]) => ({ code, name })); }
+export function getLanguageName(code) { return LANGUAGES[normalizeLanguage(code)]?.[0] || code || ''; }
+
+/**
+ * Normalise a track language tag to ISO 639-1 where known
+ * "eng", "en-GB", "English" -> "en"; unknown tags are just lowercased
+ */
+export function normalizeLanguage(tag) {
+  if (!tag) return '';
+  const lower = String(tag).trim().toLowerCase();
+  const base = lower.split(/[-_]/)[0];
+  if (LANGUAGES[base]) return base;
+  for (const [code, [name, ...alt]] of Object.entries(LANGUAGES)) {
+    if (alt.includes(base) || name.toLowerCase() === lower) return code;
+  }
+  return lower;
+}
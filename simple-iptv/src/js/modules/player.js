@@ -1,6 +1,6 @@
 /**
  * Player Module
- * Handles HLS playback with hls.js or native HLS support
+ * Handles HLS playback with hls.js or native HLS support, and raw MPEG-TS with mpegts.js
  * 
  * DEBUG MODE: Set window.PLAYER_DEBUG = true in console for verbose logging
  */
@@ -21,6 +21,10 @@ const applyProxy = applyProxyToUrl;
 let Hls = null;
 let hlsInstance = null;
 
+// mpegts.js is loaded the same way, for raw MPEG-TS live streams
+let mpegts = null;
+let mpegtsPlayer = null;
+
 // Track current state
 let currentChannel = null;
 let isPlaying = false;
@@ -46,6 +50,9 @@ const listeners = {
   onStateChange: [],
   onError: [],
   onTimeUpdate: [],
+  onLevels: [],        // Renditions of a newly loaded HLS stream
+  onQualityChange: [], // Rendition switched or selection changed
+  onTracksChange: [],  // Audio/subtitle tracks added or switched
 };
 
 // Known blocking status codes used by IPTV providers
@@ -118,13 +125,31 @@ async function loadHlsJs() {
   }
 }
 
+/**
+ * Load mpegts.js library dynamically
+ * @returns {Promise<void>}
+ */
+async function loadMpegts() {
+  if (mpegts) return;
+  
+  try {
+    const module = await import('https://esm.sh/mpegts.js@1.7.3');
+    mpegts = module.default;
+    console.log('[Player] mpegts.js loaded successfully');
+  } catch (e) {
+    console.error('[Player] Failed to load mpegts.js:', e);
+    throw new Error('Failed to load video library');
+  }
+}
+
 /**
  * Preflight check - fetch the manifest to detect blocking before playback
  * @param {string} url 
  * @param {boolean} isProxied - Whether this URL has already been proxied
+ * @param {AbortController} controller - Lets the caller close the connection afterwards
  * @returns {Promise<{ok: boolean, status: number, error?: string}>}
  */
-async function preflightCheck(url, isProxied = false) {
+async function preflightCheck(url, isProxied = false, controller = new AbortController()) {
   log('Preflight check:', url.substring(0, 80) + (url.length > 80 ? '...' : ''));
   
   // Detect content type from URL
@@ -137,7 +162,6 @@ async function preflightCheck(url, isProxied = false) {
   if (isVOD) log('    VOD extension:', isVOD[1]);
   
   try {
-    const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 15000);
     
     debug('  Creating fetch request...');
@@ -146,15 +170,11 @@ async function preflightCheck(url, isProxied = false) {
     
     const startTime = performance.now();
     
-    // Build headers with session ID for proxy tracking
+    // Only a small range - a plain GET keeps the request CORS-simple through the proxy
     const fetchHeaders = {
       'Range': 'bytes=0-1000'
     };
-    
-    // Add session ID if using proxy
-    if (isProxied) {
-      fetchHeaders['X-Session-Id'] = getSessionId();
-    }
+    debug('  Via proxy:', isProxied);
     
     const response = await fetch(url, {
       method: 'GET',
@@ -321,6 +341,37 @@ async function preflightCheck(url, isProxied = false) {
   }
 }
 
+// Preflight errors -> stream health status
+const PROBE_STATUS = {
+  blocked: 'blocked',
+  empty_stream: 'empty',
+  timeout: 'timeout',
+};
+
+/**
+ * Probe a stream without playing it (used by the health scanner)
+ * Runs the playback preflight through the proxy if one is configured, then closes
+ * the connection so live streams don't keep downloading.
+ * @param {string} originalUrl 
+ * @returns {Promise<{status: string, latency: number, httpStatus: number}>}
+ *   status: 'ok' | 'blocked' | 'empty' | 'timeout' | 'error'
+ */
+export async function probeStream(originalUrl) {
+  const url = applyProxy(originalUrl);
+  const controller = new AbortController();
+  const startTime = performance.now();
+  
+  const result = await preflightCheck(url, url !== originalUrl, controller);
+  const latency = Math.round(performance.now() - startTime);
+  controller.abort();
+  
+  return {
+    status: result.ok ? 'ok' : (PROBE_STATUS[result.error] || 'error'),
+    latency,
+    httpStatus: result.status,
+  };
+}
+
 /**
  * Initialize player with video element
  * @param {HTMLVideoElement} element 
@@ -358,6 +409,13 @@ export function init(element) {
     handleVideoError(e);
   });
   
+  // Native tracks (Safari HLS, MP4 VOD) - hls.js streams report through its own events
+  const notifyTracks = () => emit('onTracksChange');
+  videoElement.audioTracks?.addEventListener('addtrack', notifyTracks);
+  videoElement.audioTracks?.addEventListener('change', notifyTracks);
+  videoElement.textTracks?.addEventListener('addtrack', notifyTracks);
+  videoElement.textTracks?.addEventListener('change', notifyTracks);
+  
   console.log('[Player] Initialized');
 }
 
@@ -382,10 +440,11 @@ export async function play(channel) {
   const urlLower = originalUrl.toLowerCase();
   const isHLS = urlLower.includes('.m3u8');
   const isVOD = urlLower.match(/\.(mp4|mkv|avi|mov|wmv|flv|webm)(\?|$)/i);
-  const extension = isVOD ? isVOD[1] : (isHLS ? 'm3u8' : 'unknown');
+  const isTS = !isHLS && /\.ts(\?|$)/i.test(urlLower);
+  const extension = isVOD ? isVOD[1] : (isHLS ? 'm3u8' : isTS ? 'ts' : 'unknown');
   
   log('');
-  log('▶ PLAY:', channel.name, isVOD ? '[VOD]' : isHLS ? '[HLS]' : '');
+  log('▶ PLAY:', channel.name, isVOD ? '[VOD]' : isHLS ? '[HLS]' : isTS ? '[MPEG-TS]' : '');
   debug('Channel object:', JSON.stringify(channel, null, 2));
   log('Original stream URL:', originalUrl);
   log('File extension:', extension);
@@ -421,7 +480,10 @@ export async function play(channel) {
   if (!usingProxy) {
     log('');
     log('Running preflight check (no proxy)...');
-    lastPreflightResult = await preflightCheck(url, false);
+    // Close the preflight connection - a live TS body never ends and would hold a second slot
+    const preflightController = new AbortController();
+    lastPreflightResult = await preflightCheck(url, false, preflightController);
+    preflightController.abort();
     
     if (!lastPreflightResult.ok) {
       error('PREFLIGHT FAILED:', lastPreflightResult);
@@ -470,6 +532,10 @@ export async function play(channel) {
       // Chrome/Firefox/Edge: use hls.js
       log('Playback method: HLS.JS');
       await playWithHls(url);
+    } else if (isTS && supportsMSE()) {
+      // Raw MPEG-TS over HTTP: remuxed to fMP4 in the browser
+      log('Playback method: MPEGTS.JS');
+      await playWithMpegts(url);
     } else if (!isHLS) {
       // Direct playback (MP4, etc.)
       log('Playback method: NATIVE (non-HLS)');
@@ -755,6 +821,11 @@ async function playWithHls(url) {
       log('  HLS Event: MANIFEST_PARSED - Success!');
       log('    Levels:', data.levels.length);
       debug('    First level:', data.levels[0]);
+      
+      // Listeners may lock a saved rendition before the first fragment loads
+      applyDataSaver();
+      emit('onLevels', getQualityLevels());
+      
       if (!settled) {
         settled = true;
         videoElement.play().catch((e) => {
@@ -766,6 +837,17 @@ async function playWithHls(url) {
       }
     });
     
+    hlsInstance.on(Hls.Events.LEVEL_SWITCHED, (event, data) => {
+      log('  HLS Event: LEVEL_SWITCHED', data.level);
+      emit('onQualityChange', getQuality());
+    });
+    
+    const notifyTracks = () => emit('onTracksChange');
+    hlsInstance.on(Hls.Events.AUDIO_TRACKS_UPDATED, notifyTracks);
+    hlsInstance.on(Hls.Events.AUDIO_TRACK_SWITCHED, notifyTracks);
+    hlsInstance.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, notifyTracks);
+    hlsInstance.on(Hls.Events.SUBTITLE_TRACK_SWITCH, notifyTracks);
+    
     hlsInstance.on(Hls.Events.LEVEL_LOADING, (event, data) => {
       debug('  HLS Event: LEVEL_LOADING', data.level);
     });
@@ -822,6 +904,126 @@ async function playWithHls(url) {
   });
 }
 
+/**
+ * Play a raw MPEG-TS live stream with mpegts.js
+ * @param {string} url 
+ */
+async function playWithMpegts(url) {
+  log('');
+  log('playWithMpegts() called');
+  debug('  URL:', url);
+  
+  await loadMpegts();
+  
+  if (!mpegts.getFeatureList().mseLivePlayback) {
+    const err = new Error('MPEG-TS playback not supported on this browser');
+    err.type = ErrorTypes.FORMAT;
+    err.hint = 'Switch this playlist\'s stream format to HLS (.m3u8), or copy the URL to VLC.';
+    throw err;
+  }
+  
+  return new Promise((resolve, reject) => {
+    const player = mpegts.createPlayer({
+      type: 'mpegts',
+      isLive: true,
+      url,
+    }, {
+      enableWorker: true,
+      // Stay near the live edge instead of drifting behind after stalls
+      liveBufferLatencyChasing: true,
+      liveBufferLatencyMaxLatency: 8,
+      liveBufferLatencyMinRemain: 2,
+    });
+    mpegtsPlayer = player;
+    
+    let settled = false;
+    
+    const onCanPlay = () => {
+      // A stopped player's listener must not start the next stream
+      if (settled || player !== mpegtsPlayer) return;
+      settled = true;
+      log('  Event: canplay - MPEG-TS stream is ready!');
+      videoElement.play().catch((e) => {
+        error('  Play() method failed:', e);
+        reject(e);
+      });
+      emit('onStateChange', { loading: false });
+      resolve();
+    };
+    videoElement.addEventListener('canplay', onCanPlay, { once: true });
+    
+    player.on(mpegts.Events.MEDIA_INFO, (info) => {
+      log('  mpegts Event: MEDIA_INFO', info.mimeType);
+    });
+    
+    player.on(mpegts.Events.ERROR, (type, details, info) => {
+      error('  mpegts Event: ERROR');
+      error('    Type:', type);
+      error('    Details:', details);
+      error('    Info:', info);
+      
+      const errorInfo = handleMpegtsError(type, details, info);
+      
+      if (!settled) {
+        settled = true;
+        videoElement.removeEventListener('canplay', onCanPlay);
+        emit('onStateChange', { loading: false });
+        const err = new Error(errorInfo.message);
+        err.type = errorInfo.type;
+        err.hint = errorInfo.hint;
+        reject(err);
+      }
+    });
+    
+    log('  Calling mpegtsPlayer.attachMediaElement()...');
+    player.attachMediaElement(videoElement);
+    log('  Calling mpegtsPlayer.load()...');
+    player.load();
+    log('  Waiting for mpegts.js events...');
+  });
+}
+
+/**
+ * Handle mpegts.js errors
+ * @param {string} type - mpegts.ErrorTypes value
+ * @param {string} details - mpegts.ErrorDetails value
+ * @param {Object} info - { code, msg }
+ * @returns {Object}
+ */
+function handleMpegtsError(type, details, info = {}) {
+  let errorType = ErrorTypes.UNKNOWN;
+  let message = 'Playback error';
+  const code = info?.code;
+  
+  if (type === mpegts.ErrorTypes.NETWORK_ERROR) {
+    if (code && BLOCKED_STATUS_CODES.includes(code)) {
+      errorType = ErrorTypes.BLOCKED;
+      message = `Stream blocked by provider (HTTP ${code})`;
+    } else if (code >= 400 && code < 500) {
+      errorType = ErrorTypes.BLOCKED;
+      message = `Access denied (HTTP ${code})`;
+    } else if (details === mpegts.ErrorDetails.NETWORK_UNRECOVERABLE_EARLY_EOF) {
+      errorType = ErrorTypes.EMPTY_STREAM;
+      message = 'Stream ended unexpectedly';
+    } else {
+      errorType = ErrorTypes.NETWORK;
+      message = code >= 500 ? `Server error (HTTP ${code})` : 'Network error occurred';
+    }
+  } else if (type === mpegts.ErrorTypes.MEDIA_ERROR) {
+    if (details === mpegts.ErrorDetails.MEDIA_CODEC_UNSUPPORTED) {
+      errorType = ErrorTypes.CODEC;
+      message = 'Codec not supported';
+    } else {
+      errorType = ErrorTypes.MEDIA;
+      message = 'Media playback error';
+    }
+  }
+  
+  const hint = getErrorHint(errorType);
+  emit('onError', { type: errorType, message, hint, details, code });
+  return { type: errorType, message, hint };
+}
+
 /**
  * Handle hls.js errors with detailed detection
  * @param {Object} data 
@@ -980,6 +1182,11 @@ export function stop() {
     hlsInstance = null;
   }
   
+  if (mpegtsPlayer) {
+    mpegtsPlayer.destroy();
+    mpegtsPlayer = null;
+  }
+  
   if (videoElement) {
     videoElement.pause();
     videoElement.removeAttribute('src');
@@ -1050,6 +1257,238 @@ export function seek(time) {
   return true;
 }
 
+// =============================================================================
+// Quality (hls.js renditions)
+// =============================================================================
+
+const DATA_SAVER_MAX_HEIGHT = 480;
+let dataSaver = false;
+
+/**
+ * Get the renditions of the current stream, lowest first
+ * Empty for native playback - the browser picks renditions itself.
+ * @returns {Array<{index: number, width: number, height: number, bitrate: number, codecs: string, label: string}>}
+ */
+export function getQualityLevels() {
+  if (!hlsInstance) return [];
+  
+  return hlsInstance.levels.map((level, index) => ({
+    index,
+    width: level.width || 0,
+    height: level.height || 0,
+    bitrate: level.bitrate || 0,
+    codecs: [level.videoCodec, level.audioCodec].filter(Boolean).join(', '),
+    label: level.height ? `${level.height}p` : formatBitrate(level.bitrate),
+  }));
+}
+
+/**
+ * Get the current quality selection
+ * @returns {{auto: boolean, level: number, cap: number}|null} - level: rendition playing now, cap: -1 = none
+ */
+export function getQuality() {
+  if (!hlsInstance) return null;
+  
+  return {
+    auto: hlsInstance.autoLevelEnabled,
+    level: hlsInstance.currentLevel,
+    cap: hlsInstance.autoLevelCapping,
+  };
+}
+
+/**
+ * Lock playback to one rendition, or go back to automatic selection
+ * @param {number} index - Level index, -1 = auto
+ */
+export function setQuality(index) {
+  if (!hlsInstance) return;
+  
+  hlsInstance.currentLevel = index;
+  log('Quality:', index === -1 ? 'auto' : getQualityLevels()[index]?.label);
+  emit('onQualityChange', getQuality());
+}
+
+/**
+ * Cap automatic quality to save data
+ * Only limits automatic selection - a manually locked rendition still plays.
+ * @param {boolean} enabled 
+ */
+export function setDataSaver(enabled) {
+  dataSaver = enabled;
+  applyDataSaver();
+}
+
+/**
+ * Apply the data saver cap to the current stream
+ */
+function applyDataSaver() {
+  if (!hlsInstance) return;
+  
+  let cap = -1;
+  if (dataSaver) {
+    const levels = getQualityLevels();
+    const fitting = levels.filter(level => level.height && level.height <= DATA_SAVER_MAX_HEIGHT);
+    // Renditions without a resolution can't be judged; otherwise fall back to the lowest
+    if (fitting.length > 0) {
+      cap = fitting[fitting.length - 1].index;
+    } else if (levels.some(level => level.height)) {
+      cap = 0;
+    }
+  }
+  
+  hlsInstance.autoLevelCapping = cap;
+  emit('onQualityChange', getQuality());
+}
+
+/**
+ * Get live playback stats for the now-playing panel
+ * @returns {{width: number, height: number, bitrate: number, bandwidth: number, buffer: number, dropped: number}|null}
+ *   bitrate/bandwidth in bits per second (0 if unknown), buffer in seconds ahead
+ */
+export function getPlaybackStats() {
+  if (!videoElement || !currentChannel) return null;
+  
+  const level = hlsInstance?.levels[hlsInstance.currentLevel];
+  const quality = videoElement.getVideoPlaybackQuality?.();
+  
+  // mpegts.js only reports download speed (KB/s), which for live TS is the stream's own rate
+  let bandwidth = 0;
+  if (hlsInstance) {
+    bandwidth = Math.round(hlsInstance.bandwidthEstimate || 0);
+  } else if (mpegtsPlayer) {
+    bandwidth = Math.round((mpegtsPlayer.statisticsInfo?.speed || 0) * 8 * 1024);
+  }
+  
+  return {
+    width: videoElement.videoWidth,
+    height: videoElement.videoHeight,
+    bitrate: level?.bitrate || 0,
+    bandwidth,
+    buffer: getBufferAhead(),
+    dropped: quality?.droppedVideoFrames || 0,
+  };
+}
+
+/**
+ * Seconds buffered ahead of the playhead
+ * @returns {number}
+ */
+function getBufferAhead() {
+  const { buffered, currentTime } = videoElement;
+  for (let i = 0; i < buffered.length; i++) {
+    if (buffered.start(i) <= currentTime + 0.5 && buffered.end(i) >= currentTime) {
+      return buffered.end(i) - currentTime;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Format a bitrate for display
+ * @param {number} bps - Bits per second
+ * @returns {string} - "850 kbps", "4.2 Mbps"
+ */
+export function formatBitrate(bps) {
+  if (!bps) return '—';
+  return bps >= 1000000 ? `${(bps / 1000000).toFixed(1)} Mbps` : `${Math.round(bps / 1000)} kbps`;
+}
+
+// =============================================================================
+// Audio & subtitle tracks
+// =============================================================================
+
+/**
+ * Get the audio tracks of the current stream
+ * hls.js only lists alternate audio renditions; muxed MPEG-TS audio isn't switchable.
+ * @returns {Array<{index: number, name: string, lang: string}>}
+ */
+export function getAudioTracks() {
+  if (hlsInstance) {
+    return hlsInstance.audioTracks.map((track, index) => ({ index, name: track.name || '', lang: track.lang || '' }));
+  }
+  
+  // Native audioTracks is Safari-only
+  const tracks = videoElement?.audioTracks;
+  if (!tracks) return [];
+  return Array.from(tracks, (track, index) => ({ index, name: track.label || '', lang: track.language || '' }));
+}
+
+/**
+ * Get the playing audio track
+ * @returns {number} - Track index, -1 if unknown
+ */
+export function getAudioTrack() {
+  if (hlsInstance) return hlsInstance.audioTrack;
+  
+  const tracks = videoElement?.audioTracks;
+  return tracks ? Array.from(tracks).findIndex(track => track.enabled) : -1;
+}
+
+/**
+ * Switch audio track
+ * @param {number} index 
+ */
+export function setAudioTrack(index) {
+  if (hlsInstance) {
+    hlsInstance.audioTrack = index;
+  } else if (videoElement?.audioTracks) {
+    Array.from(videoElement.audioTracks).forEach((track, i) => {
+      track.enabled = i === index;
+    });
+  }
+  log('Audio track:', index);
+}
+
+/**
+ * Get the subtitle tracks of the current stream
+ * @returns {Array<{index: number, name: string, lang: string}>}
+ */
+export function getSubtitleTracks() {
+  if (hlsInstance) {
+    return hlsInstance.subtitleTracks.map((track, index) => ({ index, name: track.name || '', lang: track.lang || '' }));
+  }
+  
+  return getNativeTextTracks().map((track, index) => ({ index, name: track.label || '', lang: track.language || '' }));
+}
+
+/**
+ * Get the shown subtitle track
+ * @returns {number} - Track index, -1 = off
+ */
+export function getSubtitleTrack() {
+  if (hlsInstance) {
+    return hlsInstance.subtitleDisplay ? hlsInstance.subtitleTrack : -1;
+  }
+  return getNativeTextTracks().findIndex(track => track.mode === 'showing');
+}
+
+/**
+ * Show a subtitle track
+ * @param {number} index - Track index, -1 = off
+ */
+export function setSubtitleTrack(index) {
+  if (hlsInstance) {
+    hlsInstance.subtitleTrack = index;
+    hlsInstance.subtitleDisplay = index !== -1;
+  } else {
+    getNativeTextTracks().forEach((track, i) => {
+      track.mode = i === index ? 'showing' : 'disabled';
+    });
+  }
+  log('Subtitle track:', index);
+  emit('onTracksChange');
+}
+
+/**
+ * Subtitle and caption tracks on the video element
+ * @returns {Array<TextTrack>}
+ */
+function getNativeTextTracks() {
+  const tracks = videoElement?.textTracks;
+  if (!tracks) return [];
+  return Array.from(tracks).filter(track => track.kind === 'subtitles' || track.kind === 'captions');
+}
+
 /**
  * Get HLS.js instance for debugging
  * @returns {object|null}
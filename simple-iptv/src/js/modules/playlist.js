@@ -1,11 +1,12 @@
 /**
  * Playlist Module
- * Handles M3U parsing and Xtream Codes API
+ * Handles M3U parsing, Xtream Codes API and Stalker portals
  * 
  * DEBUG MODE: Set window.PLAYLIST_DEBUG = true for verbose logging
  */
 
-import { db, KEYS, applyProxyToUrl, getProxyUrl } from './storage.js';
+import { db, KEYS, applyProxyToUrl, getProxyUrl, profileKey } from './storage.js';
+import { normalizeChannelName, getChannelPrefix } from './epg-matcher.js';
 
 // Debug logging - disabled in production, enable via console: window.PLAYLIST_DEBUG = true
 const DEBUG = () => window.PLAYLIST_DEBUG === true;
@@ -18,6 +19,7 @@ const applyProxy = applyProxyToUrl;
 
 // Simple M3U parser (no external dependency to reduce bundle)
 // Format: #EXTM3U, #EXTINF:-1 tvg-id="..." tvg-name="..." tvg-logo="..." group-title="...",Channel Name\nURL
+// Option lines between #EXTINF and the URL (#EXTGRP, #EXTVLCOPT, #KODIPROP) apply to that channel
 
 /**
  * Parse M3U playlist content
@@ -29,17 +31,20 @@ export function parseM3U(content) {
   const lines = content.split(/\r?\n/);
   
   let currentChannel = null;
-  let id = 0;
+  const usedIds = new Set();
   
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
     
     if (line.startsWith('#EXTINF:')) {
       // Parse EXTINF line
-      currentChannel = parseExtInf(line, id++);
+      currentChannel = parseExtInf(line);
+    } else if (line.startsWith('#') && currentChannel) {
+      parseOptionLine(line, currentChannel);
     } else if (line && !line.startsWith('#') && currentChannel) {
       // This is the URL line
       currentChannel.url = line;
+      currentChannel.id = getStableChannelId(currentChannel, usedIds);
       channels.push(currentChannel);
       currentChannel = null;
     }
@@ -48,40 +53,167 @@ export function parseM3U(content) {
   return channels;
 }
 
+/**
+ * Build an id that survives the provider reordering the playlist
+ * Hash of tvg-id, name and the stream's host + id; exact duplicates get a suffix.
+ * @param {Object} channel - Parsed channel with url
+ * @param {Set<string>} usedIds - Ids already taken in this playlist
+ * @returns {string}
+ */
+function getStableChannelId(channel, usedIds) {
+  const base = `m3u_${hashString(`${channel.epgId || ''}|${channel.name}|${getStreamKey(channel)}`)}`;
+  
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${base}_${n}`;
+  }
+  usedIds.add(id);
+  return id;
+}
+
+/**
+ * Identify a stream by host and stream id, ignoring tokens in the query string
+ * "http://host:8080/user/pass/1234.ts" -> "host:8080|1234"
+ * @param {Object} channel 
+ * @returns {string}
+ */
+function getStreamKey(channel) {
+  if (!channel.url) return '';
+  
+  try {
+    const { host, pathname } = new URL(channel.url);
+    const last = pathname.split('/').pop().replace(/\.\w+$/, '');
+    // Numeric ids (Xtream-style) are unique on their own; otherwise use the whole path
+    return `${host}|${/^\d+$/.test(last) ? last : pathname}`;
+  } catch (e) {
+    return channel.url;
+  }
+}
+
+/**
+ * Read all key="value" attributes from an EXTINF line
+ * @param {string} line
+ * @returns {Object} - Lower-cased attribute names -> values
+ */
+function parseAttributes(line) {
+  const attrs = {};
+  const pattern = /([\w-]+)="([^"]*)"/g;
+  let match;
+  
+  while ((match = pattern.exec(line)) !== null) {
+    const key = match[1].toLowerCase();
+    // First occurrence wins, same as the previous per-attribute regexes
+    if (!(key in attrs)) attrs[key] = match[2].trim();
+  }
+  
+  return attrs;
+}
+
 /**
  * Parse EXTINF line attributes
+ * The id is assigned once the URL line is known.
  * @param {string} line 
- * @param {number} id 
  * @returns {Object}
  */
-function parseExtInf(line, id) {
+function parseExtInf(line) {
   const channel = {
-    id: `ch_${id}`,
+    id: null,
     name: 'Unknown',
     logo: null,
     group: 'Uncategorized',
     epgId: null,
+    number: null,       // tvg-chno
+    epgShift: 0,        // tvg-shift, in hours
+    country: null,
+    language: null,
+    catchup: null,      // { type, days, source }
+    httpHeaders: null,  // { userAgent, referrer } from #EXTVLCOPT
+    kodiProps: null,    // Raw #KODIPROP key/values (DRM, inputstream)
     url: '',
   };
   
-  // Extract attributes using regex
-  const tvgId = line.match(/tvg-id="([^"]*)"/i);
-  const tvgName = line.match(/tvg-name="([^"]*)"/i);
-  const tvgLogo = line.match(/tvg-logo="([^"]*)"/i);
-  const groupTitle = line.match(/group-title="([^"]*)"/i);
+  const attrs = parseAttributes(line);
   
   // Extract channel name (after the comma)
   const nameMatch = line.match(/,(.+)$/);
   
-  if (tvgId) channel.epgId = tvgId[1];
-  if (tvgName) channel.name = tvgName[1];
-  if (tvgLogo) channel.logo = tvgLogo[1];
-  if (groupTitle) channel.group = groupTitle[1] || 'Uncategorized';
+  if (attrs['tvg-id']) channel.epgId = attrs['tvg-id'];
+  if (attrs['tvg-name']) channel.name = attrs['tvg-name'];
+  if (attrs['tvg-logo']) channel.logo = attrs['tvg-logo'];
+  if ('group-title' in attrs) channel.group = attrs['group-title'] || 'Uncategorized';
   if (nameMatch) channel.name = nameMatch[1].trim();
   
+  const number = parseInt(attrs['tvg-chno'], 10);
+  if (Number.isFinite(number)) channel.number = number;
+  
+  const shift = parseFloat(attrs['tvg-shift']);
+  if (Number.isFinite(shift)) channel.epgShift = shift;
+  
+  if (attrs['tvg-country']) channel.country = attrs['tvg-country'];
+  if (attrs['tvg-language']) channel.language = attrs['tvg-language'];
+  
+  channel.catchup = parseCatchup(attrs);
+  
   return channel;
 }
 
+/**
+ * Read catch-up attributes
+ * "timeshift" is an older alias for catchup-days used by some providers.
+ * @param {Object} attrs - From parseAttributes
+ * @returns {{type: string, days: number, source: string|null}|null}
+ */
+function parseCatchup(attrs) {
+  const type = (attrs['catchup'] || attrs['catchup-type'] || '').toLowerCase();
+  const days = parseInt(attrs['catchup-days'] || attrs['timeshift'], 10) || 0;
+  const source = attrs['catchup-source'] || null;
+  
+  if (!type && !days && !source) return null;
+  
+  return {
+    // Players treat a bare catchup-days as the default (append) scheme
+    type: type || (source ? 'default' : 'append'),
+    days,
+    source,
+  };
+}
+
+/**
+ * Apply an option line (#EXTGRP, #EXTVLCOPT, #KODIPROP) to the channel it follows
+ * @param {string} line
+ * @param {Object} channel
+ */
+function parseOptionLine(line, channel) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return;
+  
+  const tag = line.slice(0, colon).toUpperCase();
+  const value = line.slice(colon + 1).trim();
+  
+  if (tag === '#EXTGRP') {
+    // group-title wins when both are present
+    if (value && channel.group === 'Uncategorized') channel.group = value;
+    return;
+  }
+  
+  const eq = value.indexOf('=');
+  if (eq === -1) return;
+  
+  const key = value.slice(0, eq).trim().toLowerCase();
+  const optionValue = value.slice(eq + 1).trim();
+  if (!optionValue) return;
+  
+  if (tag === '#EXTVLCOPT') {
+    if (key === 'http-user-agent') {
+      channel.httpHeaders = { ...channel.httpHeaders, userAgent: optionValue };
+    } else if (key === 'http-referrer' || key === 'http-referer') {
+      channel.httpHeaders = { ...channel.httpHeaders, referrer: optionValue };
+    }
+  } else if (tag === '#KODIPROP') {
+    channel.kodiProps = { ...channel.kodiProps, [key]: optionValue };
+  }
+}
+
 /**
  * Fetch and parse M3U from URL
  * @param {string} url 
@@ -195,7 +327,7 @@ export async function readM3UFile(file, onProgress = null) {
 
 /**
  * Fetch channels from Xtream Codes API
- * @param {Object} creds - { server, username, password }
+ * @param {Object} creds - { server, username, password, output: 'm3u8' | 'ts' }
  * @param {Function} onProgress 
  * @returns {Promise<Array>}
  */
@@ -207,6 +339,8 @@ export async function fetchXtream(creds, onProgress = null) {
   
   const { server, username, password } = creds;
   const baseUrl = normalizeUrl(server);
+  // Live stream container - raw TS plays through mpegts.js instead of hls.js
+  const extension = creds.output === 'ts' ? 'ts' : 'm3u8';
   const proxyUrl = getProxyUrl();
   const usingProxy = !!proxyUrl;
   
@@ -346,9 +480,13 @@ export async function fetchXtream(creds, onProgress = null) {
     logo: stream.stream_icon || null,
     group: categoryMap.get(String(stream.category_id)) || 'Uncategorized',
     epgId: stream.epg_channel_id || null,
-    url: `${baseUrl}/live/${encodeURIComponent(username)}/${encodeURIComponent(password)}/${stream.stream_id}.m3u8`,
+    url: `${baseUrl}/live/${encodeURIComponent(username)}/${encodeURIComponent(password)}/${stream.stream_id}.${extension}`,
     // Store original stream ID for potential future use
     streamId: stream.stream_id,
+    // tv_archive_duration is in days
+    catchup: Number(stream.tv_archive) === 1
+      ? { type: 'xc', days: parseInt(stream.tv_archive_duration, 10) || 0, source: null }
+      : null,
   }));
   
   log('  Processed channels:', channels.length);
@@ -379,7 +517,7 @@ export async function getXtreamInfo(creds) {
   
   const url = `${baseUrl}/player_api.php?username=${encodeURIComponent(username)}&password=${encodeURIComponent(password)}`;
   
-  const response = await fetch(url);
+  const response = await fetch(applyProxy(url));
   if (!response.ok) {
     throw new Error('Failed to get account info');
   }
@@ -544,6 +682,10 @@ export async function fetchSeriesInfo(creds, seriesId) {
         episodes.push({
           id: ep.id,
           name: ep.title || `Episode ${ep.episode_num}`,
+          type: 'episode',
+          seriesId,
+          seriesName: info.info?.name || '',
+          genre: info.info?.genre || '',
           season: parseInt(seasonNum),
           episode: ep.episode_num,
           url: buildSeriesUrl(baseUrl, username, password, ep.id, ep.container_extension),
@@ -571,6 +713,208 @@ function buildSeriesUrl(baseUrl, username, password, episodeId, extension = 'mp4
   return `${baseUrl}/series/${encodeURIComponent(username)}/${encodeURIComponent(password)}/${episodeId}.${extension}`;
 }
 
+// =============================================================================
+// Stalker Portal API (MAG middleware)
+// =============================================================================
+
+// Portals only answer requests that look like a MAG set-top box. A real box sends
+// its MAC in a cookie, but fetch can't set Cookie (or User-Agent) - portals also
+// read mac, stb_lang and timezone from the query string, so they go there.
+
+// Per-portal session: { key, apiUrl, token }
+let stalkerSession = null;
+
+/**
+ * Validate and normalise a MAC address (00:1A:79:XX:XX:XX)
+ * @param {string} mac 
+ * @returns {string|null} - Upper-case MAC, or null if invalid
+ */
+export function normalizeMac(mac) {
+  const clean = String(mac || '').trim().toUpperCase().replace(/-/g, ':');
+  return /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/.test(clean) ? clean : null;
+}
+
+/**
+ * Candidate API endpoints for a portal URL
+ * "http://host/c/" serves portal.php; "http://host/stalker_portal/c/" serves server/load.php
+ * @param {string} portalUrl 
+ * @returns {string[]}
+ */
+function getStalkerApiUrls(portalUrl) {
+  const base = normalizeUrl(portalUrl)
+    .replace(/\/(portal\.php|server\/load\.php)$/i, '')
+    .replace(/\/c$/i, '');
+  
+  if (/\.php$/i.test(base)) return [base];
+  if (/\/stalker_portal$/i.test(base)) return [`${base}/server/load.php`, `${base}/portal.php`];
+  return [`${base}/portal.php`, `${base}/stalker_portal/server/load.php`, `${base}/server/load.php`];
+}
+
+/**
+ * Call the portal API
+ * @param {string} apiUrl 
+ * @param {Object} params - Query parameters (type, action, ...)
+ * @param {Object} creds - { mac }
+ * @param {string|null} token - Bearer token from the handshake
+ * @returns {Promise<*>} - The "js" payload
+ */
+async function stalkerRequest(apiUrl, params, creds, token = null) {
+  const query = new URLSearchParams({
+    ...params,
+    mac: creds.mac,
+    stb_lang: 'en',
+    timezone: 'UTC',
+    JsHttpRequest: '1-xml',
+  });
+  const url = `${apiUrl}?${query}`;
+  
+  const headers = {
+    'X-User-Agent': 'Model: MAG250; Link: WiFi',
+  };
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  
+  debug('Stalker request:', params.type, params.action);
+  
+  let response;
+  try {
+    response = await fetch(applyProxy(url), { headers });
+  } catch (e) {
+    error('Network error calling portal:', e.message);
+    throw new Error('Cannot connect to portal. Check the URL and your network connection.');
+  }
+  
+  if (!response.ok) {
+    const err = new Error(`Portal request failed: ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+  
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    // Unauthorised MACs often get a plain-text or HTML error page
+    debug('Portal response:', text.substring(0, 200));
+    throw new Error('Invalid response from portal - check the MAC address');
+  }
+  
+  return data?.js;
+}
+
+/**
+ * Handshake with the portal and activate the token
+ * Reuses the session while it's for the same portal and MAC.
+ * @param {Object} creds - { portalUrl, mac }
+ * @param {boolean} force - Start a new session even if one exists
+ * @returns {Promise<{ apiUrl: string, token: string }>}
+ */
+async function getStalkerSession(creds, force = false) {
+  const key = getPlaylistKey(creds);
+  if (!force && stalkerSession?.key === key) return stalkerSession;
+  
+  let lastError = null;
+  for (const apiUrl of getStalkerApiUrls(creds.portalUrl)) {
+    try {
+      const handshake = await stalkerRequest(apiUrl, { type: 'stb', action: 'handshake', token: '' }, creds);
+      const token = handshake?.token;
+      if (!token) throw new Error('Portal did not return a token');
+      
+      // The token only works once the profile has been requested
+      const profile = await stalkerRequest(apiUrl, { type: 'stb', action: 'get_profile' }, creds, token);
+      if (profile?.status === 2 || profile?.blocked === '1') {
+        throw new Error('This MAC address is not authorised on the portal');
+      }
+      
+      log('✓ Stalker session on', apiUrl);
+      stalkerSession = { key, apiUrl, token };
+      return stalkerSession;
+    } catch (e) {
+      // A 404 only means this isn't the endpoint - keep the more useful error
+      if (!lastError || e.status !== 404) lastError = e;
+      if (e.message.includes('not authorised')) break;
+      debug('Endpoint failed:', apiUrl, e.message);
+    }
+  }
+  
+  stalkerSession = null;
+  throw lastError || new Error('Portal handshake failed');
+}
+
+/**
+ * Fetch channels from a Stalker portal
+ * @param {Object} creds - { portalUrl, mac }
+ * @param {Function} onProgress 
+ * @returns {Promise<Array>}
+ */
+export async function fetchStalker(creds, onProgress = null) {
+  if (onProgress) onProgress('Connecting to portal...');
+  const { apiUrl, token } = await getStalkerSession(creds, true);
+  
+  if (onProgress) onProgress('Fetching genres...');
+  const genres = await stalkerRequest(apiUrl, { type: 'itv', action: 'get_genres' }, creds, token);
+  const genreMap = new Map();
+  (Array.isArray(genres) ? genres : []).forEach(genre => {
+    genreMap.set(String(genre.id), genre.title);
+  });
+  
+  if (onProgress) onProgress('Fetching channels...');
+  const result = await stalkerRequest(apiUrl, { type: 'itv', action: 'get_all_channels' }, creds, token);
+  const streams = Array.isArray(result?.data) ? result.data : [];
+  log('Stalker channels:', streams.length, 'genres:', genreMap.size);
+  
+  const channels = streams.map((stream, index) => ({
+    id: `stk_${stream.id || index}`,
+    name: stream.name || 'Unknown',
+    logo: stream.logo && /^https?:\/\//i.test(stream.logo) ? stream.logo : null,
+    group: genreMap.get(String(stream.tv_genre_id)) || 'Uncategorized',
+    epgId: stream.xmltv_id || null,
+    number: parseInt(stream.number, 10) || null,
+    // Stream URLs are short-lived - resolved with create_link when played
+    url: '',
+    stalkerCmd: stream.cmd || '',
+  }));
+  
+  if (channels.length === 0) {
+    throw new Error('No channels found');
+  }
+  
+  if (onProgress) onProgress(`Found ${channels.length} channels`);
+  return channels;
+}
+
+/**
+ * Resolve a Stalker channel's playable URL
+ * @param {Object} creds - { portalUrl, mac }
+ * @param {Object} channel - Channel with stalkerCmd
+ * @returns {Promise<string>}
+ */
+export async function resolveStalkerUrl(creds, channel) {
+  const request = async (force) => {
+    const { apiUrl, token } = await getStalkerSession(creds, force);
+    return stalkerRequest(apiUrl, { type: 'itv', action: 'create_link', cmd: channel.stalkerCmd }, creds, token);
+  };
+  
+  let link;
+  try {
+    link = await request(false);
+  } catch (e) {
+    // Tokens expire - one fresh handshake before giving up
+    if (e.status !== 401 && e.status !== 403) throw e;
+    link = null;
+  }
+  if (!link?.cmd) link = await request(true);
+  
+  // "ffmpeg http://..." or "auto http://..."
+  const url = String(link?.cmd || '').replace(/^(ffmpeg|ffrt\d*|auto)\s+/i, '').trim();
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error('Portal did not return a stream link');
+  }
+  
+  log('Stalker link for', channel.name, ':', url);
+  return url;
+}
+
 // =============================================================================
 // VOD/Series Storage
 // =============================================================================
@@ -584,14 +928,14 @@ const SERIES_LIST_KEY = 'series_list';
  * Store VOD categories
  */
 export async function storeVodCategories(categories) {
-  await db.set(VOD_CATEGORIES_KEY, categories);
+  await db.set(profileKey(VOD_CATEGORIES_KEY), categories);
 }
 
 /**
  * Load VOD categories
  */
 export async function loadVodCategories() {
-  return await db.get(VOD_CATEGORIES_KEY) || [];
+  return await db.get(profileKey(VOD_CATEGORIES_KEY)) || [];
 }
 
 /**
@@ -599,7 +943,7 @@ export async function loadVodCategories() {
  */
 export async function storeVodStreams(categoryId, streams) {
   const key = `${VOD_STREAMS_KEY}_${categoryId || 'all'}`;
-  await db.set(key, streams);
+  await db.set(profileKey(key), streams);
 }
 
 /**
@@ -607,21 +951,21 @@ export async function storeVodStreams(categoryId, streams) {
  */
 export async function loadVodStreams(categoryId) {
   const key = `${VOD_STREAMS_KEY}_${categoryId || 'all'}`;
-  return await db.get(key) || null;
+  return await db.get(profileKey(key)) || null;
 }
 
 /**
  * Store Series categories
  */
 export async function storeSeriesCategories(categories) {
-  await db.set(SERIES_CATEGORIES_KEY, categories);
+  await db.set(profileKey(SERIES_CATEGORIES_KEY), categories);
 }
 
 /**
  * Load Series categories
  */
 export async function loadSeriesCategories() {
-  return await db.get(SERIES_CATEGORIES_KEY) || [];
+  return await db.get(profileKey(SERIES_CATEGORIES_KEY)) || [];
 }
 
 /**
@@ -629,7 +973,7 @@ export async function loadSeriesCategories() {
  */
 export async function storeSeriesList(categoryId, series) {
   const key = `${SERIES_LIST_KEY}_${categoryId || 'all'}`;
-  await db.set(key, series);
+  await db.set(profileKey(key), series);
 }
 
 /**
@@ -637,7 +981,7 @@ export async function storeSeriesList(categoryId, series) {
  */
 export async function loadSeriesList(categoryId) {
   const key = `${SERIES_LIST_KEY}_${categoryId || 'all'}`;
-  return await db.get(key) || null;
+  return await db.get(profileKey(key)) || null;
 }
 
 /**
@@ -645,12 +989,188 @@ export async function loadSeriesList(categoryId) {
  */
 export async function clearVodSeriesCache() {
   // Clear categories
-  await db.remove(VOD_CATEGORIES_KEY);
-  await db.remove(SERIES_CATEGORIES_KEY);
+  await db.remove(profileKey(VOD_CATEGORIES_KEY));
+  await db.remove(profileKey(SERIES_CATEGORIES_KEY));
   // Note: Individual category streams would need to be cleared separately
   // This is a basic implementation - could be enhanced with a key prefix scan
 }
 
+// =============================================================================
+// Catch-up (timeshift)
+// =============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Xtream-style live URL: http://host[/live]/user/pass/123[.ext]
+const XTREAM_LIVE_PATTERN = /^(https?:\/\/[^/]+)(?:\/live)?\/([^/]+)\/([^/]+)\/(\d+)(?:\.(\w+))?$/i;
+
+// ${start}, {utc}, {duration:60}, {Y}... - the "$" is optional in the wild
+const CATCHUP_PLACEHOLDER = /\$?\{([a-z]+)(?::(\d+))?\}/gi;
+
+/**
+ * Check if a programme can be played from the channel's archive
+ * Only finished programmes inside the provider's catch-up window qualify.
+ * @param {Object} channel - Playlist channel
+ * @param {Object} program - EPG programme
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function canCatchup(channel, program, now = Date.now()) {
+  const days = channel?.catchup?.days;
+  if (!days || !program) return false;
+  
+  return program.end <= now && program.start >= now - days * DAY_MS;
+}
+
+/**
+ * Build the archive URL for a programme
+ * @param {Object} channel - Playlist channel with catchup info
+ * @param {Object} program - EPG programme
+ * @param {Object} [options]
+ * @param {number} [options.offset=0] - Seconds into the programme to start from
+ * @param {string} [options.timezone] - Xtream server timezone (IANA); UTC if unknown
+ * @returns {string|null} - null if the channel's catch-up scheme isn't supported
+ */
+export function buildCatchupUrl(channel, program, { offset = 0, timezone = null } = {}) {
+  const { catchup, url } = channel;
+  if (!catchup || !url) return null;
+  
+  const start = program.start + offset * 1000;
+  const times = {
+    start: Math.floor(start / 1000),
+    end: Math.floor(program.end / 1000),
+    now: Math.floor(Date.now() / 1000),
+  };
+  
+  let type = catchup.type;
+  
+  // A bare catchup-days has no template - guess from the stream URL
+  if (!catchup.source && (type === 'default' || type === 'append')) {
+    type = XTREAM_LIVE_PATTERN.test(url) ? 'xc' : 'shift';
+  }
+  
+  switch (type) {
+    case 'default':
+      return fillCatchupTemplate(catchup.source, times);
+    case 'append':
+      return url + fillCatchupTemplate(catchup.source, times);
+    case 'shift':
+    case 'timeshift':
+      return `${url}${url.includes('?') ? '&' : '?'}utc=${times.start}&lutc=${times.now}`;
+    case 'flussonic':
+    case 'flussonic-hls':
+    case 'flussonic-ts':
+    case 'fs':
+      return buildFlussonicUrl(url, times);
+    case 'xc':
+      return buildXtreamTimeshiftUrl(url, times, timezone)
+        || (catchup.source ? fillCatchupTemplate(catchup.source, times) : null);
+    default:
+      log('Unsupported catch-up type:', type);
+      return null;
+  }
+}
+
+/**
+ * Replace catch-up template placeholders
+ * Times are unix seconds; {duration:60} and {offset:60} divide by the given number.
+ * @param {string} template
+ * @param {{start: number, end: number, now: number}} times
+ * @returns {string}
+ */
+function fillCatchupTemplate(template, { start, end, now }) {
+  const date = new Date(start * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  
+  return template.replace(CATCHUP_PLACEHOLDER, (match, name, divisor) => {
+    const divide = (value) => Math.floor(value / (parseInt(divisor, 10) || 1));
+    
+    switch (name) {
+      case 'start':
+      case 'utc':
+        return start;
+      case 'end':
+      case 'utcend':
+        return end;
+      case 'now':
+      case 'lutc':
+      case 'timestamp':
+        return now;
+      case 'duration':
+        return divide(end - start);
+      case 'offset':
+        return divide(now - start);
+      case 'Y': return date.getUTCFullYear();
+      case 'm': return pad(date.getUTCMonth() + 1);
+      case 'd': return pad(date.getUTCDate());
+      case 'H': return pad(date.getUTCHours());
+      case 'M': return pad(date.getUTCMinutes());
+      case 'S': return pad(date.getUTCSeconds());
+      default:
+        return match;
+    }
+  });
+}
+
+/**
+ * Flussonic archive URL: index.m3u8 -> index-<start>-<duration>.m3u8, MPEG-TS -> timeshift_abs-<start>.ts
+ * @param {string} url - Live stream URL
+ * @param {{start: number, end: number}} times
+ * @returns {string}
+ */
+function buildFlussonicUrl(url, { start, end }) {
+  const [path, query] = url.split('?');
+  const suffix = query ? `?${query}` : '';
+  const hls = path.match(/^(.*\/)([^/]+)\.m3u8$/i);
+  
+  if (hls) {
+    return `${hls[1]}${hls[2]}-${start}-${end - start}.m3u8${suffix}`;
+  }
+  return `${path.replace(/\/[^/]*$/, '')}/timeshift_abs-${start}.ts${suffix}`;
+}
+
+/**
+ * Xtream timeshift URL: /timeshift/user/pass/<minutes>/<YYYY-MM-DD:HH-MM>/<id>.<ext>
+ * The panel reads the start time in its own timezone.
+ * @param {string} url - Live stream URL
+ * @param {{start: number, end: number}} times
+ * @param {string|null} timezone
+ * @returns {string|null}
+ */
+function buildXtreamTimeshiftUrl(url, { start, end }, timezone) {
+  const match = url.match(XTREAM_LIVE_PATTERN);
+  if (!match) return null;
+  
+  const [, host, username, password, streamId, ext] = match;
+  const minutes = Math.max(1, Math.ceil((end - start) / 60));
+  const extension = ext?.toLowerCase() === 'm3u8' ? 'm3u8' : 'ts';
+  
+  return `${host}/timeshift/${username}/${password}/${minutes}/${formatXtreamTime(start * 1000, timezone)}/${streamId}.${extension}`;
+}
+
+/**
+ * Format a time as YYYY-MM-DD:HH-MM in the given timezone
+ * @param {number} timestamp
+ * @param {string|null} timezone
+ * @returns {string}
+ */
+function formatXtreamTime(timestamp, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone || 'UTC',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(new Date(timestamp));
+  } catch (e) {
+    // Unknown timezone name from the server
+    return formatXtreamTime(timestamp, null);
+  }
+  
+  const get = (type) => parts.find(part => part.type === type)?.value;
+  return `${get('year')}-${get('month')}-${get('day')}:${get('hour')}-${get('minute')}`;
+}
+
 // =============================================================================
 // Storage & Utilities
 // =============================================================================
@@ -660,7 +1180,7 @@ export async function clearVodSeriesCache() {
  * @param {Array} channels 
  */
 export async function storeChannels(channels) {
-  await db.set(KEYS.CHANNELS, channels);
+  await db.set(profileKey(KEYS.CHANNELS), channels);
 }
 
 /**
@@ -668,14 +1188,146 @@ export async function storeChannels(channels) {
  * @returns {Promise<Array>}
  */
 export async function loadChannels() {
-  return await db.get(KEYS.CHANNELS) || [];
+  return await db.get(profileKey(KEYS.CHANNELS)) || [];
 }
 
 /**
  * Clear stored channels
  */
 export async function clearChannels() {
-  await db.remove(KEYS.CHANNELS);
+  await db.remove(profileKey(KEYS.CHANNELS));
+}
+
+/**
+ * Get a stable key identifying the playlist source (for per-playlist data)
+ * Hashed so usernames and URLs aren't stored in plain text alongside it
+ * @param {Object} creds 
+ * @returns {string}
+ */
+export function getPlaylistKey(creds) {
+  if (!creds) return 'default';
+  
+  let source;
+  if (creds.mode === 'xtream') {
+    source = `xtream|${(creds.server || '').replace(/\/+$/, '').toLowerCase()}|${creds.username || ''}`;
+  } else if (creds.mode === 'm3u-url') {
+    source = `m3u|${creds.playlistUrl || ''}`;
+  } else if (creds.mode === 'stalker') {
+    source = `stalker|${(creds.portalUrl || '').replace(/\/+$/, '').toLowerCase()}|${creds.mac || ''}`;
+  } else {
+    source = `${creds.mode || 'unknown'}|local`;
+  }
+  
+  return `pl_${hashString(source)}`;
+}
+
+/**
+ * FNV-1a 32-bit hash, base 36
+ * @param {string} value 
+ * @returns {string}
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Compare a refreshed channel list with the previous one
+ * Channels are matched by id, then by stream (host + stream id), then by name, so a
+ * renamed channel or one whose id scheme changed keeps its favourites.
+ * @param {Array} previous - Stored channels
+ * @param {Array} next - Freshly fetched channels
+ * @returns {{ added: Array, removed: Array, changed: Array, idMap: Object }}
+ *   idMap: old id -> new id for matched channels whose id differs
+ */
+export function diffChannels(previous, next) {
+  const nextById = new Map(next.map(ch => [ch.id, ch]));
+  const matched = new Set();
+  const changed = [];
+  const idMap = {};
+  let unmatched = [];
+  
+  for (const old of previous) {
+    const current = nextById.get(old.id);
+    if (current) {
+      matched.add(current.id);
+      if (hasChannelChanged(old, current)) changed.push(current);
+    } else {
+      unmatched.push(old);
+    }
+  }
+  
+  const matchers = [getStreamKey, (ch) => (ch.name || '').trim().toLowerCase()];
+  for (const getKey of matchers) {
+    if (unmatched.length === 0) break;
+    
+    // Only pair up keys that are unique among the unmatched new channels
+    const candidates = new Map();
+    for (const ch of next) {
+      if (matched.has(ch.id)) continue;
+      const key = getKey(ch);
+      if (key) candidates.set(key, candidates.has(key) ? null : ch);
+    }
+    
+    unmatched = unmatched.filter(old => {
+      const current = candidates.get(getKey(old));
+      if (!current || matched.has(current.id)) return true;
+      
+      matched.add(current.id);
+      idMap[old.id] = current.id;
+      if (hasChannelChanged(old, current)) changed.push(current);
+      return false;
+    });
+  }
+  
+  return {
+    added: next.filter(ch => !matched.has(ch.id)),
+    removed: unmatched,
+    changed,
+    idMap,
+  };
+}
+
+/**
+ * Find other entries for the same channel (HD/FHD/backup copies)
+ * Matches on tvg-id when both entries have one. Otherwise the normalised name and
+ * country prefix must match - "|UK| Discovery" is not a copy of "|DE| Discovery".
+ * Timeshifted copies (+1) are left out.
+ * @param {Object} channel 
+ * @param {Array} channels - Whole playlist
+ * @returns {Array} - Alternatives in playlist order, excluding the channel itself
+ */
+export function findAlternatives(channel, channels) {
+  const name = normalizeChannelName(channel.name);
+  const prefix = getChannelPrefix(channel.name);
+  const shift = channel.epgShift || 0;
+  
+  const isSameChannel = (ch) => {
+    if (channel.epgId && ch.epgId) return ch.epgId === channel.epgId;
+    return !!name && normalizeChannelName(ch.name) === name && getChannelPrefix(ch.name) === prefix;
+  };
+  
+  return channels.filter(ch =>
+    ch.id !== channel.id &&
+    (ch.url || ch.stalkerCmd) &&
+    (ch.epgShift || 0) === shift &&
+    isSameChannel(ch)
+  );
+}
+
+/**
+ * Check if anything the user sees about a channel differs
+ * @param {Object} a 
+ * @param {Object} b 
+ * @returns {boolean}
+ */
+function hasChannelChanged(a, b) {
+  return ['name', 'url', 'logo', 'group', 'epgId', 'number', 'stalkerCmd']
+    .some(field => (a[field] ?? null) !== (b[field] ?? null));
 }
 
 /**
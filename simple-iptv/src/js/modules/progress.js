@@ -0,0 +1,255 @@
+/**
+ * Watch Progress Module
+ * Remembers how far movies and series episodes were watched so playback can
+ * resume, feeds the "Continue watching" rows and marks finished episodes.
+ * Progress is kept per profile in IndexedDB.
+ */
+
+import { db, profileKey, KEYS } from './storage.js';
+
+const SAVE_INTERVAL_MS = 10 * 1000;  // timeupdate fires ~4x a second - persist far less often
+const MIN_RESUME_SECONDS = 30;       // Don't offer to resume from the opening titles
+const WATCHED_RATIO = 0.92;          // Past this point only the credits are left
+const MAX_ENTRIES = 300;             // Oldest progress is dropped beyond this
+const CONTINUE_LIMIT = 20;
+
+// Types that have a position worth remembering - live TV doesn't
+const TRACKED_TYPES = ['vod', 'episode'];
+
+// key -> { key, type, id, name, logo, url, seriesId, seriesName, season, episode, position, duration, watched, updatedAt }
+let entries = new Map();
+let dirty = false;
+let lastSaveAt = 0;
+
+// Event callbacks
+const listeners = {
+  onChange: [],
+};
+
+/**
+ * Load saved progress for the active profile
+ */
+export async function init() {
+  const saved = await db.get(profileKey(KEYS.WATCH_PROGRESS)) || {};
+  entries = new Map(Object.entries(saved));
+  dirty = false;
+  
+  console.log(`[Progress] Loaded ${entries.size} watch positions`);
+  emit('onChange');
+}
+
+/**
+ * Get the key identifying a movie or episode
+ * @param {Object} item - Playable item ({ type, id })
+ * @returns {string|null} - null for items without progress (live channels)
+ */
+export function getKey(item) {
+  if (!item || !TRACKED_TYPES.includes(item.type) || item.id == null) return null;
+  return `${item.type}:${item.id}`;
+}
+
+/**
+ * Get the saved progress for an item
+ * @param {Object} item
+ * @returns {Object|null}
+ */
+export function get(item) {
+  return entries.get(getKey(item)) || null;
+}
+
+/**
+ * Get the position to resume an item from
+ * @param {Object} item
+ * @returns {number} - Seconds, 0 to start from the beginning
+ */
+export function getResumePosition(item) {
+  const entry = get(item);
+  if (!entry || entry.watched || entry.position < MIN_RESUME_SECONDS) return 0;
+  return entry.position;
+}
+
+/**
+ * Check if an item was watched to the end
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export function isWatched(item) {
+  return get(item)?.watched === true;
+}
+
+/**
+ * Record the playback position (called from the player's time updates)
+ * Writes are throttled; call flush() on pause or when playback stops.
+ * @param {Object} item - The playing movie or episode
+ * @param {number} position - Seconds
+ * @param {number} duration - Seconds
+ */
+export function update(item, position, duration) {
+  const key = getKey(item);
+  if (!key || !isFinite(position) || !isFinite(duration) || duration <= 0) return;
+  
+  const entry = entries.get(key) || createEntry(key, item);
+  entry.position = Math.floor(position);
+  entry.duration = Math.floor(duration);
+  entry.updatedAt = Date.now();
+  
+  // Reaching the credits counts; rewinding a finished item doesn't un-watch it
+  if (position / duration >= WATCHED_RATIO) entry.watched = true;
+  
+  entries.set(key, entry);
+  dirty = true;
+  
+  if (Date.now() - lastSaveAt >= SAVE_INTERVAL_MS) {
+    save();
+  }
+}
+
+/**
+ * Persist pending progress now
+ */
+export function flush() {
+  if (dirty) save();
+}
+
+/**
+ * Mark an item as watched or unwatched
+ * @param {Object} item
+ * @param {boolean} watched
+ */
+export function setWatched(item, watched = true) {
+  const key = getKey(item);
+  if (!key) return;
+  
+  const entry = entries.get(key) || createEntry(key, item);
+  entry.watched = watched;
+  if (!watched) entry.position = 0;
+  entry.updatedAt = Date.now();
+  
+  entries.set(key, entry);
+  save();
+}
+
+/**
+ * Forget an item's progress (removes it from "Continue watching")
+ * @param {Object|string} itemOrKey - Item or progress key
+ */
+export function remove(itemOrKey) {
+  const key = typeof itemOrKey === 'string' ? itemOrKey : getKey(itemOrKey);
+  if (!entries.delete(key)) return;
+  
+  save();
+}
+
+/**
+ * Get partly watched items, most recent first
+ * Series show only their latest episode.
+ * @param {string} contentType - 'movies' | 'series'
+ * @returns {Array} - Progress entries (playable: they carry type, id, name and url)
+ */
+export function getContinueWatching(contentType) {
+  const type = contentType === 'series' ? 'episode' : 'vod';
+  const seenSeries = new Set();
+  
+  return [...entries.values()]
+    .filter(entry => entry.type === type)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .filter(entry => {
+      // The newest episode of a series decides - a finished one hides older half-watched ones
+      if (type === 'episode') {
+        if (seenSeries.has(entry.seriesId)) return false;
+        seenSeries.add(entry.seriesId);
+      }
+      return !entry.watched && entry.position >= MIN_RESUME_SECONDS;
+    })
+    .slice(0, CONTINUE_LIMIT);
+}
+
+/**
+ * Build a new progress entry from a playable item
+ * Keeps what's needed to play it again without reloading its category.
+ * @param {string} key
+ * @param {Object} item
+ * @returns {Object}
+ */
+function createEntry(key, item) {
+  return {
+    key,
+    type: item.type,
+    id: item.id,
+    name: item.name,
+    logo: item.logo || '',
+    url: item.url,
+    seriesId: item.seriesId ?? null,
+    seriesName: item.seriesName || null,
+    season: item.season ?? null,
+    episode: item.episode ?? null,
+    position: 0,
+    duration: 0,
+    watched: false,
+    updatedAt: Date.now(),
+  };
+}
+
+/**
+ * Persist progress, dropping the oldest entries beyond the limit
+ */
+async function save() {
+  if (entries.size > MAX_ENTRIES) {
+    const oldest = [...entries.values()]
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .slice(0, entries.size - MAX_ENTRIES);
+    oldest.forEach(entry => entries.delete(entry.key));
+  }
+  
+  dirty = false;
+  lastSaveAt = Date.now();
+  emit('onChange');
+  
+  await db.set(profileKey(KEYS.WATCH_PROGRESS), Object.fromEntries(entries));
+}
+
+// =============================================================================
+// Event system
+// =============================================================================
+
+/**
+ * Subscribe to events
+ * @param {string} event - 'onChange'
+ * @param {Function} callback
+ * @returns {Function} - Unsubscribe function
+ */
+export function on(event, callback) {
+  if (listeners[event]) {
+    listeners[event].push(callback);
+  }
+  return () => off(event, callback);
+}
+
+/**
+ * Unsubscribe from events
+ * @param {string} event
+ * @param {Function} callback
+ */
+export function off(event, callback) {
+  if (listeners[event]) {
+    const idx = listeners[event].indexOf(callback);
+    if (idx !== -1) listeners[event].splice(idx, 1);
+  }
+}
+
+/**
+ * Emit event
+ * @param {string} event
+ * @param {*} data
+ */
+function emit(event, data) {
+  if (listeners[event]) {
+    listeners[event].forEach(cb => {
+      try {
+        cb(data);
+      } catch (e) {
+        console.error(`[Progress] Error in ${event} listener:`, e);
+      }
+    });
+  }
+}
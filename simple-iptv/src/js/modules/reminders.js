@@ -0,0 +1,312 @@
+/**
+ * Reminders Module
+ * Alerts the user shortly before a programme they picked from the guide starts.
+ * Reminders persist per profile in localStorage and are dropped once the programme has ended.
+ */
+
+import { local, KEYS, profileKey, getSettings, updateSettings } from './storage.js';
+
+const DEFAULT_LEAD_MINUTES = 5;
+const CHECK_INTERVAL_MS = 15 * 1000; // Polling survives sleep/throttling better than long timeouts
+
+// Active reminders: key -> { key, channelId, channelName, epgId, title, start, end, notified }
+let reminders = new Map();
+let checkTimer = null;
+
+// Event callbacks
+const listeners = {
+  onDue: [],
+  onChange: [],
+};
+
+/**
+ * Load the active profile's reminders and start watching for due ones
+ * Programmes that started while the app was closed still alert if they are on air.
+ */
+export function init() {
+  // Reminders used to be shared by every profile - their channel ids belong to the active one
+  const key = profileKey(KEYS.REMINDERS);
+  const legacy = key !== KEYS.REMINDERS ? local.get(KEYS.REMINDERS) : null;
+  if (legacy) {
+    local.set(key, [...(local.get(key) || []), ...legacy]);
+    local.remove(KEYS.REMINDERS);
+  }
+  
+  const saved = local.get(key) || [];
+  reminders = new Map(saved.map(reminder => [reminder.key, reminder]));
+  
+  console.log(`[Reminders] Loaded ${reminders.size} reminders`);
+  emit('onChange', getAll());
+  check();
+}
+
+/**
+ * Get the key identifying a programme
+ * @param {Object} program - EPG programme ({ channelId, start })
+ * @returns {string}
+ */
+export function getKey(program) {
+  return `${program.channelId}|${program.start}`;
+}
+
+/**
+ * Check if a reminder is set for a programme
+ * @param {Object} program
+ * @returns {boolean}
+ */
+export function has(program) {
+  return reminders.has(getKey(program));
+}
+
+/**
+ * Set a reminder for a programme
+ * @param {Object} program - EPG programme
+ * @param {Object} channel - Playlist channel to tune to
+ * @returns {Object|null} - The reminder, or null if the programme already started
+ */
+export function add(program, channel) {
+  if (program.start <= Date.now()) return null;
+  
+  const reminder = {
+    key: getKey(program),
+    channelId: channel.id,
+    channelName: channel.name,
+    epgId: program.channelId,
+    title: program.title,
+    start: program.start,
+    end: program.end,
+    notified: false,
+  };
+  
+  reminders.set(reminder.key, reminder);
+  save();
+  
+  console.log('[Reminders] ✓ Set:', reminder.title, new Date(reminder.start).toISOString());
+  emit('onChange', getAll());
+  
+  // Lead time may already have passed for programmes starting very soon
+  check();
+  return reminder;
+}
+
+/**
+ * Remove a programme's reminder
+ * @param {Object|string} programOrKey - EPG programme or reminder key
+ */
+export function remove(programOrKey) {
+  const key = typeof programOrKey === 'string' ? programOrKey : getKey(programOrKey);
+  if (!reminders.delete(key)) return;
+  
+  save();
+  emit('onChange', getAll());
+}
+
+/**
+ * Set or clear a reminder
+ * @param {Object} program
+ * @param {Object} channel
+ * @returns {boolean} - True if a reminder is now set
+ */
+export function toggle(program, channel) {
+  if (has(program)) {
+    remove(program);
+    return false;
+  }
+  return add(program, channel) !== null;
+}
+
+/**
+ * Point reminders at new channel ids after a playlist refresh
+ * Keys use the EPG channel id, so only the tune target changes.
+ * @param {Object} idMap - { oldId: newId }
+ */
+export function remapChannels(idMap) {
+  let changed = false;
+  
+  for (const reminder of reminders.values()) {
+    if (reminder.channelId in idMap) {
+      reminder.channelId = idMap[reminder.channelId];
+      changed = true;
+    }
+  }
+  
+  if (changed) save();
+}
+
+/**
+ * Get all reminders, soonest first
+ * @returns {Array}
+ */
+export function getAll() {
+  return [...reminders.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get how many minutes before the start reminders fire
+ * @returns {number}
+ */
+export function getLeadMinutes() {
+  return getSettings().reminderLeadMinutes ?? DEFAULT_LEAD_MINUTES;
+}
+
+/**
+ * Set how many minutes before the start reminders fire
+ * @param {number} minutes - 0 = at the start
+ */
+export function setLeadMinutes(minutes) {
+  updateSettings({ reminderLeadMinutes: minutes });
+  check();
+}
+
+/**
+ * Fire due reminders and drop ended ones
+ */
+function check() {
+  const now = Date.now();
+  const leadMs = getLeadMinutes() * 60 * 1000;
+  let changed = false;
+  
+  for (const reminder of [...reminders.values()]) {
+    if (reminder.end <= now) {
+      reminders.delete(reminder.key);
+      changed = true;
+      continue;
+    }
+    
+    // Keep the reminder (marked) until the programme ends so it still shows in the guide
+    if (!reminder.notified && reminder.start - leadMs <= now) {
+      reminder.notified = true;
+      changed = true;
+      console.log('[Reminders] Due:', reminder.title);
+      emit('onDue', reminder);
+    }
+  }
+  
+  if (changed) {
+    save();
+    emit('onChange', getAll());
+  }
+  
+  updateTimer();
+}
+
+/**
+ * Poll only while there are reminders
+ */
+function updateTimer() {
+  if (reminders.size > 0 && !checkTimer) {
+    checkTimer = setInterval(check, CHECK_INTERVAL_MS);
+  } else if (reminders.size === 0 && checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+/**
+ * Persist reminders
+ */
+function save() {
+  local.set(profileKey(KEYS.REMINDERS), [...reminders.values()]);
+  updateTimer();
+}
+
+// =============================================================================
+// System notifications
+// =============================================================================
+
+/**
+ * Get the browser notification permission
+ * @returns {string} - 'granted' | 'denied' | 'default' | 'unsupported'
+ */
+export function getNotificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Ask for notification permission (must be called from a user gesture)
+ * @returns {Promise<string>} - Resulting permission
+ */
+export async function requestNotificationPermission() {
+  if (getNotificationPermission() !== 'default') return getNotificationPermission();
+  
+  try {
+    return await Notification.requestPermission();
+  } catch (e) {
+    console.warn('[Reminders] ⚠ Notification permission request failed:', e.message);
+    return getNotificationPermission();
+  }
+}
+
+/**
+ * Show a system notification for a reminder
+ * @param {Object} reminder
+ * @param {string} message
+ * @param {Function} onClick - Called when the notification is clicked
+ * @returns {boolean} - False if notifications aren't available
+ */
+export function showSystemNotification(reminder, message, onClick) {
+  if (getNotificationPermission() !== 'granted') return false;
+  
+  try {
+    const notification = new Notification(reminder.title, {
+      body: message,
+      tag: reminder.key, // Replaces rather than stacks if shown twice
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick?.();
+    };
+    return true;
+  } catch (e) {
+    // Some browsers only allow notifications from a service worker
+    console.warn('[Reminders] ⚠ Could not show notification:', e.message);
+    return false;
+  }
+}
+
+// =============================================================================
+// Event system
+// =============================================================================
+
+/**
+ * Subscribe to events
+ * @param {string} event - 'onDue' | 'onChange'
+ * @param {Function} callback
+ * @returns {Function} - Unsubscribe function
+ */
+export function on(event, callback) {
+  if (listeners[event]) {
+    listeners[event].push(callback);
+  }
+  return () => off(event, callback);
+}
+
+/**
+ * Unsubscribe from events
+ * @param {string} event
+ * @param {Function} callback
+ */
+export function off(event, callback) {
+  if (listeners[event]) {
+    const idx = listeners[event].indexOf(callback);
+    if (idx !== -1) listeners[event].splice(idx, 1);
+  }
+}
+
+/**
+ * Emit event
+ * @param {string} event
+ * @param {*} data
+ */
+function emit(event, data) {
+  if (listeners[event]) {
+    listeners[event].forEach(cb => {
+      try {
+        cb(data);
+      } catch (e) {
+        console.error(`[Reminders] Error in ${event} listener:`, e);
+      }
+    });
+  }
+}
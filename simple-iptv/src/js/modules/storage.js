@@ -4,21 +4,35 @@
  */
 
 // Import idb-keyval from CDN
-import { get, set, del, clear, keys } from 'https://esm.sh/idb-keyval@6.2.1';
+import { get, set, del, clear, keys, getMany, setMany, delMany } from 'https://esm.sh/idb-keyval@6.2.1';
 
 const STORAGE_PREFIX = 'simple-iptv:';
-const STORAGE_VERSION = 1;
+const STORAGE_VERSION = 2;
 
 // Keys
+// Credentials, favorites, recents, the EPG timestamp and everything in IndexedDB
+// belong to a playlist profile - access them through profileKey()
 export const KEYS = {
+  PROFILES: 'profiles',          // [{ id, name, mode }]
+  ACTIVE_PROFILE: 'activeProfile',
   CREDENTIALS: 'credentials',
   SETTINGS: 'settings',
-  FAVORITES: 'favorites',
+  FAVORITES: 'favorites',        // [{ id, name, items: [{ type, id, ... }] }] named lists in the user's order
   RECENTS: 'recents',
   LAST_CHANNEL: 'lastChannel',
   CHANNELS: 'channels',        // IndexedDB
-  EPG: 'epg',                  // IndexedDB
+  EPG: 'epg',                  // IndexedDB (manifest: per-source channels + day index)
+  EPG_DAY_PREFIX: 'epgDay:',   // IndexedDB: epgDay:<sourceId>:<YYYY-MM-DD>:<channelId> -> programs[]
   EPG_LAST_UPDATE: 'epgLastUpdate',
+  EPG_MAPPINGS: 'epgMappings',   // { playlistKey: { channelId: epgId } }
+  EPG_SOURCES: 'epgSources',     // { playlistKey: [{ id, url }] } in priority order
+  CHANNEL_OVERLAY: 'channelOverlay', // { playlistKey: { groups, channels, customGroups, groupOrder, channelOrder } }
+  REMINDERS: 'reminders',        // [{ key, channelId, title, start, end, notified }]
+  STREAM_HEALTH: 'streamHealth', // IndexedDB: { channelId: { status, latency, httpStatus, checkedAt } }
+  PREFERRED_SOURCES: 'preferredSources', // { channelId: channelId of the alternative that last played }
+  QUALITY: 'quality',            // { channelId: { height, bitrate } } locked HLS rendition
+  WATCH_PROGRESS: 'watchProgress', // IndexedDB: { 'vod:<id>' | 'episode:<id>': { position, duration, watched, updatedAt, ... } }
+  WATCH_HISTORY: 'watchHistory',   // IndexedDB, all profiles: [{ id, itemId, name, title, type, genre, start, duration, profileId, playlist }]
 };
 
 /**
@@ -39,7 +53,7 @@ export const local = {
       return null;
     }
   },
-
+  
   /**
    * Set item in localStorage
    * @param {string} key 
@@ -54,7 +68,7 @@ export const local = {
       return false;
     }
   },
-
+  
   /**
    * Remove item from localStorage
    * @param {string} key 
@@ -68,7 +82,28 @@ export const local = {
       return false;
     }
   },
-
+  
+  /**
+   * List app keys in localStorage starting with a prefix
+   * @param {string} prefix 
+   * @returns {string[]} - Keys without the storage prefix
+   */
+  keys(prefix = '') {
+    const fullPrefix = STORAGE_PREFIX + prefix;
+    const found = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(fullPrefix)) {
+          found.push(key.substring(STORAGE_PREFIX.length));
+        }
+      }
+    } catch (e) {
+      console.warn('[Storage] Failed to list keys:', e);
+    }
+    return found;
+  },
+  
   /**
    * Clear all app data from localStorage
    */
@@ -107,7 +142,7 @@ export const db = {
       return null;
     }
   },
-
+  
   /**
    * Set item in IndexedDB
    * @param {string} key 
@@ -122,7 +157,7 @@ export const db = {
       return false;
     }
   },
-
+  
   /**
    * Remove item from IndexedDB
    * @param {string} key 
@@ -136,7 +171,67 @@ export const db = {
       return false;
     }
   },
-
+  
+  /**
+   * Get several items from IndexedDB in one transaction
+   * @param {string[]} keyList 
+   * @returns {Promise<Array>} - Values in the same order (undefined when missing)
+   */
+  async getMany(keyList) {
+    try {
+      return await getMany(keyList.map(k => STORAGE_PREFIX + k));
+    } catch (e) {
+      console.warn('[Storage/IDB] Failed to get many:', e);
+      return keyList.map(() => undefined);
+    }
+  },
+  
+  /**
+   * Set several items in IndexedDB in one transaction
+   * @param {Array<[string, *]>} entries 
+   */
+  async setMany(entries) {
+    try {
+      await setMany(entries.map(([k, v]) => [STORAGE_PREFIX + k, v]));
+      return true;
+    } catch (e) {
+      console.error('[Storage/IDB] Failed to set many:', e);
+      return false;
+    }
+  },
+  
+  /**
+   * Remove several items from IndexedDB in one transaction
+   * @param {string[]} keyList 
+   */
+  async removeMany(keyList) {
+    try {
+      await delMany(keyList.map(k => STORAGE_PREFIX + k));
+      return true;
+    } catch (e) {
+      console.warn('[Storage/IDB] Failed to remove many:', e);
+      return false;
+    }
+  },
+  
+  /**
+   * List app keys in IndexedDB starting with a prefix
+   * @param {string} prefix 
+   * @returns {Promise<string[]>} - Keys without the storage prefix
+   */
+  async keys(prefix = '') {
+    try {
+      const allKeys = await keys();
+      const fullPrefix = STORAGE_PREFIX + prefix;
+      return allKeys
+        .filter(k => typeof k === 'string' && k.startsWith(fullPrefix))
+        .map(k => k.substring(STORAGE_PREFIX.length));
+    } catch (e) {
+      console.warn('[Storage/IDB] Failed to list keys:', e);
+      return [];
+    }
+  },
+  
   /**
    * Clear all app data from IndexedDB
    */
@@ -166,21 +261,30 @@ export async function clearAllData() {
 
 /**
  * Export all settings as JSON (for backup)
+ * Channel and guide caches aren't included - they're re-fetched after import.
  */
 export async function exportData() {
   const data = {
     version: STORAGE_VERSION,
     timestamp: Date.now(),
     settings: local.get(KEYS.SETTINGS),
-    credentials: local.get(KEYS.CREDENTIALS),
-    favorites: local.get(KEYS.FAVORITES) || [],
-    recents: local.get(KEYS.RECENTS) || [],
+    profiles: getProfiles().map(profile => ({
+      ...profile,
+      credentials: local.get(profileKey(KEYS.CREDENTIALS, profile.id)),
+      favorites: local.get(profileKey(KEYS.FAVORITES, profile.id)) || [],
+      recents: local.get(profileKey(KEYS.RECENTS, profile.id)) || [],
+    })),
+    activeProfile: activeProfileId,
+    epgMappings: local.get(KEYS.EPG_MAPPINGS) || {},
+    epgSources: local.get(KEYS.EPG_SOURCES) || {},
+    channelOverlays: local.get(KEYS.CHANNEL_OVERLAY) || {},
   };
   return data;
 }
 
 /**
  * Import settings from JSON
+ * Profiles are added alongside existing ones; a version 1 backup becomes a new profile.
  * @param {Object} data 
  */
 export function importData(data) {
@@ -189,43 +293,349 @@ export function importData(data) {
   }
   
   if (data.settings) local.set(KEYS.SETTINGS, data.settings);
-  if (data.credentials) local.set(KEYS.CREDENTIALS, data.credentials);
-  if (data.favorites) local.set(KEYS.FAVORITES, data.favorites);
-  if (data.recents) local.set(KEYS.RECENTS, data.recents);
+  if (data.epgMappings) local.set(KEYS.EPG_MAPPINGS, data.epgMappings);
+  if (data.epgSources) local.set(KEYS.EPG_SOURCES, data.epgSources);
+  if (data.channelOverlays) local.set(KEYS.CHANNEL_OVERLAY, data.channelOverlays);
+  
+  const imported = Array.isArray(data.profiles)
+    ? data.profiles
+    : data.credentials ? [{
+      name: 'Imported playlist',
+      mode: data.credentials.mode,
+      credentials: data.credentials,
+      favorites: data.favorites,
+      recents: data.recents,
+    }] : [];
+  
+  let activeId = null;
+  for (const entry of imported) {
+    const profile = createProfile({ name: entry.name, mode: entry.mode });
+    if (entry.credentials) local.set(profileKey(KEYS.CREDENTIALS, profile.id), entry.credentials);
+    if (entry.favorites) local.set(profileKey(KEYS.FAVORITES, profile.id), entry.favorites);
+    if (entry.recents) local.set(profileKey(KEYS.RECENTS, profile.id), entry.recents);
+    
+    if (!activeId || entry.id === data.activeProfile) activeId = profile.id;
+  }
+  
+  if (activeId) setActiveProfile(activeId);
   
   return true;
 }
 
-// Favorites helpers
-export function getFavorites() {
-  return local.get(KEYS.FAVORITES) || [];
+// =============================================================================
+// Playlist profiles
+// =============================================================================
+
+// Per-profile data lives under "profile:<id>:<key>" in both stores
+const PROFILE_PREFIX = 'profile:';
+
+let activeProfileId = null;
+
+/**
+ * Scope a storage key to a playlist profile
+ * @param {string} key - Key or key prefix from KEYS
+ * @param {string} [profileId] - Defaults to the active profile
+ * @returns {string}
+ */
+export function profileKey(key, profileId = activeProfileId) {
+  return profileId ? `${PROFILE_PREFIX}${profileId}:${key}` : key;
+}
+
+/**
+ * Load the profile list and pick the active profile
+ * Data saved before profiles existed is moved into a first profile.
+ * @returns {Promise<Object|null>} - Active profile
+ */
+export async function initProfiles() {
+  if (!local.get(KEYS.PROFILES)) {
+    local.set(KEYS.PROFILES, []);
+    if (local.get(KEYS.CREDENTIALS)) {
+      await migrateToProfile(createProfile({ name: 'My playlist', mode: local.get(KEYS.CREDENTIALS).mode }).id);
+    }
+  }
+  
+  const profiles = getProfiles();
+  const savedId = local.get(KEYS.ACTIVE_PROFILE);
+  activeProfileId = profiles.some(p => p.id === savedId) ? savedId : (profiles[0]?.id || null);
+  
+  console.log(`[Storage] ${profiles.length} playlist profile(s), active:`, activeProfileId || 'none');
+  return getActiveProfile();
+}
+
+/**
+ * Move pre-profile data into a profile
+ * The guide cache is dropped rather than moved - it can be large and is re-downloaded.
+ * @param {string} profileId 
+ */
+async function migrateToProfile(profileId) {
+  for (const key of [KEYS.CREDENTIALS, KEYS.FAVORITES, KEYS.RECENTS, KEYS.LAST_CHANNEL, KEYS.EPG_LAST_UPDATE]) {
+    const value = local.get(key);
+    if (value !== null) local.set(profileKey(key, profileId), value);
+    local.remove(key);
+  }
+  
+  const dbKeys = (await db.keys()).filter(k => !k.startsWith(PROFILE_PREFIX));
+  const guideKeys = dbKeys.filter(k => k === KEYS.EPG || k.startsWith(KEYS.EPG_DAY_PREFIX));
+  const moveKeys = dbKeys.filter(k => !guideKeys.includes(k));
+  
+  const values = await db.getMany(moveKeys);
+  await db.setMany(moveKeys.map((key, i) => [profileKey(key, profileId), values[i]]));
+  await db.removeMany([...moveKeys, ...guideKeys]);
+  
+  local.set(KEYS.ACTIVE_PROFILE, profileId);
+  console.log(`[Storage] ✓ Migrated saved playlist to profile ${profileId} (${moveKeys.length} cached items)`);
+}
+
+/**
+ * Get all playlist profiles
+ * @returns {Array<{ id: string, name: string, mode: string }>}
+ */
+export function getProfiles() {
+  return local.get(KEYS.PROFILES) || [];
+}
+
+/**
+ * Get the active profile
+ * @returns {Object|null}
+ */
+export function getActiveProfile() {
+  return getProfiles().find(p => p.id === activeProfileId) || null;
 }
 
-export function setFavorites(favorites) {
-  return local.set(KEYS.FAVORITES, favorites);
+/**
+ * Get the active profile's id
+ * @returns {string|null}
+ */
+export function getActiveProfileId() {
+  return activeProfileId;
 }
 
-export function toggleFavorite(channelId) {
-  const favorites = getFavorites();
-  const index = favorites.indexOf(channelId);
+/**
+ * Make a profile active - takes full effect after the app reloads its state
+ * @param {string} profileId 
+ */
+export function setActiveProfile(profileId) {
+  activeProfileId = profileId;
+  local.set(KEYS.ACTIVE_PROFILE, profileId);
+}
+
+/**
+ * Add a playlist profile
+ * @param {Object} details - { name, mode }
+ * @returns {Object} - The new profile
+ */
+export function createProfile({ name, mode }) {
+  const profiles = getProfiles();
+  const profile = {
+    id: `p_${Date.now().toString(36)}${profiles.length.toString(36)}`,
+    name: name || 'Playlist',
+    mode: mode || null,
+  };
+  
+  local.set(KEYS.PROFILES, [...profiles, profile]);
+  return profile;
+}
+
+/**
+ * Update a profile's name or mode
+ * @param {string} profileId 
+ * @param {Object} updates - { name, mode }
+ */
+export function updateProfile(profileId, updates) {
+  const profiles = getProfiles().map(p => p.id === profileId ? { ...p, ...updates } : p);
+  local.set(KEYS.PROFILES, profiles);
+}
+
+/**
+ * Delete a profile and everything stored for it
+ * @param {string} profileId 
+ * @returns {Promise<Array>} - Remaining profiles
+ */
+export async function removeProfile(profileId) {
+  const prefix = profileKey('', profileId);
+  local.keys(prefix).forEach(key => local.remove(key));
+  await db.removeMany(await db.keys(prefix));
+  
+  const remaining = getProfiles().filter(p => p.id !== profileId);
+  local.set(KEYS.PROFILES, remaining);
+  
+  if (activeProfileId === profileId) {
+    activeProfileId = null;
+    local.remove(KEYS.ACTIVE_PROFILE);
+  }
+  
+  console.log('[Storage] Removed profile', profileId);
+  return remaining;
+}
+
+// Favourite lists helpers
+// Channels are saved as { type: 'live', id }. Movies and series keep a snapshot
+// so a list shows and plays them without loading their category first.
+const DEFAULT_FAVORITE_LIST = { id: 'default', name: 'Favourites' };
+const FAVORITE_SNAPSHOT_FIELDS = ['name', 'logo', 'url', 'year', 'genre', 'duration', 'rating', 'plot'];
+
+/**
+ * Get the favourite lists, in the user's order
+ * Older saves (a flat array of channel ids) become the default list.
+ * @returns {Array<{id: string, name: string, items: Array}>}
+ */
+export function getFavoriteLists() {
+  const saved = local.get(profileKey(KEYS.FAVORITES)) || [];
+  if (saved.length === 0 || typeof saved[0] === 'string') {
+    return [{ ...DEFAULT_FAVORITE_LIST, items: saved.map(id => ({ type: 'live', id })) }];
+  }
+  return saved;
+}
+
+/**
+ * Save the favourite lists
+ * @param {Array<{id: string, name: string, items: Array}>} lists - In the user's order
+ */
+export function setFavoriteLists(lists) {
+  return local.set(profileKey(KEYS.FAVORITES), lists);
+}
+
+/**
+ * Create a favourite list
+ * @param {string} name 
+ * @returns {Object|null} - The new list, or null if the name is empty
+ */
+export function createFavoriteList(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return null;
+  
+  const list = { id: Date.now().toString(36), name: trimmed, items: [] };
+  setFavoriteLists([...getFavoriteLists(), list]);
+  return list;
+}
+
+/**
+ * Rename a favourite list
+ * @param {string} listId 
+ * @param {string} name - Empty names are ignored
+ */
+export function renameFavoriteList(listId, name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return;
+  setFavoriteLists(getFavoriteLists().map(list => list.id === listId ? { ...list, name: trimmed } : list));
+}
+
+/**
+ * Delete a favourite list (the last one is kept)
+ * @param {string} listId 
+ * @returns {boolean} - False if it was the last list
+ */
+export function deleteFavoriteList(listId) {
+  const lists = getFavoriteLists();
+  if (lists.length <= 1) return false;
+  setFavoriteLists(lists.filter(list => list.id !== listId));
+  return true;
+}
+
+/**
+ * Save the order of the favourite lists
+ * @param {Array<string>} listIds - First shown first
+ */
+export function reorderFavoriteLists(listIds) {
+  const lists = getFavoriteLists();
+  setFavoriteLists(listIds.map(id => lists.find(list => list.id === id)).filter(Boolean));
+}
+
+/**
+ * Add an item to a favourite list, or remove it if it's there
+ * @param {Object|string} item - Channel, movie or series (a plain id is a live channel)
+ * @param {string} [listId] - Defaults to the first list
+ * @returns {boolean} - True if added, false if removed
+ */
+export function toggleFavorite(item, listId) {
+  const entry = typeof item === 'string' ? { type: 'live', id: item } : item;
+  const lists = getFavoriteLists();
+  const list = lists.find(l => l.id === listId) || lists[0];
+  const index = list.items.findIndex(saved => isSameFavorite(saved, entry));
+  
   if (index === -1) {
-    favorites.push(channelId);
+    list.items.push(createFavoriteEntry(entry));
   } else {
-    favorites.splice(index, 1);
+    list.items.splice(index, 1);
   }
-  setFavorites(favorites);
-  return index === -1; // Returns true if added, false if removed
+  setFavoriteLists(lists);
+  return index === -1;
+}
+
+/**
+ * Check if an item is in a favourite list
+ * @param {Object|string} item - Channel, movie or series (a plain id is a live channel)
+ * @param {string} [listId] - Any list when omitted
+ * @returns {boolean}
+ */
+export function isFavorite(item, listId) {
+  const entry = typeof item === 'string' ? { type: 'live', id: item } : item;
+  return getFavoriteLists()
+    .filter(list => !listId || list.id === listId)
+    .some(list => list.items.some(saved => isSameFavorite(saved, entry)));
 }
 
-export function isFavorite(channelId) {
-  return getFavorites().includes(channelId);
+/**
+ * Get the ids of live channels in any favourite list
+ * @returns {Array<string>}
+ */
+export function getFavorites() {
+  const ids = getFavoriteLists().flatMap(list =>
+    list.items.filter(item => item.type === 'live').map(item => item.id)
+  );
+  return [...new Set(ids)];
+}
+
+/**
+ * Get one type of item from a favourite list, in the user's order
+ * @param {string} listId 
+ * @param {string} type - 'live' | 'vod' | 'series'
+ * @returns {Array}
+ */
+export function getFavoriteItems(listId, type) {
+  const list = getFavoriteLists().find(l => l.id === listId);
+  return list ? list.items.filter(item => item.type === type) : [];
+}
+
+/**
+ * Save the order of one type of item in a favourite list
+ * Other types keep their places - each type is numbered on its own.
+ * @param {string} listId 
+ * @param {string} type - 'live' | 'vod' | 'series'
+ * @param {Array<string>} ids - Item ids, first shown first
+ */
+export function reorderFavorites(listId, type, ids) {
+  const lists = getFavoriteLists();
+  const list = lists.find(l => l.id === listId);
+  if (!list) return;
+  
+  const byId = new Map(list.items.filter(item => item.type === type).map(item => [String(item.id), item]));
+  const ordered = ids.map(id => byId.get(String(id))).filter(Boolean);
+  byId.forEach(item => { if (!ordered.includes(item)) ordered.push(item); });
+  
+  list.items = list.items.map(item => item.type === type ? ordered.shift() : item);
+  setFavoriteLists(lists);
+}
+
+function isSameFavorite(saved, item) {
+  return saved.type === (item.type || 'live') && String(saved.id) === String(item.id);
+}
+
+function createFavoriteEntry(item) {
+  const entry = { type: item.type || 'live', id: item.id };
+  if (entry.type === 'live') return entry;
+  
+  FAVORITE_SNAPSHOT_FIELDS.forEach(field => {
+    if (item[field]) entry[field] = item[field];
+  });
+  return entry;
 }
 
 // Recents helpers
 const MAX_RECENTS = 10;
 
 export function getRecents() {
-  return local.get(KEYS.RECENTS) || [];
+  return local.get(profileKey(KEYS.RECENTS)) || [];
 }
 
 export function addRecent(channelId) {
@@ -236,15 +646,206 @@ export function addRecent(channelId) {
   recents.unshift(channelId);
   // Trim to max
   recents = recents.slice(0, MAX_RECENTS);
-  local.set(KEYS.RECENTS, recents);
+  local.set(profileKey(KEYS.RECENTS), recents);
   return recents;
 }
 
+// Watch history helpers
+// One log across profiles - entries name the playlist they were watched from
+const MAX_HISTORY_ENTRIES = 5000;
+
+export async function getWatchHistory() {
+  return await db.get(KEYS.WATCH_HISTORY) || [];
+}
+
+/**
+ * Add a history entry, or update it if one with the same id exists
+ * @param {Object} entry - { id, itemId, name, title, type, genre, start, duration, profileId, playlist }
+ */
+export async function saveWatchHistoryEntry(entry) {
+  const history = await getWatchHistory();
+  const index = history.findIndex(item => item.id === entry.id);
+  
+  if (index === -1) {
+    history.push(entry);
+  } else {
+    history[index] = entry;
+  }
+  
+  // Oldest first, so trimming drops the start
+  return db.set(KEYS.WATCH_HISTORY, history.slice(-MAX_HISTORY_ENTRIES));
+}
+
+export async function clearWatchHistory() {
+  return db.remove(KEYS.WATCH_HISTORY);
+}
+
+// Failover helpers (alternative copy of a channel that played when it didn't)
+export function getPreferredSource(channelId) {
+  return (local.get(profileKey(KEYS.PREFERRED_SOURCES)) || {})[channelId] || null;
+}
+
+export function setPreferredSource(channelId, sourceId) {
+  const sources = local.get(profileKey(KEYS.PREFERRED_SOURCES)) || {};
+  if (sourceId) {
+    sources[channelId] = sourceId;
+  } else {
+    delete sources[channelId];
+  }
+  return local.set(profileKey(KEYS.PREFERRED_SOURCES), sources);
+}
+
+// Quality helpers (rendition locked from the quality menu)
+export function getQualityPreference(channelId) {
+  return (local.get(profileKey(KEYS.QUALITY)) || {})[channelId] || null;
+}
+
+export function setQualityPreference(channelId, preference) {
+  const prefs = local.get(profileKey(KEYS.QUALITY)) || {};
+  if (preference) {
+    prefs[channelId] = preference;
+  } else {
+    delete prefs[channelId];
+  }
+  return local.set(profileKey(KEYS.QUALITY), prefs);
+}
+
+/**
+ * Point favorites, recents, failover sources, quality locks, EPG overrides and
+ * channel edits at new channel ids after a refresh
+ * @param {Object} idMap - { oldId: newId }
+ * @param {string} playlistKey - For the EPG overrides and channel edits
+ * @returns {number} - Number of saved references updated
+ */
+export function remapChannelIds(idMap, playlistKey) {
+  let updated = 0;
+  const remap = (id) => {
+    if (!(id in idMap)) return id;
+    updated++;
+    return idMap[id];
+  };
+  
+  setFavoriteLists(getFavoriteLists().map(list => {
+    const seen = new Set();
+    const items = list.items
+      .map(item => item.type === 'live' ? { ...item, id: remap(item.id) } : item)
+      .filter(item => {
+        const key = `${item.type}:${item.id}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    return { ...list, items };
+  }));
+  local.set(profileKey(KEYS.RECENTS), [...new Set(getRecents().map(remap))]);
+  
+  const sources = local.get(profileKey(KEYS.PREFERRED_SOURCES)) || {};
+  local.set(profileKey(KEYS.PREFERRED_SOURCES), Object.fromEntries(
+    Object.entries(sources).map(([channelId, sourceId]) => [remap(channelId), remap(sourceId)])
+  ));
+  
+  const quality = local.get(profileKey(KEYS.QUALITY)) || {};
+  local.set(profileKey(KEYS.QUALITY), Object.fromEntries(
+    Object.entries(quality).map(([channelId, preference]) => [remap(channelId), preference])
+  ));
+  
+  const all = local.get(KEYS.EPG_MAPPINGS) || {};
+  if (all[playlistKey]) {
+    all[playlistKey] = Object.fromEntries(
+      Object.entries(all[playlistKey]).map(([channelId, epgId]) => [remap(channelId), epgId])
+    );
+    local.set(KEYS.EPG_MAPPINGS, all);
+  }
+  
+  const overlay = getChannelOverlay(playlistKey);
+  if (overlay) {
+    overlay.channels = Object.fromEntries(
+      Object.entries(overlay.channels || {}).map(([channelId, edit]) => [remap(channelId), edit])
+    );
+    overlay.channelOrder = Object.fromEntries(
+      Object.entries(overlay.channelOrder || {}).map(([group, ids]) => [group, ids.map(remap)])
+    );
+    setChannelOverlay(playlistKey, overlay);
+  }
+  
+  return updated;
+}
+
+// EPG mapping overrides (per playlist)
+export function getEpgMappings(playlistKey) {
+  const all = local.get(KEYS.EPG_MAPPINGS) || {};
+  return all[playlistKey] || {};
+}
+
+/**
+ * Set or clear a manual EPG mapping
+ * @param {string} playlistKey 
+ * @param {string} channelId 
+ * @param {string|null} epgId - EPG channel id, '' for no guide, null to return to automatic
+ */
+export function setEpgMapping(playlistKey, channelId, epgId) {
+  const all = local.get(KEYS.EPG_MAPPINGS) || {};
+  const mappings = all[playlistKey] || {};
+  
+  if (epgId === null || epgId === undefined) {
+    delete mappings[channelId];
+  } else {
+    mappings[channelId] = epgId;
+  }
+  
+  all[playlistKey] = mappings;
+  return local.set(KEYS.EPG_MAPPINGS, all);
+}
+
+// Channel and group edits (per playlist)
+export function getChannelOverlay(playlistKey) {
+  const all = local.get(KEYS.CHANNEL_OVERLAY) || {};
+  return all[playlistKey] || null;
+}
+
+/**
+ * Save the channel and group edits for a playlist
+ * @param {string} playlistKey 
+ * @param {Object|null} overlay - { groups, channels, customGroups, groupOrder, channelOrder }, null to reset
+ */
+export function setChannelOverlay(playlistKey, overlay) {
+  const all = local.get(KEYS.CHANNEL_OVERLAY) || {};
+  if (overlay) {
+    all[playlistKey] = overlay;
+  } else {
+    delete all[playlistKey];
+  }
+  return local.set(KEYS.CHANNEL_OVERLAY, all);
+}
+
+// EPG sources (per playlist, in priority order)
+export function getEpgSources(playlistKey) {
+  const all = local.get(KEYS.EPG_SOURCES) || {};
+  return all[playlistKey] || null;
+}
+
+/**
+ * Save the EPG sources for a playlist
+ * @param {string} playlistKey 
+ * @param {Array} sources - [{ id, url }], highest priority first
+ */
+export function setEpgSources(playlistKey, sources) {
+  const all = local.get(KEYS.EPG_SOURCES) || {};
+  all[playlistKey] = sources;
+  return local.set(KEYS.EPG_SOURCES, all);
+}
+
 // Settings helpers
 export function getSettings() {
   return local.get(KEYS.SETTINGS) || {
     vaultEnabled: false,
     proxyUrl: null,
+    epgTimezone: null,
+    liveView: 'list',
+    epgPastHours: 24,
+    epgFutureDays: 1,
+    epgRefreshHours: 12,
+    reminderLeadMinutes: 5,
   };
 }
 
@@ -6,6 +6,11 @@
 import * as storage from './storage.js';
 import { applyProxyToUrl } from './storage.js';
 import * as epg from './epg.js';
+import * as reminders from './reminders.js';
+import * as health from './health.js';
+import * as progress from './progress.js';
+import * as channelGroups from './groups.js';
+import { canCatchup } from './playlist.js';
 
 // DOM element references
 let elements = {};
@@ -16,6 +21,8 @@ let filteredChannels = [];
 let currentCategory = '__all__';
 let searchQuery = '';
 let selectedChannelId = null;
+let favoriteNumbers = new Map(); // Item id -> number within the open favourite list
+let favoriteDrag = null; // Id of the favourite being dragged into a new place
 
 // Content type state
 let currentContentType = 'live';
@@ -31,8 +38,44 @@ let searchOverlayActive = false;
 let searchOverlayQuery = '';
 let searchOverlayFilter = 'all'; // 'all', 'live', 'vod', 'series'
 let searchOverlayResults = [];
+let searchProgrammeResults = []; // [{ program, channels }] in time order
+let searchProgrammeTotal = 0;
+let searchOverlayTotal = 0; // Channel/VOD matches before the display limit
+let programmeSearchToken = 0; // Ignore results from superseded searches
 let imageObserver = null; // IntersectionObserver for lazy loading images
 const MAX_SEARCH_RESULTS = 200; // Limit for performance
+const MAX_PROGRAMME_RESULTS = 100;
+const MIN_PROGRAMME_QUERY = 2; // Programme search scans the whole guide - skip single letters
+
+// Stream health dot tooltips (status from the health scanner)
+const HEALTH_LABELS = {
+  ok: 'Stream OK',
+  blocked: 'Blocked by provider',
+  empty: 'Stream offline',
+  timeout: 'No response',
+  error: 'Stream failed',
+};
+
+// Favourite lists show as "__favorites__:<listId>" categories, for every content type
+const FAVORITES_PREFIX = '__favorites__:';
+const FAVORITE_TYPES = { live: 'live', movies: 'vod', series: 'series' };
+
+// TV remote style zapping: typed channel numbers tune after a short pause
+const ZAP_DELAY_MS = 1500;
+const ZAP_MAX_DIGITS = 4;
+const ZAP_OVERLAY_MS = 2500; // How long the tuned channel stays on screen
+let zapDigits = '';
+let zapTimer = null;
+let zapOverlayTimer = null;
+
+const STAR_ICON = `<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+  <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+</svg>`;
+
+const BELL_ICON = `<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+  <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"/>
+  <path d="M13.73 21a2 2 0 0 1-3.46 0"/>
+</svg>`;
 
 // Locale module reference (for language-prioritized search)
 let localeModule = null;
@@ -57,17 +100,43 @@ let contentGridCardWidth = 180;
 let contentGridRowHeight = 306;
 let contentGridInitialized = false;
 
+// TV Guide grid state (time x channel)
+const GUIDE_ROW_HEIGHT = 56;
+const GUIDE_HEADER_HEIGHT = 32;
+const GUIDE_CHANNEL_WIDTH = 180;    // Matches CSS .guide-row__channel width
+const GUIDE_PX_PER_MINUTE = 4;      // 30 min slot = 120px
+const GUIDE_SLOT_MINUTES = 30;
+const GUIDE_BUFFER_ROWS = 5;
+const GUIDE_BUFFER_PX = 600;        // Extra horizontal range rendered either side
+const GUIDE_NOW_INTERVAL_MS = 60 * 1000;
+const GUIDE_STATUS_DURATION_MS = 8000; // How long "Guide updated" stays visible
+let liveView = 'list'; // 'list' or 'guide'
+let guideWindowStart = 0;
+let guideWindowEnd = 0;
+let guideScrollTop = 0;
+let guideScrollLeft = 0;
+let guideViewportHeight = 0;
+let guideViewportWidth = 0;
+let guideInitialized = false;
+let guideNowTimer = null;
+let guideSchedulePending = false;
+let guideStatusTimer = null;
+
 // Callbacks
 let onChannelSelect = null;
+let onCatchupSelect = null;
 let onFavoriteToggle = null;
+let onManageFavorites = null;
 
 /**
  * Initialize UI
- * @param {Object} callbacks - { onChannelSelect, onFavoriteToggle }
+ * @param {Object} callbacks - { onChannelSelect, onCatchupSelect, onFavoriteToggle, onManageFavorites }
  */
 export function init(callbacks = {}) {
   onChannelSelect = callbacks.onChannelSelect || (() => {});
+  onCatchupSelect = callbacks.onCatchupSelect || (() => {});
   onFavoriteToggle = callbacks.onFavoriteToggle || (() => {});
+  onManageFavorites = callbacks.onManageFavorites || (() => {});
   
   // Cache DOM elements
   elements = {
@@ -82,16 +151,35 @@ export function init(callbacks = {}) {
     epgView: document.getElementById('epg-view'),
     contentGrid: document.getElementById('content-grid'),
     contentGridInner: document.getElementById('content-grid-inner'),
+    continueWatching: document.getElementById('continue-watching'),
+    continueWatchingItems: document.getElementById('continue-watching-items'),
     channelList: document.getElementById('channel-list'),
     
+    // TV Guide grid
+    liveViewToggle: document.getElementById('live-view-toggle'),
+    guideView: document.getElementById('guide-view'),
+    guideViewport: document.getElementById('guide-viewport'),
+    guideHeader: document.getElementById('guide-header'),
+    guideRows: document.getElementById('guide-rows'),
+    guideJumpNow: document.getElementById('guide-jump-now'),
+    guideStatus: document.getElementById('guide-status'),
+    healthControls: document.getElementById('health-controls'),
+    hideDeadBtn: document.getElementById('btn-hide-dead'),
+    scanHealthBtn: document.getElementById('btn-scan-health'),
+    
     // Now Playing Panel
     nowPlayingPanel: document.getElementById('now-playing-panel'),
     channelLogo: document.getElementById('channel-logo'),
     channelLogoPlaceholder: document.getElementById('channel-logo-placeholder'),
     panelChannelName: document.getElementById('panel-channel-name'),
     panelCategory: document.getElementById('panel-category'),
+    panelStats: document.getElementById('panel-stats'),
     panelEpg: document.getElementById('panel-epg'),
     panelEpgNow: document.getElementById('panel-epg-now'),
+    panelEpgDetails: document.getElementById('panel-epg-details'),
+    panelEpgArtwork: document.getElementById('panel-epg-artwork'),
+    panelEpgSubtitle: document.getElementById('panel-epg-subtitle'),
+    panelEpgBadges: document.getElementById('panel-epg-badges'),
     panelEpgNext: document.getElementById('panel-epg-next'),
     panelEpgNextTime: document.getElementById('panel-epg-next-time'),
     panelEpgProgress: document.getElementById('panel-epg-progress'),
@@ -102,7 +190,7 @@ export function init(callbacks = {}) {
     
     // Counts
     countAll: document.getElementById('count-all'),
-    countFavorites: document.getElementById('count-favorites'),
+    favoriteLists: document.getElementById('favorite-lists'),
     countRecents: document.getElementById('count-recents'),
     
     // Search (sidebar - triggers overlay)
@@ -119,6 +207,7 @@ export function init(callbacks = {}) {
     searchLoadingIndicator: document.getElementById('search-loading-indicator'),
     searchResults: document.getElementById('search-results'),
     searchGrid: document.getElementById('search-grid'),
+    searchProgrammes: document.getElementById('search-programmes'),
     searchLoading: document.getElementById('search-loading'),
     searchEmpty: document.getElementById('search-empty'),
     searchInitial: document.getElementById('search-initial'),
@@ -129,6 +218,12 @@ export function init(callbacks = {}) {
     playerLoading: document.getElementById('player-loading'),
     playerError: document.getElementById('player-error'),
     errorMessage: document.getElementById('error-message'),
+    upNext: document.getElementById('up-next'),
+    upNextTitle: document.getElementById('up-next-title'),
+    upNextCountdown: document.getElementById('up-next-countdown'),
+    zapOverlay: document.getElementById('zap-overlay'),
+    zapNumber: document.getElementById('zap-number'),
+    zapName: document.getElementById('zap-name'),
     nowPlaying: document.getElementById('now-playing'),
     
     // EPG (player controls)
@@ -153,6 +248,9 @@ export function init(callbacks = {}) {
   
   // Initialize virtual scrolling
   initVirtualScroll();
+  
+  // Initialize TV Guide grid (restores last used live view)
+  initGuide();
 }
 
 /**
@@ -200,8 +298,30 @@ function setupEventListeners() {
     }
   });
   
+  // Stream health filter
+  elements.hideDeadBtn?.addEventListener('click', () => {
+    storage.updateSettings({ hideDeadChannels: !storage.getSettings().hideDeadChannels });
+    updateHealthControls();
+    scrollTop = 0;
+    if (elements.channelViewport) elements.channelViewport.scrollTop = 0;
+    applyFilters();
+    renderChannels();
+  });
+  
   // PERF: Event delegation for search overlay grid
   initSearchOverlayDelegation();
+  
+  // Content grid cards are clickable before the grid first needs virtual scrolling
+  initContentGridDelegation();
+  initContinueWatching();
+  
+  // Favourite lists are rendered on the fly - one handler for all of them
+  elements.favoriteLists?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-category]');
+    if (btn) selectCategory(btn.dataset.category);
+  });
+  initFavoriteMenu();
+  initFavoriteDragAndDrop();
 }
 
 /**
@@ -241,18 +361,8 @@ function initChannelListDelegation() {
     if (favoriteBtn) {
       e.stopPropagation();
       const id = favoriteBtn.dataset.favorite;
-      storage.toggleFavorite(id);
-      updateCounts();
-      if (currentCategory === '__favorites__') {
-        applyFilters();
-      }
-      // Re-render the appropriate view
-      if (isGlobalSearchActive) {
-        renderGlobalSearchResults();
-      } else {
-        renderChannels();
-      }
-      onFavoriteToggle(id);
+      const channel = channels.find(ch => ch.id === id) || { type: 'live', id };
+      handleFavoriteClick(channel, favoriteBtn);
       return;
     }
     
@@ -316,7 +426,10 @@ function initContentGridDelegation() {
     
     // Find item from current items list
     const item = currentItems.find(i => String(i.id) === String(id));
-    if (item) {
+    if (item && e.target.closest('.search-card__favorite')) {
+      e.stopPropagation();
+      handleFavoriteClick(item, e.target.closest('.search-card__favorite'));
+    } else if (item) {
       handleSearchCardClick(item);
     }
   });
@@ -326,7 +439,7 @@ function initContentGridDelegation() {
     if (e.key !== 'Enter' && e.key !== ' ') return;
     
     const card = e.target.closest('.search-card');
-    if (!card) return;
+    if (!card || e.target.closest('.search-card__favorite')) return;
     
     e.preventDefault();
     const id = card.dataset.id;
@@ -353,7 +466,10 @@ function initSearchOverlayDelegation() {
     
     // Find item from search results
     const item = searchOverlayResults.find(i => String(i.id) === String(id));
-    if (item) {
+    if (item && e.target.closest('.search-card__favorite')) {
+      e.stopPropagation();
+      handleFavoriteClick(item, e.target.closest('.search-card__favorite'));
+    } else if (item) {
       handleSearchCardClick(item);
     }
   });
@@ -363,7 +479,7 @@ function initSearchOverlayDelegation() {
     if (e.key !== 'Enter' && e.key !== ' ') return;
     
     const card = e.target.closest('.search-card');
-    if (!card) return;
+    if (!card || e.target.closest('.search-card__favorite')) return;
     
     e.preventDefault();
     const id = card.dataset.id;
@@ -373,6 +489,31 @@ function initSearchOverlayDelegation() {
     }
   });
   
+  // Programme results: row tunes to the channel, bell toggles a reminder
+  elements.searchProgrammes?.addEventListener('click', (e) => {
+    const remindBtn = e.target.closest('[data-remind]');
+    if (remindBtn) {
+      e.stopPropagation();
+      toggleProgrammeReminder(parseInt(remindBtn.dataset.remind, 10));
+      return;
+    }
+    
+    const row = e.target.closest('.search-programme');
+    if (row) tuneToProgramme(parseInt(row.dataset.index, 10));
+  });
+  
+  elements.searchProgrammes?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    const row = e.target.closest('.search-programme');
+    if (!row || e.target.closest('[data-remind]')) return;
+    
+    e.preventDefault();
+    tuneToProgramme(parseInt(row.dataset.index, 10));
+  });
+  
+  // Reminders are set here, in the guide, and expire on their own
+  reminders.on('onChange', handleRemindersChanged);
+  
   console.log('[UI] Search overlay event delegation initialized');
 }
 
@@ -384,9 +525,6 @@ function initContentGridVirtualScroll() {
   
   contentGridInitialized = true;
   
-  // PERF: Event delegation for content grid cards
-  initContentGridDelegation();
-  
   // Calculate initial dimensions
   updateContentGridDimensions();
   
@@ -485,19 +623,18 @@ export function setContentType(type, categories = []) {
   const allBtn = document.querySelector('[data-category="__all__"] span:first-of-type');
   if (allBtn) allBtn.textContent = countLabels[type] || 'All';
   
-  // Hide favorites/recents for VOD/Series (not applicable)
-  const favBtn = document.querySelector('[data-category="__favorites__"]');
+  // Recents are live only; favourite lists hold every content type
   const recBtn = document.querySelector('[data-category="__recents__"]');
-  if (favBtn) favBtn.hidden = type !== 'live';
   if (recBtn) recBtn.hidden = type !== 'live';
+  favoriteNumbers = new Map();
+  renderFavoriteLists();
   
-  // Switch between channel list (Live) and content grid (Movies/Series)
-  if (elements.channelList) {
-    elements.channelList.hidden = type !== 'live';
-  }
+  // Switch between channel list / guide (Live) and content grid (Movies/Series)
+  updateLiveViewVisibility();
   if (elements.contentGrid) {
     elements.contentGrid.hidden = type === 'live';
   }
+  renderContinueWatching();
   
   if (type === 'live') {
     // Live TV - show channel groups
@@ -627,11 +764,12 @@ function renderVodSeriesCategories() {
       const categoryId = btn.dataset.vodCategory;
       
       // Update active state
-      document.querySelectorAll('[data-vod-category]').forEach(b => {
+      document.querySelectorAll('[data-vod-category], [data-category]').forEach(b => {
         b.classList.remove('category-item--active');
       });
       btn.classList.add('category-item--active');
-      document.querySelector('[data-category="__all__"]')?.classList.remove('category-item--active');
+      currentCategory = '__all__';
+      favoriteNumbers = new Map();
       
       // Load items for this category
       if (currentContentType === 'movies') {
@@ -661,8 +799,8 @@ function renderContentGrid(items) {
     ? items.filter(item => item.name.toLowerCase().includes(searchQuery.toLowerCase()))
     : [...items];
   
-  // Sort by locale preference (4K/24/7 to the end)
-  if (localeModule?.sortByLocale) {
+  // Sort by locale preference (4K/24/7 to the end) - favourite lists keep the user's order
+  if (localeModule?.sortByLocale && !getFavoriteListId(currentCategory)) {
     localeModule.sortByLocale(filtered);
   }
   
@@ -864,9 +1002,10 @@ export function showSeriesDetails(seriesInfo) {
             <h3 class="series-season__title">Season ${num}</h3>
             <div class="series-episodes">
               ${eps.map(ep => `
-                <button class="series-episode" data-episode-url="${escapeHtml(ep.url)}" data-episode-name="${escapeHtml(ep.name)}">
+                <button class="series-episode${progress.isWatched(ep) ? ' series-episode--watched' : ''}" data-episode-index="${episodes.indexOf(ep)}">
                   <span class="series-episode__num">E${ep.episode}</span>
                   <span class="series-episode__title">${escapeHtml(ep.name)}</span>
+                  ${getEpisodeProgressHtml(ep)}
                   ${ep.duration ? `<span class="series-episode__duration">${escapeHtml(ep.duration)}</span>` : ''}
                 </button>
               `).join('')}
@@ -900,29 +1039,107 @@ export function showSeriesDetails(seriesInfo) {
     }
   });
   
-  // Episode click handlers
+  // Episode click handlers - episodes are playable as they come from the API
   overlay.querySelectorAll('.series-episode').forEach(btn => {
     btn.addEventListener('click', () => {
-      const url = btn.dataset.episodeUrl;
-      const name = btn.dataset.episodeName;
-      
-      // Create a channel-like object for the player
-      const episode = {
-        id: url,
-        name: name,
-        url: url,
-        type: 'episode'
-      };
+      const episode = episodes[btn.dataset.episodeIndex];
       
-      selectedChannelId = url;
+      selectedChannelId = episode.id;
       overlay.hidden = true;
       onChannelSelect(episode);
     });
   });
 }
 
+/**
+ * Build the watched tick or partial progress bar for an episode row
+ * @param {Object} episode
+ * @returns {string} HTML
+ */
+function getEpisodeProgressHtml(episode) {
+  if (progress.isWatched(episode)) {
+    return `<span class="series-episode__watched" title="Watched">
+      <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><polyline points="20 6 9 17 4 12"/></svg>
+    </span>`;
+  }
+  
+  if (!progress.getResumePosition(episode)) return '';
+  
+  const entry = progress.get(episode);
+  const percent = Math.round((entry.position / entry.duration) * 100);
+  return `<span class="series-episode__progress" title="${percent}% watched"><span style="width: ${percent}%"></span></span>`;
+}
+
+// =============================================================================
+// Continue Watching (Movies / Series)
+// =============================================================================
+
+/**
+ * Wire up the "Continue watching" row and keep it in step with saved progress
+ */
+function initContinueWatching() {
+  const container = elements.continueWatchingItems;
+  if (!container) return;
+  
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-progress-key]');
+    if (!button) return;
+    
+    const entry = progress.getContinueWatching(currentContentType)
+      .find(item => item.key === button.dataset.progressKey);
+    if (!entry) return;
+    
+    if (button.classList.contains('continue-card__remove')) {
+      progress.remove(entry.key);
+    } else {
+      handleSearchCardClick(entry);
+    }
+  });
+  
+  progress.on('onChange', renderContinueWatching);
+}
+
+/**
+ * Render the "Continue watching" row for the current Movies/Series view
+ */
+export function renderContinueWatching() {
+  const { continueWatching, continueWatchingItems } = elements;
+  if (!continueWatching || !continueWatchingItems) return;
+  
+  const entries = currentContentType === 'live' ? [] : progress.getContinueWatching(currentContentType);
+  continueWatching.hidden = entries.length === 0;
+  if (entries.length === 0) return;
+  
+  continueWatchingItems.innerHTML = entries.map(entry => {
+    const title = entry.type === 'episode' && entry.seriesName ? entry.seriesName : entry.name;
+    const episodeLabel = entry.type === 'episode' && entry.season != null
+      ? `S${entry.season} E${entry.episode} · ` : '';
+    const minutesLeft = Math.max(1, Math.round((entry.duration - entry.position) / 60));
+    const percent = Math.round((entry.position / entry.duration) * 100);
+    
+    return `
+      <div class="continue-card">
+        <button class="continue-card__play" data-progress-key="${escapeHtml(entry.key)}" title="${escapeHtml(entry.name)}">
+          ${entry.logo
+            ? `<img class="continue-card__image" src="${escapeHtml(applyProxyToUrl(entry.logo))}" alt="" loading="lazy">`
+            : `<span class="continue-card__placeholder">${escapeHtml(getInitials(title))}</span>`}
+          <span class="continue-card__title">${escapeHtml(title)}</span>
+          <span class="continue-card__meta">${escapeHtml(`${episodeLabel}${minutesLeft} min left`)}</span>
+          <span class="continue-card__progress"><span style="width: ${percent}%"></span></span>
+        </button>
+        <button class="continue-card__remove" data-progress-key="${escapeHtml(entry.key)}" aria-label="Remove from Continue watching" title="Remove">
+          <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </div>
+    `;
+  }).join('');
+}
+
 /**
  * Get groups from channels, sorted by locale preference
+ * Groups the user arranged come first, in their order.
  * @returns {Array<string>}
  */
 function getGroups() {
@@ -932,11 +1149,11 @@ function getGroups() {
   
   // Sort by locale preference if locale module is available
   if (localeModule?.sortGroups) {
-    return localeModule.sortGroups(groupArray);
+    return channelGroups.sortGroups(localeModule.sortGroups(groupArray));
   }
   
   // Fallback to alphabetical
-  return groupArray.sort((a, b) => a.localeCompare(b));
+  return channelGroups.sortGroups(groupArray.sort((a, b) => a.localeCompare(b)));
 }
 
 /**
@@ -970,11 +1187,7 @@ function updateCounts() {
   if (elements.countAll) {
     elements.countAll.textContent = channels.length;
   }
-  if (elements.countFavorites) {
-    const favorites = storage.getFavorites();
-    const count = channels.filter(ch => favorites.includes(ch.id)).length;
-    elements.countFavorites.textContent = count;
-  }
+  renderFavoriteLists();
   if (elements.countRecents) {
     const recents = storage.getRecents();
     const count = recents.filter(id => channels.some(ch => ch.id === id)).length;
@@ -982,26 +1195,49 @@ function updateCounts() {
   }
 }
 
+/**
+ * Get the live channels in the selected category, before search and health filters
+ * @returns {Array}
+ */
+export function getCategoryChannels() {
+  const favoriteListId = getFavoriteListId(currentCategory);
+  if (favoriteListId) {
+    const byId = new Map(channels.map(ch => [ch.id, ch]));
+    return storage.getFavoriteItems(favoriteListId, 'live')
+      .map(item => byId.get(item.id))
+      .filter(Boolean);
+  }
+  if (currentCategory === '__recents__') {
+    return storage.getRecents()
+      .map(id => channels.find(ch => ch.id === id))
+      .filter(Boolean);
+  }
+  if (currentCategory !== '__all__') {
+    return channels.filter(ch => ch.group === currentCategory);
+  }
+  return [...channels];
+}
+
 /**
  * Apply filters and update filtered channels
  */
 function applyFilters() {
-  let result = [...channels];
+  let result = getCategoryChannels();
   
-  // Category filter
-  if (currentCategory === '__favorites__') {
-    const favorites = storage.getFavorites();
-    result = result.filter(ch => favorites.includes(ch.id));
-  } else if (currentCategory === '__recents__') {
-    const recents = storage.getRecents();
-    result = recents
-      .map(id => channels.find(ch => ch.id === id))
-      .filter(Boolean);
-    // Don't re-sort recents - preserve order by recent usage
+  // Favourite lists number their channels in the user's order
+  favoriteNumbers = getFavoriteListId(currentCategory)
+    ? new Map(result.map((ch, index) => [ch.id, index + 1]))
+    : new Map();
+  
+  // Channels that failed their last health check
+  if (isHidingDeadChannels()) {
+    result = result.filter(ch => !health.isDead(ch.id));
+  }
+  
+  // Don't re-sort recents - preserve order by recent usage
+  if (currentCategory === '__recents__') {
     filteredChannels = result;
     return;
-  } else if (currentCategory !== '__all__') {
-    result = result.filter(ch => ch.group === currentCategory);
   }
   
   // Search filter
@@ -1010,11 +1246,22 @@ function applyFilters() {
     result = result.filter(ch => ch.name.toLowerCase().includes(q));
   }
   
+  // Favourite lists keep the user's order
+  if (favoriteNumbers.size > 0) {
+    filteredChannels = result;
+    return;
+  }
+  
   // Sort by locale preference (4K/24/7 to the end)
   if (localeModule?.sortByLocale) {
     localeModule.sortByLocale(result);
   }
   
+  // Channels the user arranged in this group go first, in their order
+  if (currentCategory !== '__all__') {
+    channelGroups.sortChannels(result, channelGroups.getGroupKey(currentCategory));
+  }
+  
   filteredChannels = result;
 }
 
@@ -1030,6 +1277,12 @@ export function selectCategory(category) {
     elements.channelViewport.scrollTop = 0;
   }
   
+  // Guide keeps its time position, only rows reset
+  guideScrollTop = 0;
+  if (elements.guideViewport) {
+    elements.guideViewport.scrollTop = 0;
+  }
+  
   // Update active state for fixed categories
   document.querySelectorAll('[data-category]').forEach(btn => {
     btn.classList.toggle('category-item--active', btn.dataset.category === category);
@@ -1046,7 +1299,7 @@ export function selectCategory(category) {
       b.classList.remove('category-item--active');
     });
     currentItems = [];
-    renderItems([]);
+    renderItems(getFavoriteGridItems());
   }
   
   // Close sidebar on mobile
@@ -1164,8 +1417,8 @@ function renderGlobalSearchResults() {
       subtitle = [item.year, item.duration, item.genre].filter(Boolean).join(' • ');
     } else if (contentType === 'series') {
       subtitle = item.genre || '';
-    } else if (contentType === 'live' && item.epgId) {
-      const nowInfo = epg.getNow(item.epgId);
+    } else if (contentType === 'live' && epg.resolveEpgId(item)) {
+      const nowInfo = epg.getNow(epg.resolveEpgId(item));
       subtitle = nowInfo ? nowInfo.title : '';
     }
     
@@ -1218,6 +1471,12 @@ function renderGlobalSearchResults() {
 function renderChannels() {
   if (!elements.channelContent) return;
   
+  // TV Guide grid shares the channel list's data and refresh points
+  if (isGuideVisible()) {
+    renderGuide();
+    return;
+  }
+  
   const ROW_HEIGHT = 72; // Taller rows for EPG style
   const totalHeight = filteredChannels.length * ROW_HEIGHT;
   elements.channelContent.style.height = `${totalHeight}px`;
@@ -1244,8 +1503,9 @@ function renderChannels() {
     const isActive = channel.id === selectedChannelId;
     
     // Get EPG info if available
-    const nowInfo = epg.getNow(channel.epgId);
-    const nextInfo = epg.getNext(channel.epgId);
+    const epgId = epg.resolveEpgId(channel);
+    const nowInfo = epg.getNow(epgId);
+    const nextInfo = epg.getNext(epgId);
     const hasEpg = nowInfo || nextInfo;
     
     // Clone template or create element
@@ -1288,10 +1548,19 @@ function renderChannels() {
       }
     }
     
-    // Name
+    // Name, numbered within the open favourite list
     const nameEl = row.querySelector('.channel-row__name');
     if (nameEl) nameEl.textContent = channel.name;
     
+    const number = favoriteNumbers.get(channel.id);
+    if (nameEl && number) {
+      const numberEl = document.createElement('span');
+      numberEl.className = 'channel-row__number';
+      numberEl.textContent = number;
+      nameEl.prepend(numberEl);
+    }
+    row.draggable = isFavoriteOrderEditable();
+    
     // EPG info
     const nowEl = row.querySelector('.channel-row__now');
     const nextEl = row.querySelector('.channel-row__next');
@@ -1315,6 +1584,17 @@ function renderChannels() {
       if (noEpgEl) noEpgEl.style.display = '';
     }
     
+    // Stream health dot
+    const healthEl = row.querySelector('.channel-row__health');
+    if (healthEl) {
+      const result = health.isEnabled() ? health.getResult(channel.id) : null;
+      healthEl.hidden = !result;
+      if (result) {
+        healthEl.classList.add(`channel-row__health--${result.status}`);
+        healthEl.title = getHealthLabel(result);
+      }
+    }
+    
     // Favorite button
     const favBtn = row.querySelector('.channel-favorite');
     if (favBtn) {
@@ -1342,147 +1622,591 @@ function renderChannels() {
 }
 
 /**
- * Select a channel
- * @param {Object} channel 
+ * Describe a health result for the channel row tooltip
+ * @param {Object} result - { status, latency, httpStatus, checkedAt }
+ * @returns {string}
  */
-export function selectChannel(channel) {
-  selectedChannelId = channel.id;
-  storage.addRecent(channel.id);
-  updateCounts();
-  updateNowPlayingPanel(channel);
-  renderChannels();
-  onChannelSelect(channel);
-  
-  // Close sidebar on mobile
-  if (window.innerWidth <= 768) {
-    closeSidebar();
+function getHealthLabel(result) {
+  let label = HEALTH_LABELS[result.status] || HEALTH_LABELS.error;
+  if (result.status === 'ok') {
+    label += ` (${result.latency} ms)`;
+  } else if (result.httpStatus) {
+    label += ` (HTTP ${result.httpStatus})`;
   }
+  return `${label} - checked ${epg.formatTime(result.checkedAt)}`;
+}
+
+// =============================================================================
+// Favourite lists
+// =============================================================================
+
+/**
+ * Get the favourite list a category shows
+ * @param {string} category
+ * @returns {string|null} - List id, or null for other categories
+ */
+function getFavoriteListId(category) {
+  return category.startsWith(FAVORITES_PREFIX) ? category.slice(FAVORITES_PREFIX.length) : null;
 }
 
 /**
- * Show onboarding view
+ * Render the favourite lists in the sidebar with counts for the current content type
  */
-export function showOnboarding() {
-  if (elements.onboarding) elements.onboarding.hidden = false;
-  if (elements.epgView) elements.epgView.hidden = true;
+function renderFavoriteLists() {
+  if (!elements.favoriteLists) return;
+  
+  const type = FAVORITE_TYPES[currentContentType];
+  const channelIds = type === 'live' ? new Set(channels.map(ch => ch.id)) : null;
+  
+  elements.favoriteLists.innerHTML = storage.getFavoriteLists().map(list => {
+    const category = FAVORITES_PREFIX + list.id;
+    const items = list.items.filter(item => item.type === type);
+    // Live channels that left the playlist aren't counted
+    const count = channelIds ? items.filter(item => channelIds.has(item.id)).length : items.length;
+    
+    return `
+      <button class="category-item ${category === currentCategory ? 'category-item--active' : ''}" data-category="${escapeHtml(category)}">
+        <svg class="icon" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2">
+          <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+        </svg>
+        <span>${escapeHtml(list.name)}</span>
+        <span class="category-count">${count}</span>
+      </button>
+    `;
+  }).join('');
 }
 
 /**
- * Show player view (EPG view)
+ * Get the movies or series of the open favourite list, numbering them
+ * @returns {Array} - Saved snapshots (playable), empty outside a favourite list
  */
-export function showPlayer() {
-  if (elements.onboarding) elements.onboarding.hidden = true;
-  if (elements.epgView) elements.epgView.hidden = false;
+function getFavoriteGridItems() {
+  const listId = getFavoriteListId(currentCategory);
+  const items = listId ? storage.getFavoriteItems(listId, FAVORITE_TYPES[currentContentType]) : [];
+  favoriteNumbers = new Map(items.map((item, index) => [String(item.id), index + 1]));
+  return items;
 }
 
 /**
- * Update Now Playing panel with current item info
- * @param {Object} item - Channel or VOD item
+ * Check if the open list can be reordered by dragging (a favourite list, unfiltered)
+ * @returns {boolean}
  */
-export function updateNowPlayingPanel(item) {
-  if (!item) {
-    // Reset panel
-    if (elements.panelChannelName) elements.panelChannelName.textContent = 'Select a channel';
-    if (elements.panelCategory) elements.panelCategory.textContent = '';
-    if (elements.channelLogo) elements.channelLogo.hidden = true;
-    if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = false;
-    if (elements.panelEpg) elements.panelEpg.hidden = true;
-    if (elements.panelVod) elements.panelVod.hidden = true;
+function isFavoriteOrderEditable() {
+  return favoriteNumbers.size > 0 && !searchQuery && !isGlobalSearchActive;
+}
+
+/**
+ * Star clicked: toggle straight away with one list, otherwise pick lists from a menu
+ * @param {Object} item - Channel, movie or series
+ * @param {HTMLElement} anchor - Star button
+ */
+function handleFavoriteClick(item, anchor) {
+  const lists = storage.getFavoriteLists();
+  if (lists.length === 1) {
+    storage.toggleFavorite(item, lists[0].id);
+    refreshFavorites();
+    onFavoriteToggle(item.id);
     return;
   }
   
-  const type = item.type || 'live';
-  
-  // Update logo
-  if (item.logo) {
-    if (elements.channelLogo) {
-      elements.channelLogo.src = applyProxyToUrl(item.logo);
-      elements.channelLogo.hidden = false;
-      elements.channelLogo.onerror = () => {
-        elements.channelLogo.hidden = true;
-        if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = false;
-      };
-    }
-    if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = true;
-  } else {
-    if (elements.channelLogo) elements.channelLogo.hidden = true;
-    if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = false;
-  }
-  
-  // Update name
-  if (elements.panelChannelName) {
-    elements.panelChannelName.textContent = item.name || 'Unknown';
-  }
+  showFavoriteMenu(item, anchor);
+}
+
+/**
+ * Add the favourite star (and list number) to a content card
+ * @param {HTMLElement} card
+ * @param {Object} item
+ */
+function addCardFavorite(card, item) {
+  const container = card.querySelector('.search-card__image-container');
+  if (!container) return;
   
-  // Update category
-  if (elements.panelCategory) {
-    elements.panelCategory.textContent = item.group || item.genre || '';
-  }
+  const button = document.createElement('button');
+  button.className = 'search-card__favorite';
+  button.innerHTML = STAR_ICON;
+  button.dataset.favoriteType = item.type || 'live';
+  updateCardFavorite(button, storage.isFavorite(item));
+  container.appendChild(button);
   
-  // Type-specific info
-  if (type === 'live') {
-    // Show EPG info for live channels
-    if (elements.panelEpg) elements.panelEpg.hidden = false;
-    if (elements.panelVod) elements.panelVod.hidden = true;
-    
-    // Get EPG data
-    const nowInfo = epg.getNow(item.epgId);
-    const nextInfo = epg.getNext(item.epgId);
-    
-    if (elements.panelEpgNow) {
-      elements.panelEpgNow.textContent = nowInfo?.title || '—';
-    }
-    if (elements.panelEpgNext) {
-      elements.panelEpgNext.textContent = nextInfo?.title || '—';
-    }
-    if (elements.panelEpgNextTime) {
-      elements.panelEpgNextTime.textContent = nextInfo ? epg.formatTime(nextInfo.start) : '';
-    }
-    if (elements.panelEpgProgress && nowInfo) {
-      elements.panelEpgProgress.style.width = `${epg.getProgress(nowInfo)}%`;
-    }
-  } else {
-    // Show VOD metadata
-    if (elements.panelEpg) elements.panelEpg.hidden = true;
-    if (elements.panelVod) elements.panelVod.hidden = false;
-    
-    if (elements.panelVodDuration) {
-      elements.panelVodDuration.textContent = item.duration || '';
-      elements.panelVodDuration.hidden = !item.duration;
-    }
-    if (elements.panelVodYear) {
-      elements.panelVodYear.textContent = item.year || '';
-      elements.panelVodYear.hidden = !item.year;
-    }
-    if (elements.panelVodRating) {
-      elements.panelVodRating.textContent = item.rating || '';
-      elements.panelVodRating.hidden = !item.rating;
-    }
+  const number = favoriteNumbers.get(String(item.id));
+  const titleEl = card.querySelector('.search-card__title');
+  if (number && titleEl && !isSearchOverlayOpen()) {
+    const numberEl = document.createElement('span');
+    numberEl.className = 'search-card__number';
+    numberEl.textContent = number;
+    titleEl.prepend(numberEl);
   }
+  card.draggable = isFavoriteOrderEditable() && !isSearchOverlayOpen();
 }
 
 /**
- * Show loading state
- * @param {boolean} show 
+ * Show a card star as set or unset
+ * @param {HTMLElement} button
+ * @param {boolean} isFavorite
  */
-export function showLoading(show) {
-  if (elements.playerLoading) elements.playerLoading.hidden = !show;
-  if (elements.playerError) elements.playerError.hidden = true;
+function updateCardFavorite(button, isFavorite) {
+  button.classList.toggle('search-card__favorite--active', isFavorite);
+  button.title = isFavorite ? 'Remove from favourites' : 'Add to favourites';
+  button.querySelector('svg')?.setAttribute('fill', isFavorite ? 'currentColor' : 'none');
 }
 
 /**
- * Show error state
- * @param {string} message 
+ * Update everything that shows favourites after a change
  */
+export function refreshFavorites() {
+  // The open list may be gone
+  const listId = getFavoriteListId(currentCategory);
+  if (listId && !storage.getFavoriteLists().some(list => list.id === listId)) {
+    selectCategory('__all__');
+  }
+  
+  renderFavoriteLists();
+  
+  if (currentContentType === 'live') {
+    if (getFavoriteListId(currentCategory)) applyFilters();
+    if (isGlobalSearchActive) {
+      renderGlobalSearchResults();
+    } else {
+      renderChannels();
+    }
+  } else if (getFavoriteListId(currentCategory)) {
+    const scrolled = elements.contentGrid?.scrollTop || 0;
+    renderItems(getFavoriteGridItems());
+    if (elements.contentGrid) elements.contentGrid.scrollTop = scrolled;
+  }
+  
+  // Cards elsewhere (other categories, search overlay) only need their stars updated
+  document.querySelectorAll('.search-card__favorite').forEach(button => {
+    const card = button.closest('.search-card');
+    updateCardFavorite(button, storage.isFavorite({ type: button.dataset.favoriteType, id: card.dataset.id }));
+  });
+}
+
+// Item the list menu is open for
+let favoriteMenuItem = null;
+
 /**
- * Show error state
- * @param {string|Object} error - Error message or { message, hint, type }
+ * Set up the "add to list" menu
  */
-export function showError(error) {
-  if (elements.playerLoading) elements.playerLoading.hidden = true;
-  if (elements.playerError) elements.playerError.hidden = false;
+function initFavoriteMenu() {
+  const menu = document.getElementById('favorite-menu');
+  if (!menu) return;
   
-  const message = typeof error === 'string' ? error : error.message || 'Playback error';
+  menu.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const listBtn = e.target.closest('[data-favorite-list]');
+    
+    if (listBtn && favoriteMenuItem) {
+      storage.toggleFavorite(favoriteMenuItem, listBtn.dataset.favoriteList);
+      onFavoriteToggle(favoriteMenuItem.id);
+      refreshFavorites();
+      renderFavoriteMenu();
+    } else if (e.target.closest('[data-favorite-manage]')) {
+      hideFavoriteMenu();
+      onManageFavorites();
+    }
+  });
+  
+  // New list from the menu: create it and add the item straight away
+  menu.addEventListener('keydown', (e) => {
+    const input = e.target.closest('.favorite-menu__input');
+    if (!input || e.key !== 'Enter') return;
+    
+    const list = storage.createFavoriteList(input.value);
+    if (list && favoriteMenuItem) {
+      storage.toggleFavorite(favoriteMenuItem, list.id);
+      refreshFavorites();
+      renderFavoriteMenu();
+    }
+  });
+  
+  document.addEventListener('click', (e) => {
+    if (!menu.hidden && !menu.contains(e.target)) hideFavoriteMenu();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !menu.hidden) hideFavoriteMenu();
+  });
+}
+
+/**
+ * Open the "add to list" menu next to a star
+ * @param {Object} item
+ * @param {HTMLElement} anchor
+ */
+function showFavoriteMenu(item, anchor) {
+  const menu = document.getElementById('favorite-menu');
+  if (!menu) return;
+  
+  favoriteMenuItem = item;
+  renderFavoriteMenu();
+  menu.hidden = false;
+  
+  // Below the star, kept inside the window
+  const rect = anchor.getBoundingClientRect();
+  const menuRect = menu.getBoundingClientRect();
+  const top = rect.bottom + menuRect.height + 8 > window.innerHeight ? rect.top - menuRect.height - 4 : rect.bottom + 4;
+  menu.style.top = `${Math.max(8, top)}px`;
+  menu.style.left = `${Math.max(8, Math.min(rect.right - menuRect.width, window.innerWidth - menuRect.width - 8))}px`;
+}
+
+/**
+ * Render the lists with a tick where the item is saved
+ */
+function renderFavoriteMenu() {
+  const menu = document.getElementById('favorite-menu');
+  if (!menu || !favoriteMenuItem) return;
+  
+  menu.innerHTML = `
+    ${storage.getFavoriteLists().map(list => {
+      const saved = storage.isFavorite(favoriteMenuItem, list.id);
+      return `
+        <button class="favorite-menu__item ${saved ? 'favorite-menu__item--active' : ''}" role="menuitemcheckbox" aria-checked="${saved}" data-favorite-list="${escapeHtml(list.id)}">
+          <span class="favorite-menu__check">${saved ? '✓' : ''}</span>
+          <span>${escapeHtml(list.name)}</span>
+        </button>
+      `;
+    }).join('')}
+    <input type="text" class="input favorite-menu__input" placeholder="New list..." autocomplete="off">
+    <button class="favorite-menu__item favorite-menu__item--muted" data-favorite-manage>Manage lists...</button>
+  `;
+}
+
+/**
+ * Close the "add to list" menu
+ */
+function hideFavoriteMenu() {
+  const menu = document.getElementById('favorite-menu');
+  if (menu) menu.hidden = true;
+  favoriteMenuItem = null;
+}
+
+/**
+ * Drag channel rows and content cards to reorder the open favourite list
+ */
+function initFavoriteDragAndDrop() {
+  const containers = [elements.channelContent, elements.contentGridInner || elements.contentGrid];
+  const selector = '.channel-row[draggable="true"], .search-card[draggable="true"]';
+  
+  containers.forEach(container => {
+    container?.addEventListener('dragstart', (e) => {
+      const target = e.target.closest(selector);
+      if (!target) return;
+      favoriteDrag = target.dataset.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', favoriteDrag); // Firefox won't drag without data
+      target.classList.add('favorite-drag--dragging');
+    });
+    
+    container?.addEventListener('dragover', (e) => {
+      const target = e.target.closest(selector);
+      if (!target || favoriteDrag === null) return;
+      e.preventDefault();
+      target.classList.add('favorite-drag--drop');
+    });
+    
+    container?.addEventListener('dragleave', (e) => {
+      e.target.closest(selector)?.classList.remove('favorite-drag--drop');
+    });
+    
+    container?.addEventListener('drop', (e) => {
+      const target = e.target.closest(selector);
+      if (!target || favoriteDrag === null) return;
+      e.preventDefault();
+      if (target.dataset.id === favoriteDrag) return;
+      
+      const listId = getFavoriteListId(currentCategory);
+      const type = FAVORITE_TYPES[currentContentType];
+      const ids = storage.getFavoriteItems(listId, type).map(item => String(item.id)).filter(id => id !== favoriteDrag);
+      
+      // Dropping on the later half of an item puts the dragged one after it
+      const rect = target.getBoundingClientRect();
+      const after = target.classList.contains('channel-row')
+        ? e.clientY > rect.top + rect.height / 2
+        : e.clientX > rect.left + rect.width / 2;
+      const index = ids.indexOf(target.dataset.id);
+      if (index !== -1) ids.splice(after ? index + 1 : index, 0, favoriteDrag);
+      
+      storage.reorderFavorites(listId, type, ids);
+      favoriteDrag = null;
+      refreshFavorites();
+    });
+    
+    container?.addEventListener('dragend', () => {
+      favoriteDrag = null;
+      document.querySelectorAll('.favorite-drag--dragging, .favorite-drag--drop').forEach(el => {
+        el.classList.remove('favorite-drag--dragging', 'favorite-drag--drop');
+      });
+    });
+  });
+}
+
+// =============================================================================
+// Stream health controls
+// =============================================================================
+
+/**
+ * Check if dead channels are filtered out of the list
+ * @returns {boolean}
+ */
+function isHidingDeadChannels() {
+  return health.isEnabled() && storage.getSettings().hideDeadChannels === true;
+}
+
+/**
+ * Show or hide the health scan controls and dots
+ * @param {boolean} enabled 
+ */
+export function setHealthScanEnabled(enabled) {
+  if (elements.healthControls) elements.healthControls.hidden = !enabled;
+  updateHealthControls();
+  refreshChannelHealth();
+}
+
+/**
+ * Re-render after new health results
+ */
+export function refreshChannelHealth() {
+  if (currentContentType !== 'live') return;
+  applyFilters();
+  renderChannels();
+}
+
+/**
+ * Show scan progress on the scan button
+ * @param {Object|null} progress - { done, total }, or null when idle
+ */
+export function showHealthScanProgress(progress) {
+  if (!elements.scanHealthBtn) return;
+  
+  elements.scanHealthBtn.classList.toggle('view-toggle__btn--active', !!progress);
+  elements.scanHealthBtn.textContent = progress
+    ? `Checking ${progress.done}/${progress.total}`
+    : 'Check streams';
+  elements.scanHealthBtn.title = progress
+    ? 'Stop checking'
+    : 'Check which streams in this folder respond';
+}
+
+/**
+ * Sync the hide-dead toggle with settings
+ */
+function updateHealthControls() {
+  if (!elements.hideDeadBtn) return;
+  const hiding = storage.getSettings().hideDeadChannels === true;
+  elements.hideDeadBtn.classList.toggle('view-toggle__btn--active', hiding);
+  elements.hideDeadBtn.setAttribute('aria-pressed', String(hiding));
+}
+
+/**
+ * Select a channel
+ * @param {Object} channel 
+ */
+export function selectChannel(channel) {
+  selectedChannelId = channel.id;
+  storage.addRecent(channel.id);
+  updateCounts();
+  updateNowPlayingPanel(channel);
+  renderChannels();
+  onChannelSelect(channel);
+  
+  // Close sidebar on mobile
+  if (window.innerWidth <= 768) {
+    closeSidebar();
+  }
+}
+
+/**
+ * Show onboarding view
+ */
+export function showOnboarding() {
+  if (elements.onboarding) elements.onboarding.hidden = false;
+  if (elements.epgView) elements.epgView.hidden = true;
+}
+
+/**
+ * Show player view (EPG view)
+ */
+export function showPlayer() {
+  if (elements.onboarding) elements.onboarding.hidden = true;
+  if (elements.epgView) elements.epgView.hidden = false;
+}
+
+/**
+ * Update Now Playing panel with current item info
+ * @param {Object} item - Channel or VOD item
+ */
+export function updateNowPlayingPanel(item) {
+  if (!item) {
+    // Reset panel
+    if (elements.panelChannelName) elements.panelChannelName.textContent = 'Select a channel';
+    if (elements.panelCategory) elements.panelCategory.textContent = '';
+    if (elements.channelLogo) elements.channelLogo.hidden = true;
+    if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = false;
+    if (elements.panelEpg) elements.panelEpg.hidden = true;
+    if (elements.panelVod) elements.panelVod.hidden = true;
+    updatePanelEpgDetails(null);
+    return;
+  }
+  
+  const type = item.type || 'live';
+  
+  // Update logo
+  if (item.logo) {
+    if (elements.channelLogo) {
+      elements.channelLogo.src = applyProxyToUrl(item.logo);
+      elements.channelLogo.hidden = false;
+      elements.channelLogo.onerror = () => {
+        elements.channelLogo.hidden = true;
+        if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = false;
+      };
+    }
+    if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = true;
+  } else {
+    if (elements.channelLogo) elements.channelLogo.hidden = true;
+    if (elements.channelLogoPlaceholder) elements.channelLogoPlaceholder.hidden = false;
+  }
+  
+  // Update name
+  if (elements.panelChannelName) {
+    elements.panelChannelName.textContent = item.name || 'Unknown';
+  }
+  
+  // Update category
+  if (elements.panelCategory) {
+    elements.panelCategory.textContent = item.group || item.genre || '';
+  }
+  
+  // Type-specific info
+  if (type === 'live') {
+    // Show EPG info for live channels
+    if (elements.panelEpg) elements.panelEpg.hidden = false;
+    if (elements.panelVod) elements.panelVod.hidden = true;
+    
+    // Get EPG data
+    const epgId = epg.resolveEpgId(item);
+    const nowInfo = epg.getNow(epgId);
+    const nextInfo = epg.getNext(epgId);
+    
+    if (elements.panelEpgNow) {
+      elements.panelEpgNow.textContent = nowInfo?.title || '—';
+    }
+    updatePanelEpgDetails(nowInfo);
+    if (elements.panelEpgNext) {
+      elements.panelEpgNext.textContent = nextInfo?.title || '—';
+    }
+    if (elements.panelEpgNextTime) {
+      elements.panelEpgNextTime.textContent = nextInfo ? epg.formatTime(nextInfo.start) : '';
+    }
+    if (elements.panelEpgProgress && nowInfo) {
+      elements.panelEpgProgress.style.width = `${epg.getProgress(nowInfo)}%`;
+    }
+  } else {
+    // Show VOD metadata
+    if (elements.panelEpg) elements.panelEpg.hidden = true;
+    if (elements.panelVod) elements.panelVod.hidden = false;
+    
+    if (elements.panelVodDuration) {
+      elements.panelVodDuration.textContent = item.duration || '';
+      elements.panelVodDuration.hidden = !item.duration;
+    }
+    if (elements.panelVodYear) {
+      elements.panelVodYear.textContent = item.year || '';
+      elements.panelVodYear.hidden = !item.year;
+    }
+    if (elements.panelVodRating) {
+      elements.panelVodRating.textContent = item.rating || '';
+      elements.panelVodRating.hidden = !item.rating;
+    }
+  }
+}
+
+/**
+ * Update programme details in the Now Playing panel (artwork, sub-title, badges)
+ * @param {Object|null} program - Current programme from epg.getNow
+ */
+function updatePanelEpgDetails(program) {
+  if (!elements.panelEpgDetails) return;
+  
+  const episode = epg.formatEpisode(program);
+  const hasDetails = program && (program.icon || program.subTitle || episode ||
+    program.categories?.length || program.rating || program.isNew);
+  
+  elements.panelEpgDetails.hidden = !hasDetails;
+  if (!hasDetails) return;
+  
+  // Programme artwork
+  if (elements.panelEpgArtwork) {
+    if (program.icon) {
+      elements.panelEpgArtwork.src = applyProxyToUrl(program.icon);
+      elements.panelEpgArtwork.hidden = false;
+      elements.panelEpgArtwork.onerror = () => {
+        elements.panelEpgArtwork.hidden = true;
+      };
+    } else {
+      elements.panelEpgArtwork.hidden = true;
+      elements.panelEpgArtwork.removeAttribute('src');
+    }
+  }
+  
+  if (elements.panelEpgSubtitle) {
+    elements.panelEpgSubtitle.textContent = program.subTitle || '';
+    elements.panelEpgSubtitle.hidden = !program.subTitle;
+  }
+  
+  // Badges: episode, new/repeat, genres, rating
+  if (elements.panelEpgBadges) {
+    let html = '';
+    if (episode) {
+      html += `<span class="panel-epg__badge panel-epg__badge--episode">${escapeHtml(episode)}</span>`;
+    }
+    if (program.isNew) {
+      html += `<span class="panel-epg__badge panel-epg__badge--new">New</span>`;
+    } else if (program.previouslyShown) {
+      html += `<span class="panel-epg__badge">Repeat</span>`;
+    }
+    (program.categories || []).slice(0, 3).forEach(category => {
+      html += `<span class="panel-epg__badge panel-epg__badge--genre">${escapeHtml(category)}</span>`;
+    });
+    if (program.rating) {
+      const title = program.rating.system ? ` title="${escapeHtml(program.rating.system)}"` : '';
+      html += `<span class="panel-epg__badge panel-epg__badge--rating"${title}>${escapeHtml(program.rating.value)}</span>`;
+    }
+    elements.panelEpgBadges.innerHTML = html;
+  }
+}
+
+/**
+ * Show live playback stats in the now-playing panel
+ * @param {string|null} text - null hides the stats
+ */
+export function updatePlaybackStats(text) {
+  if (!elements.panelStats) return;
+  elements.panelStats.hidden = !text;
+  elements.panelStats.textContent = text || '';
+}
+
+/**
+ * Show loading state
+ * @param {boolean} show 
+ */
+export function showLoading(show) {
+  if (elements.playerLoading) elements.playerLoading.hidden = !show;
+  if (elements.playerError) elements.playerError.hidden = true;
+}
+
+/**
+ * Show error state
+ * @param {string} message 
+ */
+/**
+ * Show error state
+ * @param {string|Object} error - Error message or { message, hint, type }
+ */
+export function showError(error) {
+  if (elements.playerLoading) elements.playerLoading.hidden = true;
+  if (elements.playerError) elements.playerError.hidden = false;
+  
+  const message = typeof error === 'string' ? error : error.message || 'Playback error';
   const hint = typeof error === 'object' ? error.hint : null;
   const errorType = typeof error === 'object' ? error.type : 'unknown';
   
@@ -1498,209 +2222,902 @@ export function showError(error) {
     if (errorType === 'blocked' || errorType === 'cors') {
       html += `<span class="error-hint">💡 Copy the stream URL below and open it in VLC, IINA, or another media player.</span>`;
     }
-    
-    elements.errorMessage.innerHTML = html;
+    
+    elements.errorMessage.innerHTML = html;
+  }
+}
+
+/**
+ * Hide error state
+ */
+export function hideError() {
+  if (elements.playerError) elements.playerError.hidden = true;
+}
+
+/**
+ * Show or update the next-episode countdown over the player
+ * @param {Object} episode - The episode that will play next
+ * @param {number} seconds - Seconds until it starts
+ */
+export function showUpNext(episode, seconds) {
+  if (!elements.upNext) return;
+  
+  if (elements.upNextTitle) {
+    const label = episode.season != null ? `S${episode.season} E${episode.episode} · ` : '';
+    elements.upNextTitle.textContent = `${label}${episode.name}`;
+  }
+  if (elements.upNextCountdown) {
+    elements.upNextCountdown.textContent = `Playing in ${seconds}s`;
+  }
+  elements.upNext.hidden = false;
+}
+
+/**
+ * Hide the next-episode countdown
+ */
+export function hideUpNext() {
+  if (elements.upNext) elements.upNext.hidden = true;
+}
+
+/**
+ * Update now playing text
+ * @param {string} text 
+ */
+export function setNowPlaying(text) {
+  if (elements.nowPlaying) {
+    elements.nowPlaying.textContent = text || 'No channel selected';
+  }
+}
+
+/**
+ * Update EPG display
+ * @param {Object} nowNext - { now, next }
+ */
+export function updateEpg(nowNext) {
+  const { now, next } = nowNext || {};
+  
+  // Get EPG container to show/hide
+  const epgContainer = document.getElementById('epg-info');
+  
+  // If no EPG data at all, hide the entire section
+  if (!now && !next) {
+    if (epgContainer) epgContainer.hidden = true;
+    return;
+  }
+  
+  // Show the section if we have data
+  if (epgContainer) epgContainer.hidden = false;
+  
+  if (elements.epgNowTitle) {
+    elements.epgNowTitle.textContent = now?.title || 'No info';
+  }
+  
+  if (elements.epgNextTitle) {
+    elements.epgNextTitle.textContent = next?.title || 'No info';
+  }
+  
+  if (elements.epgNextTime) {
+    elements.epgNextTime.textContent = next ? epg.formatTime(next.start) : '';
+  }
+  
+  if (elements.epgProgressFill) {
+    if (now) {
+      const progress = epg.getProgress(now);
+      elements.epgProgressFill.style.width = `${progress}%`;
+    } else {
+      elements.epgProgressFill.style.width = '0%';
+    }
+  }
+}
+
+/**
+ * Show toast notification
+ * @param {string} message 
+ * @param {'success'|'error'|'info'} type 
+ * @param {number} duration 
+ * @param {Object} action - Optional button: { label, onClick }
+ */
+export function showToast(message, type = 'info', duration = 3000, action = null) {
+  if (!elements.toastContainer) return;
+  
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.textContent = message;
+  
+  const dismiss = () => {
+    toast.classList.add('toast--out');
+    setTimeout(() => toast.remove(), 300);
+  };
+  
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast__action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      action.onClick();
+      dismiss();
+    });
+    toast.appendChild(btn);
+  }
+  
+  elements.toastContainer.appendChild(toast);
+  
+  setTimeout(dismiss, duration);
+}
+
+/**
+ * Handle keyboard shortcuts
+ * @param {KeyboardEvent} e 
+ */
+function handleKeydown(e) {
+  // Handle Escape in search overlay
+  if (e.key === 'Escape' && searchOverlayActive) {
+    e.preventDefault();
+    exitSearchMode();
+    return;
+  }
+  
+  // Don't handle other shortcuts in form fields (except Escape which is handled above) -
+  // digits and Backspace belong to a focused select's type-ahead, not channel zapping
+  if (e.target.matches('input, textarea, select') || e.target.isContentEditable) {
+    if (e.key === 'Escape') {
+      e.target.blur();
+      // If in search overlay input, exit search mode
+      if (e.target === elements.searchOverlayInput) {
+        exitSearchMode();
+      }
+    }
+    return;
+  }
+  
+  // Don't handle shortcuts if search overlay is active
+  if (searchOverlayActive) {
+    return;
+  }
+  
+  // Channel numbers, channel up/down and last channel (live TV)
+  if (currentContentType === 'live' && handleZapKey(e)) {
+    return;
+  }
+  
+  switch (e.key) {
+    case '/':
+      e.preventDefault();
+      enterSearchMode();
+      break;
+    case 'ArrowDown':
+      e.preventDefault();
+      navigateChannels(1);
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      navigateChannels(-1);
+      break;
+    case 'Enter':
+      e.preventDefault();
+      playSelectedChannel();
+      break;
+    case 'Escape':
+      closeSidebar();
+      break;
+  }
+}
+
+/**
+ * Navigate channels with arrow keys
+ * @param {number} direction - 1 for down, -1 for up
+ */
+function navigateChannels(direction) {
+  if (filteredChannels.length === 0) return;
+  
+  const currentIndex = filteredChannels.findIndex(ch => ch.id === selectedChannelId);
+  let newIndex;
+  
+  if (currentIndex === -1) {
+    newIndex = direction > 0 ? 0 : filteredChannels.length - 1;
+  } else {
+    newIndex = currentIndex + direction;
+    if (newIndex < 0) newIndex = filteredChannels.length - 1;
+    if (newIndex >= filteredChannels.length) newIndex = 0;
+  }
+  
+  const channel = filteredChannels[newIndex];
+  if (channel) {
+    selectedChannelId = channel.id;
+    renderChannels();
+    scrollToChannel(newIndex);
+  }
+}
+
+/**
+ * Scroll to channel index
+ * @param {number} index 
+ */
+function scrollToChannel(index) {
+  if (!elements.channelViewport) return;
+  
+  const itemTop = index * ITEM_HEIGHT;
+  const itemBottom = itemTop + ITEM_HEIGHT;
+  const viewTop = elements.channelViewport.scrollTop;
+  const viewBottom = viewTop + viewportHeight;
+  
+  if (itemTop < viewTop) {
+    elements.channelViewport.scrollTop = itemTop;
+  } else if (itemBottom > viewBottom) {
+    elements.channelViewport.scrollTop = itemBottom - viewportHeight;
+  }
+}
+
+/**
+ * Play the currently selected channel
+ */
+function playSelectedChannel() {
+  const channel = filteredChannels.find(ch => ch.id === selectedChannelId);
+  if (channel) {
+    selectChannel(channel);
+  }
+}
+
+/**
+ * Toggle sidebar on mobile
+ */
+function toggleSidebar() {
+  elements.sidebar?.classList.toggle('sidebar--open');
+}
+
+/**
+ * Close sidebar
+ */
+function closeSidebar() {
+  elements.sidebar?.classList.remove('sidebar--open');
+}
+
+// =============================================================================
+// Channel zapping (number keys, channel up/down, last channel)
+// =============================================================================
+
+/**
+ * Handle TV remote style keys
+ * Digits type a channel number, Backspace/MediaLast return to the last channel,
+ * ChannelUp/ChannelDown step through the list. In fullscreen the arrows and
+ * PageUp/PageDown zap too, since the channel list isn't visible.
+ * @param {KeyboardEvent} e
+ * @returns {boolean} - true if the key was handled
+ */
+function handleZapKey(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || channels.length === 0) return false;
+  if (document.querySelector('dialog[open]')) return false;
+  
+  const fullscreen = !!(document.fullscreenElement || document.webkitFullscreenElement);
+  
+  if (/^[0-9]$/.test(e.key)) {
+    e.preventDefault();
+    addZapDigit(e.key);
+    return true;
+  }
+  
+  // Keys that finish or correct a number being typed
+  if (zapDigits) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitZap();
+      return true;
+    }
+    if (e.key === 'Backspace') {
+      e.preventDefault();
+      zapDigits = zapDigits.slice(0, -1);
+      if (zapDigits) {
+        showZapInput();
+      } else {
+        cancelZap();
+      }
+      return true;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      cancelZap();
+      return true;
+    }
+  }
+  
+  switch (e.key) {
+    case 'Backspace':
+    case 'MediaLast':
+      e.preventDefault();
+      zapToLastChannel();
+      return true;
+    case 'ChannelUp':
+      e.preventDefault();
+      zapBy(1);
+      return true;
+    case 'ChannelDown':
+      e.preventDefault();
+      zapBy(-1);
+      return true;
+    case 'ArrowUp':
+    case 'PageUp':
+      if (!fullscreen) return false;
+      e.preventDefault();
+      zapBy(1);
+      return true;
+    case 'ArrowDown':
+    case 'PageDown':
+      if (!fullscreen) return false;
+      e.preventDefault();
+      zapBy(-1);
+      return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Add a typed digit and (re)start the tune timeout
+ * @param {string} digit
+ */
+function addZapDigit(digit) {
+  zapDigits += digit;
+  showZapInput();
+  
+  // Nothing longer can be meant once the maximum is typed
+  clearTimeout(zapTimer);
+  zapTimer = setTimeout(commitZap, zapDigits.length >= ZAP_MAX_DIGITS ? 0 : ZAP_DELAY_MS);
+}
+
+/**
+ * Tune to the typed channel number
+ */
+function commitZap() {
+  clearTimeout(zapTimer);
+  zapTimer = null;
+  
+  const number = parseInt(zapDigits, 10);
+  zapDigits = '';
+  if (!number) {
+    hideZapOverlay();
+    return;
+  }
+  
+  const channel = findChannelByNumber(number);
+  if (!channel) {
+    showZapOverlay(String(number), `No channel ${number}`);
+    return;
+  }
+  
+  tuneTo(channel);
+}
+
+/**
+ * Drop the number being typed
+ */
+function cancelZap() {
+  clearTimeout(zapTimer);
+  zapTimer = null;
+  zapDigits = '';
+  hideZapOverlay();
+}
+
+/**
+ * Play the next or previous channel in the current list
+ * @param {number} direction - 1 for channel up, -1 for channel down
+ */
+function zapBy(direction) {
+  if (filteredChannels.length === 0) return;
+  
+  const currentIndex = filteredChannels.findIndex(ch => ch.id === selectedChannelId);
+  const newIndex = currentIndex === -1
+    ? 0
+    : (currentIndex + direction + filteredChannels.length) % filteredChannels.length;
+  
+  tuneTo(filteredChannels[newIndex]);
+  scrollToChannel(newIndex);
+}
+
+/**
+ * Return to the channel played before the current one
+ */
+function zapToLastChannel() {
+  // Recents are newest first - the first one is playing now
+  const lastId = storage.getRecents()
+    .slice(1)
+    .find(id => channels.some(ch => ch.id === id));
+  const channel = channels.find(ch => ch.id === lastId);
+  if (channel) tuneTo(channel);
+}
+
+/**
+ * Play a channel and show its number and name
+ * @param {Object} channel
+ */
+function tuneTo(channel) {
+  const number = getChannelNumber(channel);
+  showZapOverlay(number ? String(number) : '', channel.name);
+  selectChannel(channel);
+}
+
+/**
+ * Find the channel for a typed number
+ * Favourite lists use their own numbering. Otherwise the whole playlist uses one
+ * scheme: its channel numbers (tvg-chno) if it has any, else the position in the list.
+ * @param {number} number
+ * @returns {Object|null}
+ */
+function findChannelByNumber(number) {
+  if (favoriteNumbers.size > 0) {
+    const id = [...favoriteNumbers].find(([, n]) => n === number)?.[0];
+    return channels.find(ch => ch.id === id) || null;
+  }
+  
+  if (hasChannelNumbers()) {
+    return channels.find(ch => Number(ch.number) === number) || null;
+  }
+  return filteredChannels[number - 1] || null;
+}
+
+/**
+ * Get the number a channel is tuned with (see findChannelByNumber)
+ * @param {Object} channel
+ * @returns {number|null}
+ */
+function getChannelNumber(channel) {
+  if (favoriteNumbers.size > 0) {
+    return favoriteNumbers.get(channel.id) || null;
+  }
+  
+  if (hasChannelNumbers()) {
+    return Number(channel.number) > 0 ? Number(channel.number) : null;
+  }
+  
+  const index = filteredChannels.findIndex(ch => ch.id === channel.id);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Check if the playlist numbers its channels
+ * Mixing in list positions for the unnumbered ones would clash with real numbers.
+ * @returns {boolean}
+ */
+function hasChannelNumbers() {
+  return channels.some(ch => Number(ch.number) > 0);
+}
+
+/**
+ * Show the digits typed so far, with the channel they'd tune to
+ */
+function showZapInput() {
+  const match = findChannelByNumber(parseInt(zapDigits, 10));
+  showZapOverlay(zapDigits, match?.name || '', false);
+}
+
+/**
+ * Show the on-screen channel number
+ * @param {string} number
+ * @param {string} name
+ * @param {boolean} autoHide - Hide after a moment (false while typing)
+ */
+function showZapOverlay(number, name, autoHide = true) {
+  if (!elements.zapOverlay) return;
+  
+  if (elements.zapNumber) elements.zapNumber.textContent = number;
+  if (elements.zapName) elements.zapName.textContent = name;
+  elements.zapOverlay.hidden = false;
+  
+  clearTimeout(zapOverlayTimer);
+  if (autoHide) {
+    zapOverlayTimer = setTimeout(hideZapOverlay, ZAP_OVERLAY_MS);
+  }
+}
+
+/**
+ * Hide the on-screen channel number
+ */
+function hideZapOverlay() {
+  clearTimeout(zapOverlayTimer);
+  if (elements.zapOverlay) elements.zapOverlay.hidden = true;
+}
+
+// =============================================================================
+// TV Guide Grid (time x channel, virtualised in both directions)
+// =============================================================================
+
+/**
+ * Initialize TV Guide grid: scroll/resize handling, click delegation, view toggle
+ */
+function initGuide() {
+  if (!elements.guideViewport || guideInitialized) return;
+  
+  guideInitialized = true;
+  guideViewportHeight = elements.guideViewport.clientHeight;
+  guideViewportWidth = elements.guideViewport.clientWidth;
+  
+  // Scroll listener with requestAnimationFrame for performance
+  let scrollTicking = false;
+  elements.guideViewport.addEventListener('scroll', () => {
+    if (!scrollTicking) {
+      requestAnimationFrame(() => {
+        guideScrollTop = elements.guideViewport.scrollTop;
+        guideScrollLeft = elements.guideViewport.scrollLeft;
+        renderGuide();
+        scrollTicking = false;
+      });
+      scrollTicking = true;
+    }
+  });
+  
+  // Handle resize
+  const resizeObserver = new ResizeObserver(() => {
+    const wasHidden = guideViewportWidth === 0;
+    guideViewportHeight = elements.guideViewport.clientHeight;
+    guideViewportWidth = elements.guideViewport.clientWidth;
+    
+    // Scroll position can't be set while hidden, so jump to now on first layout
+    if (wasHidden && guideViewportWidth > 0) {
+      scrollGuideToNow();
+    } else {
+      renderGuide();
+    }
+  });
+  resizeObserver.observe(elements.guideViewport);
+  
+  // PERF: Event delegation - clicking a channel cell or any programme tunes to that channel
+  elements.guideRows?.addEventListener('click', (e) => {
+    const row = e.target.closest('.guide-row');
+    if (!row) return;
+    
+    const channel = channels.find(ch => ch.id === row.dataset.id);
+    if (!channel) return;
+    
+    // Bell on an upcoming programme sets a reminder instead of tuning
+    const remindBtn = e.target.closest('[data-remind-start]');
+    if (remindBtn) {
+      const program = findGuideProgram(channel, remindBtn.dataset.remindStart);
+      if (program) toggleReminder(program, channel);
+      return;
+    }
+    
+    // Past programmes in the archive window play from the start
+    const archived = e.target.closest('[data-catchup-start]');
+    if (archived) {
+      const program = findGuideProgram(channel, archived.dataset.catchupStart);
+      if (program && canCatchup(channel, program)) {
+        selectedChannelId = channel.id;
+        renderGuide();
+        onCatchupSelect(channel, program);
+        return;
+      }
+    }
+    
+    selectChannel(channel);
+  });
+  
+  // List / Guide toggle
+  elements.liveViewToggle?.querySelectorAll('[data-live-view]').forEach(btn => {
+    btn.addEventListener('click', () => setLiveView(btn.dataset.liveView));
+  });
+  elements.guideJumpNow?.addEventListener('click', scrollGuideToNow);
+  
+  setLiveView(storage.getSettings().liveView || 'list', { persist: false });
+  
+  console.log('[UI] TV Guide grid initialized');
+}
+
+/**
+ * Switch the Live TV view between the channel list and the TV Guide grid
+ * @param {string} view - 'list' or 'guide'
+ * @param {Object} options - { persist: boolean }
+ */
+export function setLiveView(view, { persist = true } = {}) {
+  liveView = view === 'guide' ? 'guide' : 'list';
+  
+  elements.liveViewToggle?.querySelectorAll('[data-live-view]').forEach(btn => {
+    btn.classList.toggle('view-toggle__btn--active', btn.dataset.liveView === liveView);
+  });
+  
+  if (persist) {
+    storage.updateSettings({ liveView });
+  }
+  
+  updateLiveViewVisibility();
+  
+  if (isGuideVisible()) {
+    scrollGuideToNow();
+  } else {
+    renderChannels();
+  }
+}
+
+/**
+ * Briefly show a subtle "Guide updated" note next to the view toggle
+ * Used for background refreshes instead of a toast
+ * @param {number} timestamp - When the guide was updated
+ */
+export function showGuideUpdated(timestamp = Date.now()) {
+  if (!elements.guideStatus) return;
+  
+  elements.guideStatus.textContent = `Guide updated ${epg.formatTime(timestamp)}`;
+  elements.guideStatus.hidden = false;
+  
+  clearTimeout(guideStatusTimer);
+  guideStatusTimer = setTimeout(() => {
+    elements.guideStatus.hidden = true;
+  }, GUIDE_STATUS_DURATION_MS);
+}
+
+/**
+ * Show/hide channel list, guide and toggle for the current content type and live view
+ */
+function updateLiveViewVisibility() {
+  const isLive = currentContentType === 'live';
+  
+  if (elements.liveViewToggle) elements.liveViewToggle.hidden = !isLive;
+  if (elements.channelList) elements.channelList.hidden = !isLive || liveView === 'guide';
+  if (elements.guideView) elements.guideView.hidden = !isLive || liveView !== 'guide';
+  if (elements.guideJumpNow) elements.guideJumpNow.hidden = !isLive || liveView !== 'guide';
+  
+  // Keep the now-line moving only while the guide is on screen
+  if (isGuideVisible()) {
+    if (!guideNowTimer) {
+      guideNowTimer = setInterval(renderGuide, GUIDE_NOW_INTERVAL_MS);
+    }
+  } else if (guideNowTimer) {
+    clearInterval(guideNowTimer);
+    guideNowTimer = null;
   }
 }
 
 /**
- * Hide error state
+ * Check if the TV Guide grid is currently shown
+ * @returns {boolean}
  */
-export function hideError() {
-  if (elements.playerError) elements.playerError.hidden = true;
+function isGuideVisible() {
+  return currentContentType === 'live' && liveView === 'guide';
 }
 
 /**
- * Update now playing text
- * @param {string} text 
+ * Recalculate the guide time window around now, snapped to slot boundaries
  */
-export function setNowPlaying(text) {
-  if (elements.nowPlaying) {
-    elements.nowPlaying.textContent = text || 'No channel selected';
-  }
+function updateGuideWindow() {
+  const now = Date.now();
+  const slotMs = GUIDE_SLOT_MINUTES * 60 * 1000;
+  const { pastMs, futureMs } = epg.getRetentionWindow();
+  guideWindowStart = Math.floor((now - pastMs) / slotMs) * slotMs;
+  guideWindowEnd = Math.ceil((now + futureMs) / slotMs) * slotMs;
 }
 
 /**
- * Update EPG display
- * @param {Object} nowNext - { now, next }
+ * Convert a timestamp to a horizontal offset within the programme area
+ * @param {number} time - Epoch ms
+ * @returns {number} Pixels from the start of the window (excludes channel column)
  */
-export function updateEpg(nowNext) {
-  const { now, next } = nowNext || {};
+function guideTimeToX(time) {
+  return ((time - guideWindowStart) / 60000) * GUIDE_PX_PER_MINUTE;
+}
+
+/**
+ * Convert a horizontal offset within the programme area to a timestamp
+ * @param {number} x - Pixels from the start of the window
+ * @returns {number} Epoch ms
+ */
+function guideXToTime(x) {
+  return guideWindowStart + (x / GUIDE_PX_PER_MINUTE) * 60000;
+}
+
+/**
+ * Scroll the guide so "now" sits near the left edge of the programme area
+ */
+function scrollGuideToNow() {
+  if (!elements.guideViewport) return;
   
-  // Get EPG container to show/hide
-  const epgContainer = document.getElementById('epg-info');
+  // Render first so the grid has its full width to scroll within
+  renderGuide();
+  const nowX = guideTimeToX(Date.now());
+  const leadIn = GUIDE_SLOT_MINUTES * GUIDE_PX_PER_MINUTE; // Show the previous half hour for context
+  elements.guideViewport.scrollLeft = Math.max(0, nowX - leadIn);
+  guideScrollLeft = elements.guideViewport.scrollLeft;
+  renderGuide();
+}
+
+/**
+ * Render the visible part of the TV Guide grid
+ * Rows are virtualised like the channel list; programmes are limited to the visible time range
+ */
+function renderGuide() {
+  if (!isGuideVisible() || !elements.guideRows || !elements.guideHeader) return;
   
-  // If no EPG data at all, hide the entire section
-  if (!now && !next) {
-    if (epgContainer) epgContainer.hidden = true;
-    return;
-  }
+  updateGuideWindow();
   
-  // Show the section if we have data
-  if (epgContainer) epgContainer.hidden = false;
+  const now = Date.now();
+  const areaWidth = guideTimeToX(guideWindowEnd);
+  const totalWidth = GUIDE_CHANNEL_WIDTH + areaWidth;
+  const totalHeight = filteredChannels.length * GUIDE_ROW_HEIGHT;
   
-  if (elements.epgNowTitle) {
-    elements.epgNowTitle.textContent = now?.title || 'No info';
-  }
+  elements.guideHeader.style.width = `${totalWidth}px`;
+  elements.guideRows.style.width = `${totalWidth}px`;
+  elements.guideRows.style.height = `${totalHeight}px`;
   
-  if (elements.epgNextTitle) {
-    elements.epgNextTitle.textContent = next?.title || 'No info';
-  }
+  // Visible rows (header is sticky, so it overlaps the first row's scroll offset)
+  const rowsScrollTop = Math.max(0, guideScrollTop - GUIDE_HEADER_HEIGHT);
+  const startIndex = Math.max(0, Math.floor(rowsScrollTop / GUIDE_ROW_HEIGHT) - GUIDE_BUFFER_ROWS);
+  const endIndex = Math.min(
+    filteredChannels.length,
+    Math.ceil((rowsScrollTop + guideViewportHeight) / GUIDE_ROW_HEIGHT) + GUIDE_BUFFER_ROWS
+  );
   
-  if (elements.epgNextTime) {
-    elements.epgNextTime.textContent = next ? epg.formatTime(next.start) : '';
-  }
+  // Visible time range
+  const visibleStart = Math.max(guideWindowStart, guideXToTime(guideScrollLeft - GUIDE_BUFFER_PX));
+  const visibleEnd = Math.min(
+    guideWindowEnd,
+    guideXToTime(guideScrollLeft + guideViewportWidth - GUIDE_CHANNEL_WIDTH + GUIDE_BUFFER_PX)
+  );
   
-  if (elements.epgProgressFill) {
-    if (now) {
-      const progress = epg.getProgress(now);
-      elements.epgProgressFill.style.width = `${progress}%`;
-    } else {
-      elements.epgProgressFill.style.width = '0%';
-    }
+  elements.guideHeader.innerHTML = renderGuideHeader(visibleStart, visibleEnd, now);
+  
+  let html = '';
+  const visibleEpgIds = [];
+  for (let i = startIndex; i < endIndex; i++) {
+    html += renderGuideRow(filteredChannels[i], i * GUIDE_ROW_HEIGHT, totalWidth, visibleStart, visibleEnd, now);
+    visibleEpgIds.push(epg.resolveEpgId(filteredChannels[i]));
   }
-}
-
-/**
- * Show toast notification
- * @param {string} message 
- * @param {'success'|'error'|'info'} type 
- * @param {number} duration 
- */
-export function showToast(message, type = 'info', duration = 3000) {
-  if (!elements.toastContainer) return;
   
-  const toast = document.createElement('div');
-  toast.className = `toast toast--${type}`;
-  toast.textContent = message;
+  // Now line spans all rows
+  if (now >= guideWindowStart && now <= guideWindowEnd) {
+    html += `<div class="guide__now-line" style="left: ${GUIDE_CHANNEL_WIDTH + guideTimeToX(now)}px"></div>`;
+  }
   
-  elements.toastContainer.appendChild(toast);
+  elements.guideRows.innerHTML = html;
   
-  setTimeout(() => {
-    toast.classList.add('toast--out');
-    setTimeout(() => toast.remove(), 300);
-  }, duration);
+  ensureGuideSchedule(visibleEpgIds);
 }
 
 /**
- * Handle keyboard shortcuts
- * @param {KeyboardEvent} e 
+ * Load cached days beyond the startup range for visible guide rows, then re-render
+ * @param {string[]} epgIds 
  */
-function handleKeydown(e) {
-  // Handle Escape in search overlay
-  if (e.key === 'Escape' && searchOverlayActive) {
-    e.preventDefault();
-    exitSearchMode();
-    return;
-  }
-  
-  // Don't handle other shortcuts if in input (except Escape which is handled above)
-  if (e.target.matches('input, textarea')) {
-    if (e.key === 'Escape') {
-      e.target.blur();
-      // If in search overlay input, exit search mode
-      if (e.target === elements.searchOverlayInput) {
-        exitSearchMode();
-      }
-    }
-    return;
-  }
-  
-  // Don't handle shortcuts if search overlay is active
-  if (searchOverlayActive) {
-    return;
-  }
+function ensureGuideSchedule(epgIds) {
+  if (guideSchedulePending) return;
   
-  switch (e.key) {
-    case '/':
-      e.preventDefault();
-      enterSearchMode();
-      break;
-    case 'ArrowDown':
-      e.preventDefault();
-      navigateChannels(1);
-      break;
-    case 'ArrowUp':
-      e.preventDefault();
-      navigateChannels(-1);
-      break;
-    case 'Enter':
-      e.preventDefault();
-      playSelectedChannel();
-      break;
-    case 'Escape':
-      closeSidebar();
-      break;
-  }
+  guideSchedulePending = true;
+  epg.ensureSchedule(epgIds).then(loaded => {
+    guideSchedulePending = false;
+    if (loaded) renderGuide();
+  });
 }
 
 /**
- * Navigate channels with arrow keys
- * @param {number} direction - 1 for down, -1 for up
+ * Build time slot labels for the guide header
+ * @param {number} visibleStart - Epoch ms
+ * @param {number} visibleEnd - Epoch ms
+ * @param {number} now - Epoch ms
+ * @returns {string} HTML
  */
-function navigateChannels(direction) {
-  if (filteredChannels.length === 0) return;
+function renderGuideHeader(visibleStart, visibleEnd, now) {
+  const slotMs = GUIDE_SLOT_MINUTES * 60 * 1000;
+  const slotWidth = GUIDE_SLOT_MINUTES * GUIDE_PX_PER_MINUTE;
+  const firstSlot = Math.floor(visibleStart / slotMs) * slotMs;
   
-  const currentIndex = filteredChannels.findIndex(ch => ch.id === selectedChannelId);
-  let newIndex;
+  let html = `<div class="guide__corner">${escapeHtml(formatGuideDay(guideXToTime(guideScrollLeft)))}</div>`;
   
-  if (currentIndex === -1) {
-    newIndex = direction > 0 ? 0 : filteredChannels.length - 1;
-  } else {
-    newIndex = currentIndex + direction;
-    if (newIndex < 0) newIndex = filteredChannels.length - 1;
-    if (newIndex >= filteredChannels.length) newIndex = 0;
+  for (let slot = firstSlot; slot < visibleEnd; slot += slotMs) {
+    const left = GUIDE_CHANNEL_WIDTH + guideTimeToX(slot);
+    const isCurrent = now >= slot && now < slot + slotMs;
+    html += `<div class="guide__slot ${isCurrent ? 'guide__slot--now' : ''}" style="left: ${left}px; width: ${slotWidth}px">${escapeHtml(epg.formatTime(slot))}</div>`;
   }
   
-  const channel = filteredChannels[newIndex];
-  if (channel) {
-    selectedChannelId = channel.id;
-    renderChannels();
-    scrollToChannel(newIndex);
-  }
+  return html;
 }
 
 /**
- * Scroll to channel index
- * @param {number} index 
+ * Build a single guide row: sticky channel cell plus programmes in the visible time range
+ * @param {Object} channel
+ * @param {number} top - Row offset in px
+ * @param {number} totalWidth - Full grid width in px
+ * @param {number} visibleStart - Epoch ms
+ * @param {number} visibleEnd - Epoch ms
+ * @param {number} now - Epoch ms
+ * @returns {string} HTML
  */
-function scrollToChannel(index) {
-  if (!elements.channelViewport) return;
+function renderGuideRow(channel, top, totalWidth, visibleStart, visibleEnd, now) {
+  const isActive = channel.id === selectedChannelId;
+  const programs = epg.getPrograms(epg.resolveEpgId(channel));
+  const id = escapeHtml(String(channel.id));
   
-  const itemTop = index * ITEM_HEIGHT;
-  const itemBottom = itemTop + ITEM_HEIGHT;
-  const viewTop = elements.channelViewport.scrollTop;
-  const viewBottom = viewTop + viewportHeight;
+  const logo = channel.logo
+    ? `<img class="guide-row__logo" src="${escapeHtml(applyProxyToUrl(channel.logo))}" alt="" loading="lazy" onerror="this.style.display='none'">`
+    : `<span class="guide-row__logo-placeholder">${escapeHtml(getInitials(channel.name))}</span>`;
   
-  if (itemTop < viewTop) {
-    elements.channelViewport.scrollTop = itemTop;
-  } else if (itemBottom > viewBottom) {
-    elements.channelViewport.scrollTop = itemBottom - viewportHeight;
+  let html = `<div class="guide-row ${isActive ? 'guide-row--active' : ''}" data-id="${id}" style="top: ${top}px; width: ${totalWidth}px">`;
+  html += `<div class="guide-row__channel" title="${escapeHtml(channel.name)}">${logo}<span class="guide-row__name">${escapeHtml(channel.name)}</span></div>`;
+  
+  let rendered = 0;
+  for (const program of programs) {
+    if (program.end <= visibleStart || program.start >= visibleEnd) continue;
+    
+    // Clamp to the guide window so long programmes don't stretch past the grid
+    const start = Math.max(program.start, guideWindowStart);
+    const end = Math.min(program.end, guideWindowEnd);
+    const left = GUIDE_CHANNEL_WIDTH + guideTimeToX(start);
+    const width = Math.max(0, guideTimeToX(end) - guideTimeToX(start));
+    
+    let stateClass = '';
+    if (now >= program.start && now < program.end) {
+      stateClass = 'guide-programme--now';
+    } else if (program.end <= now) {
+      stateClass = 'guide-programme--past';
+    }
+    
+    const isUpcoming = program.start > now;
+    const hasReminder = isUpcoming && reminders.has(program);
+    if (hasReminder) {
+      stateClass = 'guide-programme--reminder';
+    }
+    
+    const time = `${epg.formatTime(program.start)} - ${epg.formatTime(program.end)}`;
+    let title = `${program.title} (${time})`;
+    let catchupAttr = '';
+    if (program.end <= now && canCatchup(channel, program, now)) {
+      stateClass += ' guide-programme--catchup';
+      title += ' - click to watch from the archive';
+      catchupAttr = ` data-catchup-start="${program.start}"`;
+    }
+    
+    html += `<div class="guide-programme ${stateClass}"${catchupAttr} style="left: ${left}px; width: ${width}px" title="${escapeHtml(title)}">`;
+    html += `<span class="guide-programme__title">${escapeHtml(program.title)}</span>`;
+    html += `<span class="guide-programme__time">${escapeHtml(time)}</span>`;
+    if (isUpcoming) {
+      html += `<button class="guide-programme__remind" data-remind-start="${program.start}" title="${hasReminder ? 'Cancel reminder' : 'Remind me'}">${BELL_ICON}</button>`;
+    }
+    html += `</div>`;
+    rendered++;
   }
-}
-
-/**
- * Play the currently selected channel
- */
-function playSelectedChannel() {
-  const channel = filteredChannels.find(ch => ch.id === selectedChannelId);
-  if (channel) {
-    selectChannel(channel);
+  
+  if (rendered === 0) {
+    const left = GUIDE_CHANNEL_WIDTH + guideTimeToX(visibleStart);
+    const width = guideTimeToX(visibleEnd) - guideTimeToX(visibleStart);
+    html += `<div class="guide-programme guide-programme--empty" style="left: ${left}px; width: ${width}px"><span class="guide-programme__title">No programme information</span></div>`;
   }
+  
+  html += `</div>`;
+  return html;
 }
 
 /**
- * Toggle sidebar on mobile
+ * Find a channel's programme by its start time (from a data attribute)
+ * @param {Object} channel
+ * @param {string} start - Epoch ms
+ * @returns {Object|undefined}
  */
-function toggleSidebar() {
-  elements.sidebar?.classList.toggle('sidebar--open');
+function findGuideProgram(channel, start) {
+  const time = Number(start);
+  return epg.getPrograms(epg.resolveEpgId(channel)).find(p => p.start === time);
 }
 
 /**
- * Close sidebar
+ * Format a day label for the guide corner ("Today", "Tomorrow", weekday)
+ * Respects the guide display timezone setting
+ * @param {number} time - Epoch ms
+ * @returns {string}
  */
-function closeSidebar() {
-  elements.sidebar?.classList.remove('sidebar--open');
+function formatGuideDay(time) {
+  const timeZone = epg.getDisplayTimezone() || undefined;
+  const dayKey = (t) => {
+    try {
+      return new Date(t).toLocaleDateString('en-CA', { timeZone });
+    } catch (e) {
+      return new Date(t).toLocaleDateString('en-CA');
+    }
+  };
+  
+  const now = Date.now();
+  const day = dayKey(time);
+  if (day === dayKey(now)) return 'Today';
+  if (day === dayKey(now + 24 * 60 * 60 * 1000)) return 'Tomorrow';
+  if (day === dayKey(now - 24 * 60 * 60 * 1000)) return 'Yesterday';
+  
+  try {
+    return new Date(time).toLocaleDateString([], { weekday: 'short', day: 'numeric', timeZone });
+  } catch (e) {
+    return new Date(time).toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+  }
 }
 
 // =============================================================================
@@ -1832,6 +3249,7 @@ export function exitSearchMode() {
   searchOverlayActive = false;
   searchOverlayQuery = '';
   searchOverlayResults = [];
+  clearProgrammeResults();
   
   // Hide overlay
   if (elements.searchOverlay) {
@@ -1857,6 +3275,7 @@ function handleOverlaySearch(e) {
   
   if (!searchOverlayQuery) {
     searchOverlayResults = [];
+    clearProgrammeResults();
     showSearchState('initial');
     updateSearchResultCount();
     return;
@@ -1927,16 +3346,198 @@ function performOverlaySearch() {
   
   // Limit results for performance
   searchOverlayResults = results.slice(0, MAX_SEARCH_RESULTS);
+  searchOverlayTotal = results.length;
   
   // Update UI
   updateSearchResultCount(results.length);
   
   if (searchOverlayResults.length === 0) {
-    showSearchState('empty');
+    if (elements.searchGrid) elements.searchGrid.innerHTML = '';
+    // Programme results may still arrive
+    if (searchProgrammeResults.length > 0) {
+      showSearchState('results');
+    } else {
+      showSearchState(isProgrammeSearchWanted() ? 'loading' : 'empty');
+    }
   } else {
     showSearchState('results');
     renderSearchGrid();
   }
+  
+  searchProgrammes();
+}
+
+/**
+ * Search the TV guide for the current query (runs after the channel/VOD search)
+ */
+async function searchProgrammes() {
+  const token = ++programmeSearchToken;
+  
+  if (!isProgrammeSearchWanted()) {
+    clearProgrammeResults();
+    if (searchOverlayResults.length === 0 && searchOverlayQuery) showSearchState('empty');
+    return;
+  }
+  
+  const { results, total } = await epg.searchPrograms(searchOverlayQuery, { limit: MAX_PROGRAMME_RESULTS });
+  if (token !== programmeSearchToken || !searchOverlayActive) return;
+  
+  searchProgrammeResults = results;
+  searchProgrammeTotal = total;
+  renderProgrammeResults();
+  updateSearchResultCount(searchOverlayTotal);
+  
+  if (results.length > 0) {
+    showSearchState('results');
+  } else if (searchOverlayResults.length === 0) {
+    showSearchState('empty');
+  }
+}
+
+/**
+ * Check if the current query and filter should search the guide
+ * @returns {boolean}
+ */
+function isProgrammeSearchWanted() {
+  return (searchOverlayFilter === 'all' || searchOverlayFilter === 'guide') &&
+    searchOverlayQuery.length >= MIN_PROGRAMME_QUERY &&
+    epg.isLoaded();
+}
+
+/**
+ * Forget programme results (and cancel any search in flight)
+ */
+function clearProgrammeResults() {
+  programmeSearchToken++;
+  searchProgrammeResults = [];
+  searchProgrammeTotal = 0;
+  if (elements.searchProgrammes) {
+    elements.searchProgrammes.innerHTML = '';
+    elements.searchProgrammes.hidden = true;
+  }
+}
+
+/**
+ * Render programme results grouped into "On now" and upcoming days
+ */
+function renderProgrammeResults() {
+  if (!elements.searchProgrammes) return;
+  
+  if (searchProgrammeResults.length === 0) {
+    elements.searchProgrammes.innerHTML = '';
+    elements.searchProgrammes.hidden = true;
+    return;
+  }
+  
+  const now = Date.now();
+  const groups = [];
+  
+  searchProgrammeResults.forEach(({ program }, index) => {
+    const label = program.start <= now ? 'On now' : formatGuideDay(program.start);
+    let group = groups[groups.length - 1];
+    if (!group || group.label !== label) {
+      group = { label, rows: [] };
+      groups.push(group);
+    }
+    group.rows.push(renderProgrammeResult(index, now));
+  });
+  
+  elements.searchProgrammes.innerHTML = groups.map(group => `
+    <div class="search-programmes__group">
+      <h3 class="search-programmes__heading">${escapeHtml(group.label)}</h3>
+      ${group.rows.join('')}
+    </div>
+  `).join('');
+  elements.searchProgrammes.hidden = false;
+}
+
+/**
+ * Build one programme result row
+ * @param {number} index - Index into searchProgrammeResults
+ * @param {number} now 
+ * @returns {string} - HTML
+ */
+function renderProgrammeResult(index, now) {
+  const { program, channels } = searchProgrammeResults[index];
+  const isOnNow = program.start <= now;
+  const channelLabel = channels.length > 1 ? `${channels[0].name} +${channels.length - 1}` : channels[0].name;
+  const episode = epg.formatEpisode(program);
+  const categories = (program.categories || []).slice(0, 2).join(', ');
+  const meta = [channelLabel, categories].filter(Boolean).join(' · ');
+  
+  const time = isOnNow
+    ? `<span class="search-programme__time search-programme__time--now">Now</span>`
+    : `<span class="search-programme__time">${escapeHtml(epg.formatTime(program.start))}</span>`;
+  
+  const progress = isOnNow
+    ? `<div class="search-programme__progress"><div class="search-programme__progress-fill" style="width: ${epg.getProgress(program)}%"></div></div>`
+    : '';
+  
+  const reminderSet = reminders.has(program);
+  const remindBtn = isOnNow ? '' : `
+    <button class="search-programme__remind${reminderSet ? ' search-programme__remind--active' : ''}" data-remind="${index}" title="${reminderSet ? 'Cancel reminder' : 'Remind me'}" aria-pressed="${reminderSet}">
+      ${BELL_ICON}
+    </button>`;
+  
+  return `
+    <div class="search-programme" data-index="${index}" role="button" tabindex="0" title="${escapeHtml(program.description || program.title)}">
+      ${time}
+      <div class="search-programme__info">
+        <div class="search-programme__title">${escapeHtml(program.title)}${episode ? ` <span class="search-programme__episode">${escapeHtml(episode)}</span>` : ''}</div>
+        <div class="search-programme__meta">${escapeHtml(meta)}${isOnNow ? ` · until ${escapeHtml(epg.formatTime(program.end))}` : ''}</div>
+        ${progress}
+      </div>
+      ${remindBtn}
+    </div>
+  `;
+}
+
+/**
+ * Tune to the channel showing a programme result
+ * @param {number} index 
+ */
+function tuneToProgramme(index) {
+  const result = searchProgrammeResults[index];
+  if (!result) return;
+  handleSearchCardClick(result.channels[0]);
+}
+
+/**
+ * Set or cancel a reminder for an upcoming programme result
+ * @param {number} index 
+ */
+function toggleProgrammeReminder(index) {
+  const result = searchProgrammeResults[index];
+  if (!result) return;
+  
+  toggleReminder(result.program, result.channels[0]);
+}
+
+/**
+ * Set or cancel a programme reminder from the guide or search
+ * Asks for notification permission the first time (needs the click's user gesture).
+ * @param {Object} program - EPG programme
+ * @param {Object} channel - Playlist channel to tune to
+ */
+function toggleReminder(program, channel) {
+  const isSet = reminders.toggle(program, channel);
+  
+  if (isSet) {
+    const lead = reminders.getLeadMinutes();
+    const when = lead ? `${lead} min before ${epg.formatTime(program.start)}` : `at ${epg.formatTime(program.start)}`;
+    showToast(`Reminder set: ${program.title} (${when})`, 'success');
+    reminders.requestNotificationPermission();
+  } else {
+    showToast('Reminder cancelled', 'success');
+  }
+}
+
+/**
+ * Keep reminder bells in the guide and search results in sync
+ */
+function handleRemindersChanged() {
+  if (searchOverlayActive && searchProgrammeResults.length > 0) renderProgrammeResults();
+  if (isGuideVisible()) renderGuide();
 }
 
 /**
@@ -1945,6 +3546,7 @@ function performOverlaySearch() {
 function clearOverlaySearch() {
   searchOverlayQuery = '';
   searchOverlayResults = [];
+  clearProgrammeResults();
   
   if (elements.searchOverlayInput) {
     elements.searchOverlayInput.value = '';
@@ -1980,6 +3582,7 @@ function showSearchState(state) {
   if (elements.searchLoading) elements.searchLoading.hidden = state !== 'loading';
   if (elements.searchEmpty) elements.searchEmpty.hidden = state !== 'empty';
   if (elements.searchGrid) elements.searchGrid.hidden = state !== 'results';
+  if (elements.searchProgrammes) elements.searchProgrammes.hidden = state !== 'results' || searchProgrammeResults.length === 0;
 }
 
 /**
@@ -1988,15 +3591,26 @@ function showSearchState(state) {
 function updateSearchResultCount(totalFound = 0) {
   if (!elements.searchResultCount) return;
   
+  // Programme matches are counted separately
+  const programmes = searchProgrammeTotal > MAX_PROGRAMME_RESULTS
+    ? `${MAX_PROGRAMME_RESULTS} of ${searchProgrammeTotal} programmes`
+    : `${searchProgrammeTotal} programme${searchProgrammeTotal !== 1 ? 's' : ''}`;
+  
   if (!searchOverlayQuery) {
     elements.searchResultCount.textContent = 'Type to search...';
-  } else if (totalFound === 0) {
+  } else if (totalFound === 0 && searchProgrammeTotal === 0) {
     elements.searchResultCount.textContent = 'No results found';
+  } else if (totalFound === 0) {
+    elements.searchResultCount.textContent = programmes;
   } else if (totalFound > MAX_SEARCH_RESULTS) {
     elements.searchResultCount.textContent = `Showing ${MAX_SEARCH_RESULTS} of ${totalFound} results`;
   } else {
     elements.searchResultCount.textContent = `${totalFound} result${totalFound !== 1 ? 's' : ''}`;
   }
+  
+  if (totalFound > 0 && searchProgrammeTotal > 0) {
+    elements.searchResultCount.textContent += ` · ${programmes}`;
+  }
 }
 
 /**
@@ -2042,8 +3656,9 @@ function createSearchCard(item, index) {
   
   // Build meta text
   let meta = '';
-  if (type === 'live' && item.epgId) {
-    const nowInfo = epg.getNow(item.epgId);
+  const epgId = type === 'live' ? epg.resolveEpgId(item) : null;
+  if (epgId) {
+    const nowInfo = epg.getNow(epgId);
     meta = nowInfo ? nowInfo.title : item.group || '';
   } else if (type === 'vod') {
     meta = [item.year, item.genre, item.duration].filter(Boolean).join(' • ');
@@ -2149,6 +3764,8 @@ function createSearchCard(item, index) {
     `;
   }
   
+  addCardFavorite(card, item);
+  
   // Click and keyboard handlers are handled via event delegation
   // (initSearchOverlayDelegation and initContentGridDelegation)
   
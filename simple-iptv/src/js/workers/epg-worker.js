@@ -2,87 +2,176 @@
  * EPG Worker
  * Parses XMLTV in background thread to avoid blocking UI
  * 
- * OPTIMIZATION: Only keeps programs within ±24 hours of current time
- * This dramatically reduces memory usage (typically 70-90% reduction)
+ * STREAMING: The response body is read chunk by chunk (gunzipped on the fly
+ * when needed) and <programme> elements are parsed as soon as they are
+ * complete, so large guides never have to be held in memory as one string.
+ * 
+ * OPTIMIZATION: Only keeps programs within the retention window sent with
+ * the load message (default ±24 hours). This dramatically reduces memory usage.
  */
 
-// Simple SAX-style XML parser for XMLTV
-// We parse incrementally to handle large files
-
 const BATCH_SIZE = 500;
-const TIME_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000; // Used when no window is sent
+const PROGRESS_INTERVAL_MS = 250; // Throttle download progress messages
+
+const PROGRAMME_OPEN = '<programme';
+const PROGRAMME_CLOSE = '</programme>';
+const CHANNEL_OPEN = '<channel';
+const CHANNEL_CLOSE = '</channel>';
 
 let programs = [];
-let currentProgram = null;
-let currentElement = '';
-let currentChannelId = '';
+let channels = []; // <channel> elements: { id, names, icon }
+let buffer = '';
 let timeWindowStart = 0;
 let timeWindowEnd = 0;
+let windowLabel = '';
 let skippedCount = 0;
+let keptCount = 0;
+let totalParsed = 0;
+let validators = {}; // ETag/Last-Modified of the response being parsed
 
 /**
- * Parse XMLTV content
- * @param {string} xml 
+ * Reset parser state before a new load
+ * @param {Object} retention - { pastMs, futureMs } window around now
  */
-function parseXMLTV(xml) {
+function beginParse(retention = {}) {
   programs = [];
-  currentProgram = null;
+  channels = [];
+  buffer = '';
   skippedCount = 0;
+  keptCount = 0;
+  totalParsed = 0;
   
-  // Set time window: ±24 hours from now
+  // Set time window around now
+  const pastMs = retention.pastMs ?? DEFAULT_WINDOW_MS;
+  const futureMs = retention.futureMs ?? DEFAULT_WINDOW_MS;
   const now = Date.now();
-  timeWindowStart = now - TIME_WINDOW_MS;
-  timeWindowEnd = now + TIME_WINDOW_MS;
+  timeWindowStart = now - pastMs;
+  timeWindowEnd = now + futureMs;
+  windowLabel = `-${Math.round(pastMs / 3600000)}h/+${Math.round(futureMs / 3600000)}h`;
   
   console.log(`[EPG Worker] Time window: ${new Date(timeWindowStart).toISOString()} to ${new Date(timeWindowEnd).toISOString()}`);
+}
+
+/**
+ * Feed a chunk of decoded XMLTV text to the parser
+ * Complete <channel> and <programme> elements are parsed; any partial
+ * element is kept in the buffer until the next chunk arrives.
+ * @param {string} text 
+ */
+function parseChunk(text) {
+  buffer += text;
+  let pos = 0;
   
-  // Use regex-based parsing for simplicity and speed
-  // Find all <programme> elements
-  const programmeRegex = /<programme\s+([^>]*)>([\s\S]*?)<\/programme>/gi;
-  let match;
-  let count = 0;
-  let totalParsed = 0;
-  
-  while ((match = programmeRegex.exec(xml)) !== null) {
-    const attrs = match[1];
-    const content = match[2];
-    totalParsed++;
-    
-    const program = parseProgramme(attrs, content);
-    if (program) {
-      // TIME WINDOW FILTER: Skip programs outside ±24 hour window
-      // A program is relevant if it overlaps with our window at all
-      const programEnd = program.end || (program.start + 3600000); // Default 1 hour if no end
-      
-      if (programEnd < timeWindowStart || program.start > timeWindowEnd) {
-        // Program is completely outside our window - skip it
-        skippedCount++;
-        continue;
-      }
-      
-      programs.push(program);
-      count++;
-      
-      // Send batch
-      if (programs.length >= BATCH_SIZE) {
-        self.postMessage({ type: 'batch', data: [...programs] });
-        programs = [];
-      }
-      
-      // Report progress periodically
-      if (totalParsed % 1000 === 0) {
-        self.postMessage({ type: 'progress', data: { parsed: totalParsed, kept: count, skipped: skippedCount } });
-      }
+  // PERF: Next-match positions are only re-searched once consumed; -1 stays -1
+  // for this buffer, so files with channels at the top don't rescan for them
+  let nextProgramme = buffer.indexOf(PROGRAMME_OPEN, pos);
+  let nextChannel = buffer.indexOf(CHANNEL_OPEN, pos);
+  
+  while (true) {
+    if (nextProgramme !== -1 && nextProgramme < pos) nextProgramme = buffer.indexOf(PROGRAMME_OPEN, pos);
+    if (nextChannel !== -1 && nextChannel < pos) nextChannel = buffer.indexOf(CHANNEL_OPEN, pos);
+    
+    if (nextProgramme === -1 && nextChannel === -1) {
+      // Keep just enough of the tail to catch an opening tag split across chunks
+      pos = Math.max(pos, buffer.length - PROGRAMME_OPEN.length);
+      break;
     }
+    
+    const isChannel = nextChannel !== -1 && (nextProgramme === -1 || nextChannel < nextProgramme);
+    const start = isChannel ? nextChannel : nextProgramme;
+    const closeTag = isChannel ? CHANNEL_CLOSE : PROGRAMME_CLOSE;
+    
+    const end = buffer.indexOf(closeTag, start);
+    if (end === -1) {
+      // Element not complete yet - wait for more data
+      pos = start;
+      break;
+    }
+    
+    const element = buffer.substring(start, end + closeTag.length);
+    if (isChannel) {
+      handleChannelElement(element);
+    } else {
+      handleProgrammeElement(element);
+    }
+    pos = end + closeTag.length;
   }
   
+  buffer = buffer.substring(pos);
+}
+
+/**
+ * Flush remaining programs and report completion
+ */
+function endParse() {
+  buffer = '';
+  
   // Send remaining
   if (programs.length > 0) {
     self.postMessage({ type: 'batch', data: programs });
+    programs = [];
+  }
+  
+  // Channel list is small - send it in one message for name matching
+  self.postMessage({ type: 'channels', data: channels });
+  console.log(`[EPG Worker] Parsed ${channels.length} channel definitions`);
+  channels = [];
+  
+  console.log(`[EPG Worker] Parsed ${totalParsed} programs, kept ${keptCount}, skipped ${skippedCount} (outside ${windowLabel} window)`);
+  self.postMessage({ type: 'complete', data: { total: keptCount, skipped: skippedCount, parsed: totalParsed, validators } });
+}
+
+/**
+ * Parse one complete <channel>...</channel> element
+ * @param {string} element 
+ */
+function handleChannelElement(element) {
+  const match = element.match(/^<channel\s+([^>]*)>([\s\S]*)<\/channel>$/i);
+  if (!match) return;
+  
+  const id = parseAttr(match[1], 'id');
+  if (!id) return;
+  
+  const icon = match[2].match(/<icon[^>]*\bsrc="([^"]*)"/i);
+  channels.push({
+    id, // Kept raw to match <programme channel="..."> keys
+    names: [...new Set(parseElements(match[2], 'display-name'))],
+    icon: icon ? decodeXMLEntities(icon[1]) : null,
+  });
+}
+
+/**
+ * Parse one complete <programme>...</programme> element and queue it
+ * @param {string} element 
+ */
+function handleProgrammeElement(element) {
+  const match = element.match(/^<programme\s+([^>]*)>([\s\S]*)<\/programme>$/i);
+  if (!match) return;
+  
+  totalParsed++;
+  
+  const program = parseProgramme(match[1], match[2]);
+  if (!program) return;
+  
+  // TIME WINDOW FILTER: Skip programs outside the retention window
+  // A program is relevant if it overlaps with our window at all
+  const programEnd = program.end || (program.start + 3600000); // Default 1 hour if no end
+  
+  if (programEnd < timeWindowStart || program.start > timeWindowEnd) {
+    // Program is completely outside our window - skip it
+    skippedCount++;
+    return;
   }
   
-  console.log(`[EPG Worker] Parsed ${totalParsed} programs, kept ${count}, skipped ${skippedCount} (outside ±24h window)`);
-  self.postMessage({ type: 'complete', data: { total: count, skipped: skippedCount, parsed: totalParsed } });
+  programs.push(program);
+  keptCount++;
+  
+  // Send batch
+  if (programs.length >= BATCH_SIZE) {
+    self.postMessage({ type: 'batch', data: programs });
+    programs = [];
+  }
 }
 
 /**
@@ -103,13 +192,109 @@ function parseProgramme(attrs, content) {
   const title = parseElement(content, 'title');
   const desc = parseElement(content, 'desc');
   
-  return {
+  const program = {
     channelId: channel,
     title: title || 'Unknown',
     description: desc || '',
     start: parseXMLTVDate(start),
     end: stop ? parseXMLTVDate(stop) : parseXMLTVDate(start) + 3600000, // Default 1 hour
   };
+  
+  // Optional metadata - only set when present to keep batches and the cache compact
+  const subTitle = parseElement(content, 'sub-title');
+  if (subTitle) program.subTitle = subTitle;
+  
+  const categories = parseElements(content, 'category');
+  if (categories.length > 0) program.categories = [...new Set(categories)];
+  
+  const episode = parseEpisodeNum(content);
+  if (episode) program.episode = episode;
+  
+  const icon = content.match(/<icon[^>]*\bsrc="([^"]*)"/i);
+  if (icon) program.icon = decodeXMLEntities(icon[1]);
+  
+  const rating = parseRating(content);
+  if (rating) program.rating = rating;
+  
+  const credits = parseCredits(content);
+  if (credits) program.credits = credits;
+  
+  if (/<new\s*\/?>/i.test(content)) program.isNew = true;
+  if (/<previously-shown\b/i.test(content)) program.previouslyShown = true;
+  
+  return program;
+}
+
+/**
+ * Parse <episode-num> elements (xmltv_ns and onscreen systems)
+ * xmltv_ns is zero-based "season.episode.part" with optional "/total" per field,
+ * e.g. "1.4.0/1" is season 2, episode 5.
+ * @param {string} content
+ * @returns {Object|null} - { season, episode, part, onscreen } (fields only when known)
+ */
+function parseEpisodeNum(content) {
+  const regex = /<episode-num([^>]*)>([^<]*)<\/episode-num>/gi;
+  const result = {};
+  let match;
+  
+  while ((match = regex.exec(content)) !== null) {
+    const system = (parseAttr(match[1], 'system') || 'onscreen').toLowerCase();
+    const value = decodeXMLEntities(match[2].trim());
+    if (!value) continue;
+    
+    if (system === 'xmltv_ns') {
+      const [season, episode, part] = value.split('.').map(field => {
+        const num = parseInt(field.split('/')[0], 10);
+        return isNaN(num) ? null : num + 1;
+      });
+      if (season != null) result.season = season;
+      if (episode != null) result.episode = episode;
+      if (part != null) result.part = part;
+    } else if (system === 'onscreen') {
+      result.onscreen = value;
+    }
+  }
+  
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Parse <rating system="..."><value>...</value></rating>
+ * @param {string} content
+ * @returns {Object|null} - { system, value }
+ */
+function parseRating(content) {
+  const match = content.match(/<rating([^>]*)>([\s\S]*?)<\/rating>/i);
+  if (!match) return null;
+  
+  const value = parseElement(match[2], 'value');
+  if (!value) return null;
+  
+  const system = parseAttr(match[1], 'system');
+  return system ? { system: decodeXMLEntities(system), value } : { value };
+}
+
+/**
+ * Parse <credits> into role -> names, e.g. { director: ['...'], actor: ['...'] }
+ * @param {string} content
+ * @returns {Object|null}
+ */
+function parseCredits(content) {
+  const match = content.match(/<credits[^>]*>([\s\S]*?)<\/credits>/i);
+  if (!match) return null;
+  
+  const credits = {};
+  const regex = /<([a-z-]+)[^>]*>([^<]*)<\/\1>/gi;
+  let role;
+  
+  while ((role = regex.exec(match[1])) !== null) {
+    const name = decodeXMLEntities(role[2].trim());
+    if (!name) continue;
+    const key = role[1].toLowerCase();
+    (credits[key] = credits[key] || []).push(name);
+  }
+  
+  return Object.keys(credits).length > 0 ? credits : null;
 }
 
 /**
@@ -119,7 +304,7 @@ function parseProgramme(attrs, content) {
  * @returns {string|null}
  */
 function parseAttr(str, name) {
-  const regex = new RegExp(`${name}="([^"]*)"`, 'i');
+  const regex = new RegExp(`(?:^|\\s)${name}="([^"]*)"`, 'i');
   const match = str.match(regex);
   return match ? match[1] : null;
 }
@@ -136,28 +321,49 @@ function parseElement(xml, tag) {
   return match ? decodeXMLEntities(match[1].trim()) : null;
 }
 
+/**
+ * Parse all occurrences of an element's text content
+ * @param {string} xml 
+ * @param {string} tag 
+ * @returns {string[]}
+ */
+function parseElements(xml, tag) {
+  const regex = new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'gi');
+  const values = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    const value = decodeXMLEntities(match[1].trim());
+    if (value) values.push(value);
+  }
+  return values;
+}
+
 /**
  * Parse XMLTV date format: 20210101120000 +0000
+ * Honours the timezone offset so the result is a true UTC epoch.
+ * Per the XMLTV DTD, timestamps without an offset are treated as UTC.
+ * Trailing fields may be omitted (e.g. 202101011200 +0100).
  * @param {string} str 
  * @returns {number} - Unix timestamp in ms
  */
 function parseXMLTVDate(str) {
   if (!str) return Date.now();
   
-  // Remove timezone for simplicity (assume local/UTC)
-  const clean = str.replace(/\s*[+-]\d{4}$/, '').trim();
+  const match = str.trim().match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*([+-]\d{2}:?\d{2}|Z|UTC|GMT)?$/i);
   
-  // Format: YYYYMMDDHHMMSS
-  if (clean.length >= 14) {
-    const year = clean.substring(0, 4);
-    const month = clean.substring(4, 6);
-    const day = clean.substring(6, 8);
-    const hour = clean.substring(8, 10);
-    const minute = clean.substring(10, 12);
-    const second = clean.substring(12, 14);
+  if (match) {
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', tz] = match;
+    
+    const utc = Date.UTC(
+      parseInt(year, 10),
+      parseInt(month, 10) - 1,
+      parseInt(day, 10),
+      parseInt(hour, 10),
+      parseInt(minute, 10),
+      parseInt(second, 10)
+    );
     
-    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}`);
-    return date.getTime();
+    return utc - parseTimezoneOffset(tz) * 60000;
   }
   
   // Fallback: try native parsing
@@ -165,6 +371,22 @@ function parseXMLTVDate(str) {
   return isNaN(date.getTime()) ? Date.now() : date.getTime();
 }
 
+/**
+ * Parse an XMLTV timezone offset into minutes east of UTC
+ * @param {string|undefined} tz - e.g. "+0100", "-05:00", "Z"
+ * @returns {number}
+ */
+function parseTimezoneOffset(tz) {
+  if (!tz || /^(Z|UTC|GMT)$/i.test(tz)) return 0;
+  
+  const digits = tz.replace(':', '');
+  const sign = digits[0] === '-' ? -1 : 1;
+  const hours = parseInt(digits.substring(1, 3), 10);
+  const minutes = parseInt(digits.substring(3, 5), 10);
+  
+  return sign * (hours * 60 + minutes);
+}
+
 /**
  * Decode XML entities
  * @param {string} str 
@@ -182,51 +404,188 @@ function decodeXMLEntities(str) {
 }
 
 /**
- * Fetch and parse XMLTV from URL
+ * Check whether the response should be gunzipped by us
+ * (Content-Encoding: gzip is already decoded transparently by fetch)
+ * @param {string} url 
+ * @param {string|null} contentType 
+ * @param {Uint8Array|undefined} firstChunk 
+ * @returns {boolean}
+ */
+function isGzipped(url, contentType, firstChunk) {
+  // Magic bytes are authoritative when we have them
+  if (firstChunk && firstChunk.length >= 2) {
+    return firstChunk[0] === 0x1f && firstChunk[1] === 0x8b;
+  }
+  
+  // Proxied URLs carry the original URL encoded in the path
+  let decodedUrl = url;
+  try {
+    decodedUrl = decodeURIComponent(url);
+  } catch (e) {
+    // Malformed escape - check as-is
+  }
+  
+  return /\.gz([?#&]|$)/i.test(decodedUrl) || /gzip/i.test(contentType || '');
+}
+
+/**
+ * Fetch, sending If-None-Match/If-Modified-Since when we have validators
+ * from the previous download. Conditional headers trigger a CORS preflight,
+ * so retry as a plain request if the server rejects it.
+ * @param {string} url
+ * @param {Object|null} previous - { etag, lastModified }
+ * @returns {Promise<Response>}
+ */
+async function conditionalFetch(url, previous) {
+  const headers = {};
+  if (previous?.etag) headers['If-None-Match'] = previous.etag;
+  if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+  
+  if (Object.keys(headers).length === 0) {
+    return fetch(url);
+  }
+  
+  try {
+    return await fetch(url, { headers });
+  } catch (error) {
+    console.warn('[EPG Worker] ⚠ Conditional request failed, retrying without validators:', error.message);
+    return fetch(url);
+  }
+}
+
+/**
+ * Fetch and parse XMLTV from URL as a stream
  * @param {string} url 
+ * @param {Object} retention - { pastMs, futureMs } window around now
+ * @param {Object} previous - { etag, lastModified } from the cached copy
  */
-async function loadFromUrl(url) {
+async function loadFromUrl(url, retention, previous) {
   console.log('[EPG Worker] Starting fetch from:', url);
   
   try {
     self.postMessage({ type: 'progress', data: { phase: 'fetch', status: 'Fetching EPG...' } });
     
-    const response = await fetch(url);
+    const response = await conditionalFetch(url, previous);
     console.log('[EPG Worker] Response status:', response.status, response.statusText);
     console.log('[EPG Worker] Response headers:', Object.fromEntries([...response.headers.entries()]));
     
+    if (response.status === 304) {
+      console.log('[EPG Worker] ✓ Not modified since last download');
+      self.postMessage({ type: 'notModified' });
+      return;
+    }
+    
     if (!response.ok) {
       const errorText = `HTTP ${response.status}: ${response.statusText}`;
       console.error('[EPG Worker] ✗ Fetch failed:', errorText);
       throw new Error(errorText);
     }
     
+    if (!response.body) {
+      throw new Error('Streaming responses are not supported in this browser');
+    }
+    
     // Check content length for progress
     const contentLength = response.headers.get('content-length');
     const contentType = response.headers.get('content-type');
+    const contentEncoding = response.headers.get('content-encoding');
     const total = contentLength ? parseInt(contentLength, 10) : 0;
     
+    // Only readable cross-origin if the server exposes them
+    validators = {
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null,
+    };
+    
     console.log('[EPG Worker] Content-Type:', contentType);
     console.log('[EPG Worker] Content-Length:', total || 'unknown');
     
-    self.postMessage({ type: 'progress', data: { phase: 'download', status: 'Downloading...', total } });
+    // Content-Length is the compressed size when the server applied Content-Encoding,
+    // but the bytes we read are already decoded - only trust it otherwise
+    const reportedTotal = contentEncoding ? 0 : total;
     
-    // Read as text
-    const text = await response.text();
-    console.log('[EPG Worker] Downloaded bytes:', text.length);
+    self.postMessage({ type: 'progress', data: { phase: 'download', status: 'Downloading...', loaded: 0, total: reportedTotal } });
     
-    // Quick sanity check on content
-    const firstChars = text.substring(0, 200);
-    console.log('[EPG Worker] First 200 chars:', firstChars);
+    const reader = response.body.getReader();
+    const first = await reader.read();
+    const gzip = isGzipped(url, contentType, first.value);
     
-    if (!text.includes('<programme') && !text.includes('<tv')) {
-      console.warn('[EPG Worker] ⚠ Content does not look like XMLTV - no <programme> or <tv> tags found');
+    console.log('[EPG Worker] Gzip:', gzip ? 'YES' : 'NO');
+    
+    if (gzip && typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress gzipped EPG files');
     }
     
-    self.postMessage({ type: 'progress', data: { phase: 'parse', status: 'Parsing EPG...', downloaded: text.length } });
+    // Re-assemble the byte stream (including the sniffed first chunk), counting bytes as they arrive
+    let loaded = 0;
+    let lastProgressAt = 0;
+    const reportDownload = (force = false) => {
+      const now = Date.now();
+      if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+      lastProgressAt = now;
+      self.postMessage({
+        type: 'progress',
+        data: {
+          phase: 'download',
+          status: 'Downloading...',
+          loaded,
+          total: reportedTotal,
+          percent: reportedTotal ? Math.min(100, Math.round((loaded / reportedTotal) * 100)) : null,
+          parsed: totalParsed,
+          kept: keptCount,
+          skipped: skippedCount,
+        }
+      });
+    };
+    
+    let pending = first;
+    const byteStream = new ReadableStream({
+      async pull(controller) {
+        const { done, value } = pending || await reader.read();
+        pending = null;
+        
+        if (done) {
+          reportDownload(true);
+          controller.close();
+          return;
+        }
+        
+        loaded += value.byteLength;
+        reportDownload();
+        controller.enqueue(value);
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    });
+    
+    const decompressed = gzip
+      ? byteStream.pipeThrough(new DecompressionStream('gzip'))
+      : byteStream;
+    const textReader = decompressed.pipeThrough(new TextDecoderStream()).getReader();
+    
+    // Parse incrementally
+    beginParse(retention);
+    let sawXmltv = false;
+    
+    while (true) {
+      const { done, value } = await textReader.read();
+      if (done) break;
+      
+      if (!sawXmltv && (value.includes('<tv') || value.includes(PROGRAMME_OPEN))) {
+        sawXmltv = true;
+      }
+      
+      parseChunk(value);
+    }
+    
+    console.log('[EPG Worker] Downloaded bytes:', loaded);
+    
+    if (!sawXmltv) {
+      console.warn('[EPG Worker] ⚠ Content does not look like XMLTV - no <programme> or <tv> tags found');
+    }
     
-    // Parse
-    parseXMLTV(text);
+    endParse();
     
   } catch (error) {
     console.error('[EPG Worker] ✗ Error:', error.message);
@@ -236,9 +595,9 @@ async function loadFromUrl(url) {
 
 // Message handler
 self.onmessage = (e) => {
-  const { type, url } = e.data;
+  const { type, url, retention, validators: previous } = e.data;
   
   if (type === 'load' && url) {
-    loadFromUrl(url);
+    loadFromUrl(url, retention, previous);
   }
 };
@@ -0,0 +1,170 @@
+/**
+ * Stalker portal tests against a local mock portal
+ * Run from the repo root: node --test simple-iptv/tests/
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { register } from 'node:module';
+
+// storage.js loads idb-keyval from a CDN - resolve it to an in-memory stand-in
+const IDB_STUB = `
+const m = new Map();
+export const get = async k => m.get(k);
+export const set = async (k, v) => { m.set(k, v); };
+export const del = async k => { m.delete(k); };
+export const clear = async () => m.clear();
+export const keys = async () => [...m.keys()];
+export const getMany = async ks => ks.map(k => m.get(k));
+export const setMany = async es => es.forEach(([k, v]) => m.set(k, v));
+export const delMany = async ks => ks.forEach(k => m.delete(k));
+`;
+register('data:text/javascript,' + encodeURIComponent(`
+export async function resolve(specifier, context, next) {
+  if (specifier.startsWith('https://esm.sh/idb-keyval')) {
+    return { url: 'data:text/javascript,' + encodeURIComponent(${JSON.stringify(IDB_STUB)}), shortCircuit: true };
+  }
+  return next(specifier, context);
+}
+`));
+
+globalThis.window = globalThis;
+globalThis.localStorage = {
+  data: new Map(),
+  get length() { return this.data.size; },
+  key(i) { return [...this.data.keys()][i] ?? null; },
+  getItem(k) { return this.data.get(k) ?? null; },
+  setItem(k, v) { this.data.set(k, String(v)); },
+  removeItem(k) { this.data.delete(k); },
+};
+const { fetchStalker, resolveStalkerUrl } = await import('../src/js/modules/playlist.js');
+
+const MAC = '00:1A:79:12:34:56';
+
+// =============================================================================
+// Mock portal
+// =============================================================================
+
+let server;
+let portalUrl;
+let requests = [];
+let tokenCount = 0;
+let validToken = null;
+let authorisedMac = MAC;
+
+/**
+ * Answer like a Stalker portal.php: handshake, get_profile, genres, channels, create_link
+ */
+function handlePortal(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const params = Object.fromEntries(url.searchParams);
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  requests.push({ path: url.pathname, params, token });
+  
+  const reply = (status, js) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ js }));
+  };
+  
+  if (url.pathname !== '/portal.php') return reply(404, null);
+  
+  // Unknown MACs get the HTML error page real portals serve
+  if (params.mac !== authorisedMac) {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end('<html>Access denied</html>');
+  }
+  
+  if (params.type === 'stb' && params.action === 'handshake') {
+    validToken = `token-${++tokenCount}`;
+    return reply(200, { token: validToken });
+  }
+  if (token !== validToken) return reply(401, null);
+  
+  switch (`${params.type}.${params.action}`) {
+    case 'stb.get_profile':
+      return reply(200, { status: 0 });
+    case 'itv.get_genres':
+      return reply(200, [{ id: '1', title: 'News' }, { id: '2', title: 'Sports' }]);
+    case 'itv.get_all_channels':
+      return reply(200, {
+        data: [
+          { id: '10', name: 'News One', number: '1', tv_genre_id: '1', cmd: 'ffmpeg http://localhost/ch/10', xmltv_id: 'news.one' },
+          { id: '20', name: 'Sport Two', number: '2', tv_genre_id: '2', cmd: 'ffmpeg http://localhost/ch/20' },
+        ],
+      });
+    case 'itv.create_link':
+      return reply(200, { cmd: `ffmpeg http://stream.example/live/${encodeURIComponent(params.cmd.split('/').pop())}.ts?play_token=abc` });
+    default:
+      return reply(200, null);
+  }
+}
+
+before(async () => {
+  server = http.createServer(handlePortal);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  portalUrl = `http://127.0.0.1:${server.address().port}/c/`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  authorisedMac = MAC;
+});
+
+// =============================================================================
+// Tests
+// =============================================================================
+
+test('handshake, profile, genres and channels', async () => {
+  const channels = await fetchStalker({ portalUrl, mac: MAC });
+  
+  assert.deepEqual(requests.map(r => r.params.action),
+    ['handshake', 'get_profile', 'get_genres', 'get_all_channels']);
+  
+  // The MAC has to travel in the query string - fetch can't send the cookie
+  assert.ok(requests.every(r => r.params.mac === MAC));
+  assert.ok(requests.slice(1).every(r => r.token === validToken));
+  
+  assert.equal(channels.length, 2);
+  assert.deepEqual(
+    channels.map(ch => [ch.id, ch.name, ch.group, ch.number, ch.epgId, ch.url]),
+    [
+      ['stk_10', 'News One', 'News', 1, 'news.one', ''],
+      ['stk_20', 'Sport Two', 'Sports', 2, null, ''],
+    ]
+  );
+});
+
+test('create_link resolves a playable URL', async () => {
+  const [channel] = await fetchStalker({ portalUrl, mac: MAC });
+  requests = [];
+  
+  const url = await resolveStalkerUrl({ portalUrl, mac: MAC }, channel);
+  
+  assert.equal(url, 'http://stream.example/live/10.ts?play_token=abc');
+  assert.deepEqual(requests.map(r => r.params.action), ['create_link']);
+  assert.equal(requests[0].params.cmd, channel.stalkerCmd);
+});
+
+test('an expired token gets one fresh handshake', async () => {
+  const [channel] = await fetchStalker({ portalUrl, mac: MAC });
+  validToken = 'rotated-by-portal';
+  requests = [];
+  
+  const url = await resolveStalkerUrl({ portalUrl, mac: MAC }, channel);
+  
+  assert.equal(url, 'http://stream.example/live/10.ts?play_token=abc');
+  assert.deepEqual(requests.map(r => r.params.action),
+    ['create_link', 'handshake', 'get_profile', 'create_link']);
+});
+
+test('an unknown MAC is reported', async () => {
+  authorisedMac = '00:1A:79:00:00:00';
+  
+  await assert.rejects(
+    fetchStalker({ portalUrl, mac: MAC }),
+    /check the MAC address/
+  );
+});